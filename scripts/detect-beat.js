@@ -0,0 +1,447 @@
+#!/usr/bin/env node
+
+/**
+ * Beat Detector
+ * Decodes a music file offline and estimates its tempo (BPM) and the time of
+ * its first downbeat, then writes them into a level's "music" settings so the
+ * level's moving platforms line up with the track.
+ *
+ * Usage:
+ *   node scripts/detect-beat.js public/assets/song.mp3                      # just print the estimate
+ *   node scripts/detect-beat.js public/assets/song.mp3 level2.json          # write it into a level
+ *   node scripts/detect-beat.js public/assets/song.mp3 level2.json --after 20
+ *
+ * Options:
+ *   --after <seconds>   Use the first downbeat at or after this time (e.g. to keep an intro)
+ *   --min-bpm <bpm>     Slowest tempo to consider (default 70)
+ *   --max-bpm <bpm>     Fastest tempo to consider (default 180)
+ *   --dry-run           Show what would be written without changing the level
+ *
+ * The estimate assumes 4/4 and a steady tempo - check it by ear with the
+ * metronome (B) in game, and adjust by hand if needed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import decode from 'audio-decode';
+import { LevelDataLoader } from '../src/levels/LevelDataLoader.js';
+import { validateLevelData, formatValidationErrors } from '../src/levels/LevelValidator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PUBLIC_DIR = path.join(__dirname, '../public');
+const LEVELS_DIR = path.join(PUBLIC_DIR, 'levels');
+
+// Analysis frames (at the file's sample rate)
+const FRAME_SIZE = 1024;
+const HOP_SIZE = 512;
+
+// Spectrum bins below this frequency count as bass, which marks downbeats best
+const BASS_CUTOFF_HZ = 200;
+
+const BEATS_PER_BAR = 4;
+
+// Tempos near this are preferred when a track could be read at half or double speed
+const PREFERRED_BPM = 120;
+
+// The music "starts" at the first frame this loud, relative to the loudest frame
+const START_THRESHOLD = 0.05;
+
+/**
+ * Parse command line arguments
+ * @returns {{audioFile: string, levelFile: string|null, options: Object}}
+ */
+function parseArgs(args) {
+  const positional = [];
+  const options = { after: 0, minBpm: 70, maxBpm: 180, dryRun: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--after' || arg === '--min-bpm' || arg === '--max-bpm') {
+      const value = Number(args[++i]);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`${arg} needs a non-negative number`);
+      }
+      const key = { '--after': 'after', '--min-bpm': 'minBpm', '--max-bpm': 'maxBpm' }[arg];
+      options[key] = value;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`unknown option ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  if (positional.length < 1 || positional.length > 2) {
+    throw new Error('usage: node scripts/detect-beat.js <audio file> [level.json] [options]');
+  }
+  if (options.minBpm <= 0 || options.minBpm >= options.maxBpm) {
+    throw new Error('--min-bpm must be above 0 and below --max-bpm');
+  }
+
+  return { audioFile: positional[0], levelFile: positional[1] ?? null, options };
+}
+
+/**
+ * Decode an audio file and mix it down to mono
+ * @returns {Promise<{samples: Float32Array, sampleRate: number}>}
+ */
+async function decodeAudio(filePath) {
+  const { channelData, sampleRate } = await decode(fs.readFileSync(filePath));
+  const samples = new Float32Array(channelData[0].length);
+
+  channelData.forEach(channel => {
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] += channel[i] / channelData.length;
+    }
+  });
+
+  return { samples, sampleRate };
+}
+
+/**
+ * In-place radix-2 FFT (re/im arrays of the same power-of-two length)
+ */
+function fft(re, im) {
+  const n = re.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * cos - im[b] * sin;
+        const tIm = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+}
+
+/**
+ * Measure how much new sound starts in each frame (spectral flux), overall and in the bass.
+ * @returns {{onsets: Float32Array, bassOnsets: Float32Array, energy: Float32Array}}
+ */
+function analyzeFrames(samples, sampleRate) {
+  const frameCount = Math.max(0, Math.floor((samples.length - FRAME_SIZE) / HOP_SIZE) + 1);
+  const bins = FRAME_SIZE / 2;
+  const bassBins = Math.max(1, Math.round(BASS_CUTOFF_HZ * FRAME_SIZE / sampleRate));
+
+  const onsets = new Float32Array(frameCount);
+  const bassOnsets = new Float32Array(frameCount);
+  const energy = new Float32Array(frameCount);
+
+  // Hann window
+  const hann = new Float32Array(FRAME_SIZE);
+  for (let i = 0; i < FRAME_SIZE; i++) {
+    hann[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / FRAME_SIZE);
+  }
+
+  const re = new Float32Array(FRAME_SIZE);
+  const im = new Float32Array(FRAME_SIZE);
+  let previous = new Float32Array(bins);
+  let current = new Float32Array(bins);
+  let previousBass = new Float32Array(bassBins);
+  let currentBass = new Float32Array(bassBins);
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const offset = frame * HOP_SIZE;
+    let sum = 0;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      const sample = samples[offset + i];
+      sum += sample * sample;
+      re[i] = sample * hann[i];
+      im[i] = 0;
+    }
+    energy[frame] = sum / FRAME_SIZE;
+
+    fft(re, im);
+
+    let flux = 0;
+    let bassFlux = 0;
+    for (let bin = 0; bin < bins; bin++) {
+      const magnitude = Math.hypot(re[bin], im[bin]);
+
+      // Log magnitude so quiet and loud passages count alike
+      current[bin] = Math.log1p(magnitude);
+      flux += Math.max(0, current[bin] - previous[bin]);
+
+      // ...but plain magnitude for the bass, where how hard it hits is what matters
+      if (bin < bassBins) {
+        currentBass[bin] = magnitude;
+        bassFlux += Math.max(0, currentBass[bin] - previousBass[bin]);
+      }
+    }
+    onsets[frame] = flux;
+    bassOnsets[frame] = bassFlux;
+
+    [previous, current] = [current, previous];
+    [previousBass, currentBass] = [currentBass, previousBass];
+  }
+
+  return { onsets: normalizeOnsets(onsets), bassOnsets: normalizeOnsets(bassOnsets), energy };
+}
+
+/**
+ * Remove the local average from an onset curve so only peaks remain
+ */
+function normalizeOnsets(values) {
+  const radius = 8;
+  const result = new Float32Array(values.length);
+  for (let i = 0; i < values.length; i++) {
+    let sum = 0;
+    let count = 0;
+    for (let j = Math.max(0, i - radius); j <= Math.min(values.length - 1, i + radius); j++) {
+      sum += values[j];
+      count++;
+    }
+    result[i] = Math.max(0, values[i] - sum / count);
+  }
+  return result;
+}
+
+/**
+ * Estimate the beat period by autocorrelating the onset curve
+ * @returns {number} Beat period in frames (fractional)
+ */
+function estimatePeriod(onsets, framesPerSecond, options) {
+  const minLag = Math.floor(framesPerSecond * 60 / options.maxBpm);
+  const maxLag = Math.ceil(framesPerSecond * 60 / options.minBpm);
+
+  const scores = new Float64Array(maxLag + 2);
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = lag; i < onsets.length; i++) {
+      sum += onsets[i] * onsets[i - lag];
+    }
+    scores[lag] = sum / (onsets.length - lag);
+  }
+
+  // Weight towards the preferred tempo so half/double speed readings lose
+  let bestLag = minLag;
+  let bestScore = -Infinity;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const bpm = framesPerSecond * 60 / lag;
+    const weight = Math.exp(-0.5 * (Math.log2(bpm / PREFERRED_BPM)) ** 2);
+    const score = scores[lag] * weight;
+    if (score > bestScore) {
+      bestScore = score;
+      bestLag = lag;
+    }
+  }
+
+  // Refine between lags with a parabola through the neighbours
+  const left = scores[bestLag - 1];
+  const middle = scores[bestLag];
+  const right = scores[bestLag + 1];
+  const curve = left - 2 * middle + right;
+  const shift = curve < 0 ? 0.5 * (left - right) / curve : 0;
+
+  return bestLag + Math.max(-0.5, Math.min(0.5, shift));
+}
+
+/**
+ * Fine-tune the beat period against the whole track. Autocorrelation is only
+ * accurate to about a frame, which drifts by a beat within a minute or two;
+ * lining a beat grid up with every onset in the track pins it down much closer.
+ * @returns {number} Beat period in frames (fractional)
+ */
+function refinePeriod(onsets, period) {
+  let bestPeriod = period;
+  let bestScore = -Infinity;
+  for (let candidate = period - 1; candidate <= period + 1; candidate += 0.01) {
+    for (let phase = 0; phase < candidate; phase += 0.5) {
+      const score = sumAlongGrid(onsets, phase, candidate);
+      if (score > bestScore) {
+        bestScore = score;
+        bestPeriod = candidate;
+      }
+    }
+  }
+  return bestPeriod;
+}
+
+/**
+ * Sum an onset curve along a grid of evenly spaced positions
+ */
+function sumAlongGrid(onsets, start, spacing) {
+  let sum = 0;
+  for (let position = start; position < onsets.length; position += spacing) {
+    sum += onsets[Math.round(position)] ?? 0;
+  }
+  return sum;
+}
+
+/**
+ * Find where the beats fall (phase), then which of them start bars (downbeats)
+ * @returns {number} Frame of the first downbeat in the track (fractional)
+ */
+function findDownbeatPhase(onsets, bassOnsets, period) {
+  let beatPhase = 0;
+  let bestScore = -Infinity;
+  for (let phase = 0; phase < period; phase += 0.25) {
+    const score = sumAlongGrid(onsets, phase, period);
+    if (score > bestScore) {
+      bestScore = score;
+      beatPhase = phase;
+    }
+  }
+
+  // The bass (kick drum) hits hardest on the first beat of the bar
+  let downbeat = beatPhase;
+  bestScore = -Infinity;
+  for (let beat = 0; beat < BEATS_PER_BAR; beat++) {
+    const start = beatPhase + beat * period;
+    const score = sumAlongGrid(bassOnsets, start, period * BEATS_PER_BAR);
+    if (score > bestScore) {
+      bestScore = score;
+      downbeat = start;
+    }
+  }
+
+  return downbeat;
+}
+
+/**
+ * Find when the music becomes audible
+ * @returns {number} Frame index
+ */
+function findMusicStart(energy) {
+  const loudest = energy.reduce((max, value) => Math.max(max, value), 0);
+  const index = energy.findIndex(value => value >= loudest * START_THRESHOLD);
+  return Math.max(0, index);
+}
+
+/**
+ * Estimate tempo and first downbeat of a decoded track
+ * @returns {{bpm: number, offset: number, musicStart: number, duration: number}}
+ */
+function detectBeat(samples, sampleRate, options) {
+  const framesPerSecond = sampleRate / HOP_SIZE;
+  const { onsets, bassOnsets, energy } = analyzeFrames(samples, sampleRate);
+  if (onsets.length < framesPerSecond * 4) {
+    throw new Error('track is too short to analyze (needs at least a few seconds)');
+  }
+
+  const period = refinePeriod(onsets, estimatePeriod(onsets, framesPerSecond, options));
+  const bpm = Math.round(framesPerSecond * 60 / period * 100) / 100;
+
+  // Onsets are measured between frames; the sound starts half a hop earlier
+  const frameToSeconds = frame => (frame * HOP_SIZE + FRAME_SIZE / 2 - HOP_SIZE / 2) / sampleRate;
+  const barSeconds = 60 / bpm * BEATS_PER_BAR;
+  const musicStart = frameToSeconds(findMusicStart(energy));
+
+  // Step whole bars from the detected downbeat to the first one once the music
+  // has started (allowing a little slack) and not before --after
+  const earliest = Math.max(musicStart - 0.05, options.after);
+  let offset = frameToSeconds(findDownbeatPhase(onsets, bassOnsets, period));
+  offset -= Math.floor((offset - earliest) / barSeconds) * barSeconds;
+  if (offset < earliest) {
+    offset += barSeconds;
+  }
+
+  return {
+    bpm,
+    offset: Math.round(Math.max(0, offset) * 1000) / 1000,
+    musicStart,
+    duration: samples.length / sampleRate
+  };
+}
+
+/**
+ * Path to use for music.track: relative to public/ (where the game loads it from),
+ * or null if the file isn't in public/
+ */
+function getTrackPath(audioPath) {
+  const relative = path.relative(PUBLIC_DIR, audioPath);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    return null;
+  }
+  return relative.split(path.sep).join('/');
+}
+
+/**
+ * Write the detected timing into a level file
+ */
+function updateLevel(levelPath, audioPath, result, dryRun) {
+  const levelData = JSON.parse(fs.readFileSync(levelPath, 'utf8'));
+  const track = getTrackPath(audioPath);
+
+  levelData.music = {
+    track: track ?? levelData.music?.track,
+    bpm: result.bpm,
+    offset: result.offset
+  };
+
+  // Platforms follow music.bpm - keep the level's own bpm from contradicting it
+  if (levelData.bpm !== undefined) {
+    levelData.bpm = result.bpm;
+  }
+
+  const problems = validateLevelData(levelData);
+  if (problems.length > 0) {
+    throw new Error(`${path.basename(levelPath)} would be invalid:\n${formatValidationErrors(problems)}`);
+  }
+
+  const name = path.relative(process.cwd(), levelPath);
+  if (!track) {
+    console.log(`  Note: ${path.relative(process.cwd(), audioPath)} is not in public/, so music.track was left as it was`);
+  }
+
+  if (dryRun) {
+    console.log(`\nWould write to ${name}:`);
+    console.log(`  "music": ${JSON.stringify(levelData.music)}`);
+    return;
+  }
+
+  fs.writeFileSync(levelPath, LevelDataLoader.stringifyLevelData(levelData));
+  console.log(`\n✓ Updated ${name}`);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const { audioFile, levelFile, options } = parseArgs(process.argv.slice(2));
+  const audioPath = path.resolve(audioFile);
+
+  console.log(`Analyzing ${path.relative(process.cwd(), audioPath)}...`);
+  const { samples, sampleRate } = await decodeAudio(audioPath);
+  const result = detectBeat(samples, sampleRate, options);
+
+  console.log(`  Length:          ${result.duration.toFixed(1)}s`);
+  console.log(`  Music starts at: ${result.musicStart.toFixed(3)}s`);
+  console.log(`  BPM:             ${result.bpm}`);
+  console.log(`  First downbeat:  ${result.offset.toFixed(3)}s${options.after > 0 ? ` (at or after ${options.after}s)` : ''}`);
+
+  if (levelFile) {
+    updateLevel(path.resolve(LEVELS_DIR, levelFile), audioPath, result, options.dryRun);
+  }
+}
+
+main().catch(error => {
+  console.error(`✗ ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Leaderboard Server
+ * A small leaderboard server for developing and testing online leaderboards,
+ * keeping its scores in a JSON file. Point the game at it with VITE_LEADERBOARD_URL
+ * (see src/core/LeaderboardClient.js).
+ *
+ * Usage:
+ *   node scripts/leaderboard-server.js
+ *   node scripts/leaderboard-server.js --port 9000 --data /tmp/scores.json
+ *   VITE_LEADERBOARD_URL=http://localhost:8787 pnpm dev   # in another terminal
+ *
+ * Options:
+ *   --port <port>   Port to listen on (default 8787)
+ *   --data <file>   Scores file (default leaderboard-data.json in the project root)
+ *
+ * API (JSON, CORS open to any origin):
+ *   GET  /levels/:levelId/scores                   -> {levelId, hash, entries}
+ *   GET  /levels/:levelId/scores/:entryId/replay   -> the entry's replay
+ *   POST /levels/:levelId/scores                   <- {hash, name, color, time, stars, replay}
+ *                                                  -> 201 {rank, entry}
+ *
+ * Entries are {id, name, color, time, date, stars, hasReplay}, fastest first.
+ * Only levels in public/levels/manifest.json are accepted, and a run's hash must
+ * match the level file as it is now (see src/levels/LevelHash.js) - runs on an
+ * edited copy get 409. Editing a level file doesn't clear its old scores.
+ * Replays are checked to be well-formed, but not played back - nothing checks
+ * that a run's time is what its replay takes, so a forged time gets through.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { validateReplay } from '../src/input/Replay.js';
+import { hashLevelData } from '../src/levels/LevelHash.js';
+import { MAX_STARS } from '../src/levels/StarRating.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const LEVELS_DIR = path.join(__dirname, '../public/levels');
+const MANIFEST_PATH = path.join(LEVELS_DIR, 'manifest.json');
+const DEFAULT_DATA_PATH = path.join(__dirname, '../leaderboard-data.json');
+
+// Entries shown per level, and kept per level
+const ENTRIES_SHOWN = 10;
+const MAX_ENTRIES = 100;
+
+// Largest request body accepted (replays of long runs are a few hundred KB)
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// Longest player name (matches #player-name in index.html)
+const MAX_NAME_LENGTH = 20;
+
+/**
+ * Error answered with an HTTP status and {error: message}
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function parseArgs(argv) {
+  const options = { port: 8787, data: DEFAULT_DATA_PATH };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') {
+      options.port = Number(argv[++i]);
+    } else if (arg === '--data') {
+      options.data = path.resolve(argv[++i]);
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  if (!Number.isInteger(options.port) || options.port <= 0) {
+    throw new Error('--port must be a port number');
+  }
+  return options;
+}
+
+/**
+ * @returns {Object} {levels: {levelId: [entry with replay, ...]}}
+ */
+function loadScores(dataPath) {
+  if (!fs.existsSync(dataPath)) {
+    return { levels: {} };
+  }
+  return JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+}
+
+function saveScores(dataPath, scores) {
+  fs.writeFileSync(dataPath, JSON.stringify(scores));
+}
+
+/**
+ * Hash of a manifest level as its file is now
+ * @param {string} levelId
+ * @returns {string|null} null if the manifest has no such level
+ */
+function getLevelHash(levelId) {
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+  const level = manifest.levels.find((entry) => entry.id === levelId);
+  if (!level) {
+    return null;
+  }
+  const levelData = JSON.parse(fs.readFileSync(path.join(LEVELS_DIR, level.file), 'utf8'));
+  return hashLevelData(levelData);
+}
+
+/**
+ * Check a submitted run
+ * @returns {Object} The entry to store
+ * @throws {HttpError} 400 if the run isn't valid
+ */
+function parseRun(levelId, run) {
+  if (!run || typeof run !== 'object') {
+    throw new HttpError(400, 'expected a JSON object');
+  }
+  const { name, color, time, stars, replay } = run;
+  if (typeof name !== 'string' || name.trim() === '' || name.length > MAX_NAME_LENGTH) {
+    throw new HttpError(400, `name must be 1-${MAX_NAME_LENGTH} characters`);
+  }
+  if (typeof color !== 'string' || !/^#[0-9a-f]{6}$/i.test(color)) {
+    throw new HttpError(400, 'color must be a hex color like #fa8072');
+  }
+  if (typeof time !== 'number' || !(time > 0)) {
+    throw new HttpError(400, 'time must be a positive number of seconds');
+  }
+  if (!Number.isInteger(stars) || stars < 1 || stars > MAX_STARS) {
+    throw new HttpError(400, `stars must be 1-${MAX_STARS}`);
+  }
+  if (replay != null) {
+    try {
+      validateReplay(replay);
+    } catch (error) {
+      throw new HttpError(400, `replay can't be played back: ${error.message}`);
+    }
+    if (replay.level.id !== levelId) {
+      throw new HttpError(400, `replay isn't of ${levelId}`);
+    }
+  }
+
+  return {
+    id: randomUUID(),
+    name: name.trim(),
+    color,
+    time,
+    date: new Date().toISOString(),
+    stars,
+    replay: replay || null
+  };
+}
+
+/**
+ * Entry as listed - replays are fetched one at a time
+ */
+function listEntry({ replay, ...entry }) {
+  return { ...entry, hasReplay: !!replay };
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'request too large'));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+function send(response, status, body) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * @returns {Promise<Array>} [status, body]
+ */
+async function handle(request, options) {
+  if (request.method === 'OPTIONS') {
+    return [204, undefined];
+  }
+
+  const { pathname } = new URL(request.url, 'http://localhost');
+  const match = pathname.match(/^\/levels\/([^/]+)\/scores(?:\/([^/]+)\/replay)?\/?$/);
+  if (!match) {
+    throw new HttpError(404, 'not found');
+  }
+  const levelId = decodeURIComponent(match[1]);
+  const entryId = match[2] && decodeURIComponent(match[2]);
+
+  const hash = getLevelHash(levelId);
+  if (!hash) {
+    throw new HttpError(404, `no level ${levelId}`);
+  }
+
+  const scores = loadScores(options.data);
+  const entries = scores.levels[levelId] || [];
+
+  if (request.method === 'GET' && entryId) {
+    const entry = entries.find((candidate) => candidate.id === entryId);
+    if (!entry?.replay) {
+      throw new HttpError(404, 'no replay for that entry');
+    }
+    return [200, entry.replay];
+  }
+
+  if (request.method === 'GET') {
+    return [200, { levelId, hash, entries: entries.slice(0, ENTRIES_SHOWN).map(listEntry) }];
+  }
+
+  if (request.method === 'POST' && !entryId) {
+    let run;
+    try {
+      run = JSON.parse(await readBody(request));
+    } catch (error) {
+      throw error instanceof HttpError ? error : new HttpError(400, `invalid JSON: ${error.message}`);
+    }
+    // The hash only shows the run was on this version of the level. The time itself
+    // is taken on trust - checking it would mean simulating the replay.
+    if (run?.hash !== hash) {
+      throw new HttpError(409, `${levelId} has changed since this run - its hash is ${hash}, not ${run?.hash}`);
+    }
+
+    const entry = parseRun(levelId, run);
+    const updated = [...entries, entry].sort((a, b) => a.time - b.time).slice(0, MAX_ENTRIES);
+    scores.levels[levelId] = updated;
+    saveScores(options.data, scores);
+
+    const rank = updated.indexOf(entry);
+    console.log(`${levelId}: ${entry.name} ${entry.time.toFixed(2)}s (${rank === -1 ? 'not kept' : `#${rank + 1}`})`);
+    return [201, { rank, entry: listEntry(entry) }];
+  }
+
+  throw new HttpError(405, `${request.method} not allowed here`);
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const server = http.createServer(async (request, response) => {
+    try {
+      const [status, body] = await handle(request, options);
+      send(response, status, body);
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        console.error(error);
+      }
+      send(response, error.status || 500, { error: error.message });
+    }
+  });
+
+  server.listen(options.port, () => {
+    console.log(`Leaderboard server on http://localhost:${options.port}, scores in ${options.data}`);
+  });
+}
+
+main();
@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+
+/**
+ * Level Linter
+ * Checks public/levels/manifest.json and every level it lists against the
+ * level schema, plus a few rules the schema can't express (palette indices,
+ * overlapping platforms, conflicting tempos). Exits non-zero if anything has problems.
+ * A file that doesn't match the schema only gets its schema problems reported -
+ * the other checks run once it does.
+ *
+ * Usage:
+ *   node scripts/lint-levels.js              # lint the manifest and every level
+ *   node scripts/lint-levels.js level1.json  # lint specific files
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateLevelData, validateManifest } from '../src/levels/LevelValidator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const LEVELS_DIR = path.join(__dirname, '../public/levels');
+const MANIFEST_PATH = path.join(LEVELS_DIR, 'manifest.json');
+
+// Platforms closer than this (in units) aren't considered overlapping
+const OVERLAP_TOLERANCE = 0.001;
+
+/**
+ * Read a JSON file, turning read/parse failures into problems
+ * @returns {{data: Object|null, problems: Array}}
+ */
+function readJson(filePath) {
+  try {
+    return { data: JSON.parse(fs.readFileSync(filePath, 'utf8')), problems: [] };
+  } catch (error) {
+    const message = error.code === 'ENOENT' ? 'file not found' : `invalid JSON: ${error.message}`;
+    return { data: null, problems: [{ path: '$', message }] };
+  }
+}
+
+/**
+ * Lint the manifest and find the level files it lists
+ * @returns {{files: Array<string>, problems: Array}}
+ */
+function lintManifest() {
+  const { data: manifest, problems } = readJson(MANIFEST_PATH);
+  if (problems.length > 0) {
+    return { files: [], problems };
+  }
+
+  problems.push(...validateManifest(manifest));
+  const levels = Array.isArray(manifest?.levels) ? manifest.levels : [];
+  const listed = levels
+    .map(level => level?.file)
+    .filter(file => typeof file === 'string');
+
+  // Level files that exist but can't be reached from the level select screen
+  fs.readdirSync(LEVELS_DIR)
+    .filter(file => /^level\d+\.json$/.test(file) && !listed.includes(file))
+    .forEach(file => {
+      problems.push({ path: '$.levels', message: `${file} is not listed in the manifest` });
+    });
+
+  return { files: listed.map(file => path.join(LEVELS_DIR, file)), problems };
+}
+
+/**
+ * Check that every colorIndex points into the level's colorPalette
+ */
+function checkColorIndices(levelData) {
+  const problems = [];
+  const paletteSize = Array.isArray(levelData.colorPalette) ? levelData.colorPalette.length : 0;
+
+  const checkIndex = (colorIndex, jsonPath) => {
+    if (Number.isInteger(colorIndex) && colorIndex >= paletteSize) {
+      problems.push({
+        path: jsonPath,
+        message: paletteSize === 0
+          ? `colorIndex ${colorIndex} used but the level has no colorPalette`
+          : `colorIndex ${colorIndex} is beyond colorPalette (${paletteSize} colors, max index ${paletteSize - 1})`
+      });
+    }
+  };
+
+  (levelData.platforms || []).forEach((platform, i) => {
+    const states = platform.states;
+    if (!states) return;
+
+    checkIndex(states.startState?.colorIndex, `$.platforms[${i}].states.startState.colorIndex`);
+    (states.transitions || []).forEach((transition, j) => {
+      checkIndex(
+        transition.transforms?.colorIndex,
+        `$.platforms[${i}].states.transitions[${j}].transforms.colorIndex`
+      );
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Check that the level's bpm agrees with its music's bpm.
+ * The music's tempo is the one platforms follow, so a different level bpm is misleading.
+ */
+function checkMusicTempo(levelData) {
+  const musicBpm = levelData.music?.bpm;
+  if (typeof musicBpm !== 'number' || typeof levelData.bpm !== 'number' || musicBpm === levelData.bpm) {
+    return [];
+  }
+
+  return [{
+    path: '$.bpm',
+    message: `bpm ${levelData.bpm} differs from music.bpm ${musicBpm} (platforms follow music.bpm)`
+  }];
+}
+
+/**
+ * Check that no two static platforms intersect.
+ * Moving platforms are skipped since their bounds change over time.
+ */
+function checkOverlappingPlatforms(levelData) {
+  const problems = [];
+
+  const boxes = (levelData.platforms || [])
+    .map((platform, index) => ({ platform, index }))
+    .filter(({ platform }) => platform.type === 'static' && platform.position && platform.size)
+    .map(({ platform, index }) => ({
+      index,
+      min: {
+        x: platform.position.x - platform.size.width / 2,
+        y: platform.position.y - platform.size.height / 2,
+        z: platform.position.z - platform.size.depth / 2
+      },
+      max: {
+        x: platform.position.x + platform.size.width / 2,
+        y: platform.position.y + platform.size.height / 2,
+        z: platform.position.z + platform.size.depth / 2
+      }
+    }));
+
+  for (let i = 0; i < boxes.length; i++) {
+    for (let j = i + 1; j < boxes.length; j++) {
+      const a = boxes[i];
+      const b = boxes[j];
+      const overlaps = ['x', 'y', 'z'].every(axis =>
+        a.min[axis] < b.max[axis] - OVERLAP_TOLERANCE &&
+        b.min[axis] < a.max[axis] - OVERLAP_TOLERANCE
+      );
+
+      if (overlaps) {
+        problems.push({
+          path: `$.platforms[${a.index}]`,
+          message: `static platform overlaps static platform $.platforms[${b.index}]`
+        });
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Lint a single level file
+ * @returns {Array<{path: string, message: string}>} Problems found
+ */
+function lintFile(filePath) {
+  const { data: levelData, problems } = readJson(filePath);
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  const schemaProblems = validateLevelData(levelData);
+  if (schemaProblems.length > 0) {
+    // The checks below expect the level's shape to be right - a malformed file
+    // (e.g. platforms that aren't objects) gets its schema problems fixed first
+    return schemaProblems;
+  }
+
+  return [
+    ...checkColorIndices(levelData),
+    ...checkMusicTempo(levelData),
+    ...checkOverlappingPlatforms(levelData)
+  ];
+}
+
+/**
+ * Main function
+ */
+function main() {
+  const args = process.argv.slice(2);
+  const results = [];
+
+  if (args.length > 0) {
+    args.forEach(arg => {
+      const filePath = path.resolve(LEVELS_DIR, arg);
+      results.push({ filePath, problems: lintFile(filePath) });
+    });
+  } else {
+    const manifest = lintManifest();
+    results.push({ filePath: MANIFEST_PATH, problems: manifest.problems });
+    manifest.files.forEach(filePath => {
+      results.push({ filePath, problems: lintFile(filePath) });
+    });
+  }
+
+  let totalProblems = 0;
+  let filesWithProblems = 0;
+
+  results.forEach(({ filePath, problems }) => {
+    const name = path.relative(process.cwd(), filePath);
+
+    if (problems.length === 0) {
+      console.log(`✓ ${name}`);
+      return;
+    }
+
+    filesWithProblems++;
+    totalProblems += problems.length;
+
+    console.log(`✗ ${name}`);
+    problems.forEach(problem => {
+      console.log(`    ${problem.path}: ${problem.message}`);
+    });
+  });
+
+  console.log('');
+  if (totalProblems === 0) {
+    console.log(`All ${results.length} file(s) passed.`);
+  } else {
+    console.log(`${totalProblems} problem(s) in ${filesWithProblems} of ${results.length} file(s).`);
+    process.exitCode = 1;
+  }
+}
+
+// Run the linter
+main();
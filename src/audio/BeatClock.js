@@ -0,0 +1,43 @@
+/**
+ * Level-wide beat clock derived from the background music's playback time.
+ * Every moving platform samples the same beat each frame, so they stay in sync
+ * with the music and each other no matter how uneven the frame rate is.
+ */
+export class BeatClock {
+  /**
+   * @param {SoundManager} soundManager - Plays the music the clock follows
+   * @param {Object} [timing]
+   * @param {number} [timing.bpm=120] - Beats per minute of the music
+   * @param {number} [timing.offset=0] - Seconds into the music where beat 0 is
+   */
+  constructor(soundManager, timing = {}) {
+    this.soundManager = soundManager;
+    this.setTiming(timing);
+  }
+
+  /**
+   * Change the tempo or start offset (e.g. when the level data is reloaded)
+   * @param {Object} timing - {bpm, offset}, see constructor
+   */
+  setTiming({ bpm = 120, offset = 0 } = {}) {
+    this.bpm = bpm;
+    this.offset = offset;
+  }
+
+  /**
+   * Get seconds since beat 0 (negative before the offset is reached)
+   * @returns {number}
+   */
+  getTime() {
+    const musicTime = this.soundManager ? this.soundManager.getMusicTime() : 0;
+    return musicTime - this.offset;
+  }
+
+  /**
+   * Get the current beat (fractional, negative before the offset is reached)
+   * @returns {number}
+   */
+  getBeat() {
+    return this.getTime() * this.bpm / 60;
+  }
+}
@@ -0,0 +1,51 @@
+// How far ahead clicks are scheduled, so they land on the beat rather than on the next frame
+const LOOKAHEAD_SECONDS = 0.1;
+const BEATS_PER_BAR = 4;
+
+/**
+ * Optional click track that plays on every beat of a BeatClock,
+ * with an accented click on the first beat of each bar.
+ */
+export class Metronome {
+  /**
+   * @param {SoundManager} soundManager - Plays the clicks
+   */
+  constructor(soundManager) {
+    this.soundManager = soundManager;
+    this.volume = 0.4;
+    this.lastScheduledBeat = -1;
+
+    // Clicks are generated rather than loaded, so there's nothing to wait for
+    if (!soundManager.soundBuffers.has('click')) {
+      soundManager.createToneSound('click', 1000, 0.05);
+      soundManager.createToneSound('click-accent', 1500, 0.05);
+    }
+  }
+
+  /**
+   * Schedule the click for the next beat once it's close enough.
+   * Call every frame while the metronome is on.
+   * @param {BeatClock} beatClock - Clock to click along with
+   */
+  update(beatClock) {
+    const beat = beatClock.getBeat();
+
+    // The clock went back (e.g. the music restarted) - start counting again
+    if (beat < this.lastScheduledBeat - 1) {
+      this.lastScheduledBeat = -1;
+    }
+
+    const nextBeat = Math.ceil(beat);
+    if (nextBeat < 0 || nextBeat <= this.lastScheduledBeat) return;
+
+    const secondsUntilBeat = (nextBeat - beat) * 60 / beatClock.bpm;
+    if (secondsUntilBeat > LOOKAHEAD_SECONDS) return;
+
+    const isDownbeat = nextBeat % BEATS_PER_BAR === 0;
+    this.soundManager.playSound(isDownbeat ? 'click-accent' : 'click', this.volume, {
+      delay: secondsUntilBeat,
+      bus: 'ui'
+    });
+    this.lastScheduledBeat = nextBeat;
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * Plays sounds for gameplay events, as described by a sound map
+ * (public/assets/sounds.json):
+ *
+ *   sounds: name -> file path, or { tone, duration } for a generated blip
+ *   events: GameEvent type -> list of cues, each
+ *     { sound, volume?, bus?, positional?, when? }
+ *
+ * A cue with `when` only plays if every key in it matches the event's detail
+ * (e.g. { "source": "turret" }). Positional cues play from the event's position.
+ */
+export class SoundEvents {
+  /**
+   * @param {SoundManager} soundManager - Plays the sounds
+   * @param {GameEvents} events - Bus to listen to
+   */
+  constructor(soundManager, events) {
+    this.soundManager = soundManager;
+    this.events = events;
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Load a sound map, its sounds, and start playing its cues.
+   * Replaces any map loaded before.
+   * @param {string} path - Path to the sound map JSON
+   * @returns {Promise<void>}
+   */
+  async load(path) {
+    const response = await fetch(path);
+    if (!response.ok) {
+      throw new Error(`Failed to load sound map: ${response.statusText}`);
+    }
+    const soundMap = await response.json();
+
+    // One missing file shouldn't silence every other sound
+    const loads = Object.entries(soundMap.sounds || {}).map(([name, source]) =>
+      this.loadSound(name, source).catch((error) => {
+        console.error(`Error loading sound ${name} from sound map:`, error);
+      })
+    );
+    await Promise.all(loads);
+
+    this.listen(soundMap.events || {});
+  }
+
+  /**
+   * @param {string} name - Name cues refer to the sound by
+   * @param {string|Object} source - File path, or { tone, duration }
+   * @returns {Promise<AudioBuffer>}
+   */
+  loadSound(name, source) {
+    if (typeof source === 'string') {
+      return this.soundManager.loadSound(name, source);
+    }
+    return Promise.resolve(this.soundManager.createToneSound(name, source.tone, source.duration));
+  }
+
+  /**
+   * Subscribe to each event in the map
+   * @param {Object} cuesByEvent - GameEvent type -> list of cues
+   */
+  listen(cuesByEvent) {
+    this.stopListening();
+
+    Object.entries(cuesByEvent).forEach(([type, cues]) => {
+      this.unsubscribers.push(
+        this.events.on(type, (detail) => {
+          cues.forEach((cue) => this.playCue(cue, detail));
+        })
+      );
+    });
+  }
+
+  stopListening() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
+  }
+
+  /**
+   * @param {Object} cue - Entry from the sound map
+   * @param {Object} detail - Event detail
+   */
+  playCue(cue, detail) {
+    if (cue.when && !Object.entries(cue.when).every(([key, value]) => detail[key] === value)) {
+      return;
+    }
+
+    const volume = cue.volume ?? 1.0;
+    if (cue.positional && detail.position) {
+      this.soundManager.playSoundAt(cue.sound, detail.position, volume);
+    } else {
+      this.soundManager.playSound(cue.sound, volume, { bus: cue.bus || 'sfx' });
+    }
+  }
+}
@@ -1,16 +1,102 @@
 import * as THREE from 'three';
 
+// Volume of each bus at full user volume, so music sits under sound effects
+const BUS_MIX = { music: 0.3, sfx: 1, ui: 1 };
+
+// Positional sounds share a fixed pool of voices; when all are busy the oldest is cut off
+const MAX_POSITIONAL_VOICES = 8;
+
+// Distance attenuation for positional sounds: full volume within REF_DISTANCE units,
+// then falling off with distance (inverse model)
+const POSITIONAL_REF_DISTANCE = 6;
+const POSITIONAL_ROLLOFF = 1;
+
+// Music volume while ducked (game paused), relative to normal, and how fast it fades
+const DUCKED_MUSIC_VOLUME = 0.25;
+const DUCK_FADE_SECONDS = 0.3;
+
+export const DEFAULT_AUDIO_SETTINGS = {
+  master: 1,
+  music: 1,
+  sfx: 1,
+  ui: 1,
+  muted: false
+};
+
 /**
  * Manages all audio in the game
- * Handles loading, caching, and playing sounds with 3D positional audio
+ * Handles loading, caching, and playing sounds with 3D positional audio.
+ * Every sound plays through a mix bus (music, sfx or ui), which all feed a master bus:
+ *
+ *   music -> music duck -+
+ *   sfx ----------------+-> master -> listener
+ *   ui -----------------+
  */
 export class SoundManager {
-  constructor(audioListener) {
+  /**
+   * @param {THREE.AudioListener} audioListener - Listener attached to the camera
+   * @param {THREE.Scene} scene - Scene positional sounds are placed in
+   */
+  constructor(audioListener, scene) {
     this.audioListener = audioListener;
+    this.scene = scene;
+    this.settings = { ...DEFAULT_AUDIO_SETTINGS };
+    this.createBuses();
     this.audioLoader = new THREE.AudioLoader();
     this.soundBuffers = new Map(); // Cache loaded sound buffers
-    this.activeSounds = []; // Track active positional audio sources
+    this.pendingTracks = new Map(); // Music tracks being loaded, by path
+    this.activeSounds = []; // Track active non-positional sounds
+    this.positionalVoices = []; // Pool of THREE.PositionalAudio, created as needed
     this.backgroundMusic = null; // Background music instance
+    this.backgroundMusicName = null; // Name of the sound playing as background music
+    this.musicPlayedTime = 0; // Seconds of music played before the last pause
+    this.musicResumedAt = 0; // Audio context time the music last (re)started
+  }
+
+  createBuses() {
+    const context = this.audioListener.context;
+    this.buses = {
+      master: context.createGain(),
+      music: context.createGain(),
+      sfx: context.createGain(),
+      ui: context.createGain()
+    };
+
+    // Ducking has its own gain so it doesn't fight the user's music volume
+    this.musicDuck = context.createGain();
+
+    this.buses.master.connect(this.audioListener.getInput());
+    this.buses.music.connect(this.musicDuck);
+    this.musicDuck.connect(this.buses.master);
+    this.buses.sfx.connect(this.buses.master);
+    this.buses.ui.connect(this.buses.master);
+
+    this.applyAudioSettings(this.settings);
+  }
+
+  /**
+   * Set bus volumes from the player's audio settings
+   * @param {Object} settings - {master, music, sfx, ui} volumes (0-1) and muted
+   */
+  applyAudioSettings(settings) {
+    this.settings = { ...DEFAULT_AUDIO_SETTINGS, ...settings };
+
+    const now = this.audioListener.context.currentTime;
+    const master = this.settings.muted ? 0 : this.settings.master;
+    this.buses.master.gain.setTargetAtTime(master, now, 0.01);
+    Object.keys(BUS_MIX).forEach((bus) => {
+      this.buses[bus].gain.setTargetAtTime(this.settings[bus] * BUS_MIX[bus], now, 0.01);
+    });
+  }
+
+  /**
+   * Send a sound's output to a mix bus instead of straight to the listener
+   * @param {THREE.Audio} sound - Sound to route
+   * @param {string} bus - 'music', 'sfx' or 'ui'
+   */
+  routeToBus(sound, bus) {
+    sound.gain.disconnect();
+    sound.gain.connect(this.buses[bus] || this.buses.sfx);
   }
 
   /**
@@ -37,13 +123,58 @@ export class SoundManager {
     });
   }
 
+  /**
+   * Load a music track on demand. Tracks are cached under their path,
+   * so each one is only downloaded once however many levels use it.
+   * @param {string} path - Path to the audio file (also the name to play it by)
+   * @returns {Promise<AudioBuffer>}
+   */
+  loadMusicTrack(path) {
+    if (this.soundBuffers.has(path)) {
+      return Promise.resolve(this.soundBuffers.get(path));
+    }
+
+    // Share one download between levels that ask while it's loading
+    if (!this.pendingTracks.has(path)) {
+      const loading = this.loadSound(path, path).finally(() => {
+        this.pendingTracks.delete(path);
+      });
+      this.pendingTracks.set(path, loading);
+    }
+    return this.pendingTracks.get(path);
+  }
+
+  /**
+   * Generate a short decaying sine "blip" and cache it like a loaded sound
+   * @param {string} name - Name to reference this sound by
+   * @param {number} frequency - Pitch in Hz
+   * @param {number} duration - Length in seconds
+   * @returns {AudioBuffer}
+   */
+  createToneSound(name, frequency, duration) {
+    const context = this.audioListener.context;
+    const buffer = context.createBuffer(1, Math.ceil(duration * context.sampleRate), context.sampleRate);
+    const samples = buffer.getChannelData(0);
+
+    for (let i = 0; i < samples.length; i++) {
+      const t = i / context.sampleRate;
+      samples[i] = Math.sin(2 * Math.PI * frequency * t) * Math.exp(-t * 8 / duration);
+    }
+
+    this.soundBuffers.set(name, buffer);
+    return buffer;
+  }
+
   /**
    * Play a sound (non-positional)
    * @param {string} name - Name of the sound to play
-   * @param {number} volume - Volume (0-1)
+   * @param {number} volume - Volume (0-1), relative to its bus
+   * @param {Object} [options]
+   * @param {number} [options.delay=0] - Seconds from now to start playing (for sounds timed to the beat)
+   * @param {string} [options.bus='sfx'] - Mix bus to play through ('sfx' or 'ui')
    * @returns {THREE.Audio|null}
    */
-  playSound(name, volume = 1.0) {
+  playSound(name, volume = 1.0, { delay = 0, bus = 'sfx' } = {}) {
     const buffer = this.soundBuffers.get(name);
     if (!buffer) {
       console.warn(`Sound not loaded: ${name}`);
@@ -52,9 +183,10 @@ export class SoundManager {
 
     // Create non-positional audio
     const sound = new THREE.Audio(this.audioListener);
+    this.routeToBus(sound, bus);
     sound.setBuffer(buffer);
     sound.setVolume(volume);
-    sound.play();
+    sound.play(delay);
 
     // Track active sound
     this.activeSounds.push({ sound });
@@ -71,12 +203,74 @@ export class SoundManager {
   }
 
   /**
-   * Play background music (non-positional)
+   * Play a sound from a point in the world. It gets quieter with distance and
+   * pans to where it is relative to the camera.
+   * Uses a pooled voice; if all voices are busy, the one that started longest ago is cut off.
+   * @param {string} name - Name of the sound to play
+   * @param {Object} position - World position {x, y, z}
+   * @param {number} volume - Volume (0-1) at close range, relative to its bus
+   * @returns {THREE.PositionalAudio|null}
+   */
+  playSoundAt(name, position, volume = 1.0) {
+    const buffer = this.soundBuffers.get(name);
+    if (!buffer) {
+      console.warn(`Sound not loaded: ${name}`);
+      return null;
+    }
+
+    const voice = this.getPositionalVoice();
+    if (voice.isPlaying) {
+      voice.stop();
+    }
+
+    // Levels clear the scene when they start, taking the voices with it
+    if (voice.parent !== this.scene) {
+      this.scene.add(voice);
+    }
+
+    voice.position.set(position.x, position.y, position.z);
+    voice.updateMatrixWorld();
+    voice.setBuffer(buffer);
+    voice.setVolume(volume);
+    voice.userData.startedAt = this.audioListener.context.currentTime;
+    voice.play();
+
+    return voice;
+  }
+
+  /**
+   * Get a free positional voice: an idle one from the pool, a new one while
+   * the pool isn't full, or else the one that has been playing longest
+   * @returns {THREE.PositionalAudio}
+   */
+  getPositionalVoice() {
+    const idle = this.positionalVoices.find((voice) => !voice.isPlaying);
+    if (idle) {
+      return idle;
+    }
+
+    if (this.positionalVoices.length < MAX_POSITIONAL_VOICES) {
+      const voice = new THREE.PositionalAudio(this.audioListener);
+      voice.setRefDistance(POSITIONAL_REF_DISTANCE);
+      voice.setRolloffFactor(POSITIONAL_ROLLOFF);
+      voice.setDistanceModel('inverse');
+      this.routeToBus(voice, 'sfx');
+      this.positionalVoices.push(voice);
+      return voice;
+    }
+
+    return this.positionalVoices.reduce((oldest, voice) =>
+      voice.userData.startedAt < oldest.userData.startedAt ? voice : oldest
+    );
+  }
+
+  /**
+   * Play background music (non-positional) through the music bus
    * @param {string} name - Name of the sound to play as music
-   * @param {number} volume - Volume (0-1)
+   * @param {number} volume - Volume (0-1), relative to the music bus
    * @param {boolean} loop - Whether to loop the music
    */
-  playBackgroundMusic(name, volume = 0.5, loop = true) {
+  playBackgroundMusic(name, volume = 1.0, loop = true) {
     const buffer = this.soundBuffers.get(name);
     if (!buffer) {
       console.warn(`Sound not loaded for background music: ${name}`);
@@ -88,10 +282,15 @@ export class SoundManager {
 
     // Create non-positional audio
     this.backgroundMusic = new THREE.Audio(this.audioListener);
+    this.routeToBus(this.backgroundMusic, 'music');
+    this.unduckBackgroundMusic(0);
     this.backgroundMusic.setBuffer(buffer);
     this.backgroundMusic.setLoop(loop);
     this.backgroundMusic.setVolume(volume);
     this.backgroundMusic.play();
+    this.backgroundMusicName = name;
+    this.musicPlayedTime = 0;
+    this.musicResumedAt = this.backgroundMusic.context.currentTime;
 
     console.log(`Background music started: ${name}`);
   }
@@ -101,6 +300,7 @@ export class SoundManager {
    */
   pauseBackgroundMusic() {
     if (this.backgroundMusic && this.backgroundMusic.isPlaying) {
+      this.musicPlayedTime = this.getMusicTime();
       this.backgroundMusic.pause();
     }
   }
@@ -111,6 +311,35 @@ export class SoundManager {
   resumeBackgroundMusic() {
     if (this.backgroundMusic && !this.backgroundMusic.isPlaying) {
       this.backgroundMusic.play();
+      this.musicResumedAt = this.backgroundMusic.context.currentTime;
+    }
+  }
+
+  /**
+   * Turn the music down (e.g. while the game is paused) without stopping it,
+   * so it - and the beat moving platforms follow - keeps going
+   */
+  duckBackgroundMusic() {
+    this.fadeMusicDuck(DUCKED_MUSIC_VOLUME, DUCK_FADE_SECONDS);
+  }
+
+  /**
+   * Bring ducked music back up to its normal volume
+   * @param {number} [fadeSeconds] - How long to fade back in (0 = at once)
+   */
+  unduckBackgroundMusic(fadeSeconds = DUCK_FADE_SECONDS) {
+    this.fadeMusicDuck(1, fadeSeconds);
+  }
+
+  fadeMusicDuck(value, fadeSeconds) {
+    const gain = this.musicDuck.gain;
+    const now = this.audioListener.context.currentTime;
+    gain.cancelScheduledValues(now);
+    if (fadeSeconds > 0) {
+      // setTargetAtTime gets ~95% of the way in three time constants
+      gain.setTargetAtTime(value, now, fadeSeconds / 3);
+    } else {
+      gain.setValueAtTime(value, now);
     }
   }
 
@@ -123,18 +352,23 @@ export class SoundManager {
         this.backgroundMusic.stop();
       }
       this.backgroundMusic = null;
+      this.backgroundMusicName = null;
     }
   }
 
   /**
-   * Get current playback time of background music in seconds
-   * @returns {number} Current playback time in seconds, or 0 if no music playing
+   * Get how long the background music has been playing, in seconds of audio context time.
+   * Keeps counting across loops and doesn't include time spent paused.
+   * @returns {number} Playback time in seconds, or 0 if no music was started
    */
   getMusicTime() {
-    if (this.backgroundMusic && this.backgroundMusic.isPlaying) {
-      return this.backgroundMusic.context.currentTime - this.backgroundMusic._startedAt + this.backgroundMusic._progress;
+    if (!this.backgroundMusic) {
+      return 0;
     }
-    return 0;
+    if (!this.backgroundMusic.isPlaying) {
+      return this.musicPlayedTime;
+    }
+    return this.musicPlayedTime + this.backgroundMusic.context.currentTime - this.musicResumedAt;
   }
 
   /**
@@ -156,6 +390,12 @@ export class SoundManager {
       }
     });
     this.activeSounds = [];
+
+    this.positionalVoices.forEach((voice) => {
+      if (voice.isPlaying) {
+        voice.stop();
+      }
+    });
   }
 
   /**
@@ -163,6 +403,11 @@ export class SoundManager {
    */
   dispose() {
     this.stopAll();
+    this.positionalVoices.forEach((voice) => {
+      voice.removeFromParent();
+      voice.disconnect();
+    });
+    this.positionalVoices = [];
     this.stopBackgroundMusic();
     this.soundBuffers.clear();
   }
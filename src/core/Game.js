@@ -1,10 +1,26 @@
 import * as THREE from "three";
 import { LevelRegistry } from "../levels/LevelRegistry.js";
+import { DataDrivenLevel } from "../levels/DataDrivenLevel.js";
 import { LevelSelectMenu } from "../ui/LevelSelectMenu.js";
 import { PauseMenu } from "../ui/PauseMenu.js";
 import { GameOverMenu } from "../ui/GameOverMenu.js";
 import { WinMenu } from "../ui/WinMenu.js";
-import { SoundManager } from "../audio/SoundManager.js";
+import { LevelErrorScreen } from "../ui/LevelErrorScreen.js";
+import { LevelEditor } from "../editor/LevelEditor.js";
+import { DEFAULT_AUDIO_SETTINGS, SoundManager } from "../audio/SoundManager.js";
+import { SoundEvents } from "../audio/SoundEvents.js";
+import { GameEvents } from "./GameEvents.js";
+import { AudioSettingsPanel } from "../ui/AudioSettingsPanel.js";
+import { isTextInput } from "../editor/FlyCamera.js";
+import { GamepadInput } from "../input/GamepadInput.js";
+import { Action, InputActions, resolveBindings } from "../input/InputActions.js";
+import { isTouchDevice, TouchControls } from "../input/TouchControls.js";
+import { downloadReplay } from "../input/Replay.js";
+import { GHOST_RUN_VERSION } from "../entities/Ghost.js";
+import { ControlsPanel } from "../ui/ControlsPanel.js";
+import { Leaderboard } from "./Leaderboard.js";
+import { createLeaderboardClient } from "./LeaderboardClient.js";
+import { LeaderboardPanel } from "../ui/LeaderboardPanel.js";
 
 export const GameState = {
 	LEVEL_SELECT: "LEVEL_SELECT",
@@ -12,6 +28,8 @@ export const GameState = {
 	PAUSED: "PAUSED",
 	GAME_OVER: "GAME_OVER",
 	WIN: "WIN",
+	LEVEL_ERROR: "LEVEL_ERROR",
+	EDITOR: "EDITOR",
 };
 
 export class Game {
@@ -23,6 +41,15 @@ export class Game {
 		// Save system - track unlocked levels
 		this.saveData = this.loadSaveData();
 
+		// Fastest run of each level, raced against as a ghost
+		this.ghostRuns = this.loadGhostRuns();
+
+		// Fastest completions of each level, with who set them
+		this.leaderboard = new Leaderboard();
+
+		// Online leaderboard, if a server is configured (offline otherwise, or if it can't be reached)
+		this.leaderboardClient = createLeaderboardClient(import.meta.env.VITE_LEADERBOARD_URL);
+
 		// Three.js setup
 		this.scene = new THREE.Scene();
 		this.camera = new THREE.PerspectiveCamera(
@@ -43,7 +70,15 @@ export class Game {
 		// Audio setup
 		this.audioListener = new THREE.AudioListener();
 		this.camera.add(this.audioListener);
-		this.soundManager = new SoundManager(this.audioListener);
+		this.soundManager = new SoundManager(this.audioListener, this.scene);
+		this.soundManager.applyAudioSettings(this.getAudioSettings());
+
+		// Gameplay events (see GameEvents.js); sounds for them come from the sound map
+		this.events = new GameEvents();
+		this.soundEvents = new SoundEvents(this.soundManager, this.events);
+
+		// Volume sliders, shown by the level select screen and pause menu
+		this.audioSettingsPanel = new AudioSettingsPanel(this);
 
 		// Load sounds
 		this.loadSounds();
@@ -51,6 +86,23 @@ export class Game {
 		// Clock for delta time
 		this.clock = new THREE.Clock();
 
+		// Gamepad, polled once per frame for levels and menus to read
+		this.gamepad = new GamepadInput();
+
+		// Phones and tablets get on-screen controls, and no pointer lock (there's no mouse to capture)
+		this.isTouch = isTouchDevice();
+		this.touchControls = new TouchControls();
+
+		// Player actions (jump, shoot...) from the bound keys, mouse buttons and gamepad buttons,
+		// plus the on-screen controls
+		this.input = new InputActions(this.gamepad, this.getControlBindings(), this.touchControls);
+
+		// Rebinding screen, opened from the settings box
+		this.controlsPanel = new ControlsPanel(this);
+
+		// Leaderboard screen, opened from the level select and win screens
+		this.leaderboardPanel = new LeaderboardPanel(this);
+
 		// Current menu/level instance
 		this.currentScreen = null;
 
@@ -60,12 +112,40 @@ export class Game {
 		// Track current level number for retry
 		this.currentLevelNumber = null;
 
+		// Custom level (not in the manifest) loaded from a file or the ?level= URL parameter.
+		// Level info is {source, name, data, path} - source is the file name or path,
+		// path is only set for levels fetched from a URL.
+		this.customLevel = null;
+		this.customLevelPath = new URLSearchParams(window.location.search).get("level");
+
+		// Custom level being played, if any (instead of currentLevelNumber)
+		this.currentCustomLevel = null;
+
+		// Replay being watched (see watchReplay) - the level plays it back instead of reading input
+		this.currentReplay = null;
+
+		// Replay of the last level played, kept for the game over and win screens' Save Replay
+		this.lastReplay = null;
+
+		// Last completed run, for the win screen ({levelKey, time, previousBest, isRecord, stats, rating, leaderboardRank})
+		this.lastRunResult = null;
+
+		// Level open in the editor, kept while play-testing so the editor can pick up where it left off
+		this.editorLevelData = null;
+
 		// Handle window resize
 		window.addEventListener("resize", () => this.onResize());
 
 		// Centralized pause/unpause handling
 		this.setupPauseHandling();
 
+		// M mutes/unmutes on every screen (but not while typing a name)
+		window.addEventListener("keydown", (event) => {
+			if (event.key.toLowerCase() === "m" && !isTextInput(event.target)) {
+				this.toggleMute();
+			}
+		});
+
 		// Initialize first state
 		this.changeState(GameState.LEVEL_SELECT);
 	}
@@ -92,8 +172,8 @@ export class Game {
 
 	async loadSounds() {
 		try {
-			await this.soundManager.loadSound('projectile', 'assets/projectile.mp3');
-			await this.soundManager.loadSound('music', 'assets/song.mp3');
+			// Music tracks are loaded per level, on demand (see startLevelMusic)
+			await this.soundEvents.load('assets/sounds.json');
 		} catch (error) {
 			console.error('Error loading sounds:', error);
 		}
@@ -102,28 +182,226 @@ export class Game {
 	loadSaveData() {
 		const saved = localStorage.getItem("gameProgress");
 		if (saved) {
-			return JSON.parse(saved);
+			return this.migrateSaveData(JSON.parse(saved));
 		}
-		// Default: only level 1 unlocked
+		// Default: nothing completed, so only levels without unlock rules are open
 		return {
-			unlockedLevels: 1,
 			completedLevels: [],
+			customLevels: {},
 			playerName: "",
 			playerColor: "#fa8072", // Salmon default
+			metronome: false, // Beat pulse, click track and transition flashes
+			ghost: true, // Race against your best run
+			bestTimes: {}, // Level key -> {time, splits} best time and best split at each checkpoint
+			stars: {}, // Level key -> most stars earned (1-3)
+			audio: { ...DEFAULT_AUDIO_SETTINGS },
+			controls: resolveBindings(),
 		};
 	}
 
+	/**
+	 * Bring save data from older versions up to date
+	 * @param {Object} saveData - Parsed save data
+	 * @returns {Object} The same save data, migrated
+	 */
+	migrateSaveData(saveData) {
+		// Saves from before the level manifest counted unlocked levels instead of
+		// recording completed ones - level N+1 was unlocked by completing level N
+		if (typeof saveData.unlockedLevels === "number") {
+			const completed = saveData.completedLevels || [];
+			for (let number = 1; number < saveData.unlockedLevels; number++) {
+				const id = `level${number}`;
+				if (!completed.includes(id)) {
+					completed.push(id);
+				}
+			}
+			saveData.completedLevels = completed;
+			delete saveData.unlockedLevels;
+			localStorage.setItem("gameProgress", JSON.stringify(saveData));
+		}
+		return saveData;
+	}
+
 	saveSaveData() {
 		localStorage.setItem("gameProgress", JSON.stringify(this.saveData));
 	}
 
-	unlockLevel(levelNumber) {
-		if (levelNumber > this.saveData.unlockedLevels) {
-			this.saveData.unlockedLevels = levelNumber;
+	/**
+	 * @param {string} levelKey - See BaseLevel.getLevelKey
+	 * @returns {Object|null} {time, splits} - best time, and best split at each checkpoint
+	 *   (taken from any run, so they may not add up to the best time)
+	 */
+	getBestTime(levelKey) {
+		const best = this.saveData.bestTimes?.[levelKey];
+		// Wins before the first input used to save a time of 0, which nothing could beat
+		return best && best.time > 0 ? best : null;
+	}
+
+	/**
+	 * Record a completed run's time and splits, keeping any that are bests
+	 * @param {string} levelKey - See BaseLevel.getLevelKey
+	 * @param {number} time - Run time in seconds
+	 * @param {Array<number|null>} splits - Run time at each checkpoint (null for ones skipped)
+	 * @returns {Object} {time, previousBest, isRecord} - previousBest is null on the first completion
+	 */
+	recordRunTime(levelKey, time, splits) {
+		if (!this.saveData.bestTimes) {
+			this.saveData.bestTimes = {};
+		}
+
+		const previous = this.getBestTime(levelKey);
+		const isRecord = !previous || time < previous.time;
+		const previousSplits = previous ? previous.splits : [];
+		const length = Math.max(splits.length, previousSplits.length);
+		const bestSplits = Array.from({ length }, (_, index) => {
+			const candidates = [splits[index], previousSplits[index]].filter((split) => split != null);
+			return candidates.length > 0 ? Math.min(...candidates) : null;
+		});
+
+		this.saveData.bestTimes[levelKey] = {
+			time: isRecord ? time : previous.time,
+			splits: bestSplits,
+		};
+		this.saveSaveData();
+
+		return { time, previousBest: previous ? previous.time : null, isRecord };
+	}
+
+	/**
+	 * @param {string} levelKey - See BaseLevel.getLevelKey
+	 * @returns {number} Most stars earned on the level (0 if it hasn't been completed)
+	 */
+	getStars(levelKey) {
+		return this.saveData.stars?.[levelKey] || 0;
+	}
+
+	/**
+	 * Record the stars a completed run earned, if more than before
+	 * @param {string} levelKey - See BaseLevel.getLevelKey
+	 * @param {number} stars - 1-3
+	 */
+	recordStars(levelKey, stars) {
+		if (stars <= this.getStars(levelKey)) {
+			return;
+		}
+
+		if (!this.saveData.stars) {
+			this.saveData.stars = {};
+		}
+		this.saveData.stars[levelKey] = stars;
+		this.saveSaveData();
+	}
+
+	/**
+	 * Best runs are kept apart from the save data - they're much bigger, and losing
+	 * them (e.g. when storage is full) mustn't lose progress
+	 * @returns {Object} Level key -> run (see GhostRecorder)
+	 */
+	loadGhostRuns() {
+		try {
+			const runs = JSON.parse(localStorage.getItem("ghostRuns")) || {};
+			// Drop runs with nothing to retrace (a level won before the first input used to save one)
+			Object.keys(runs).forEach((levelKey) => {
+				if (!runs[levelKey]?.samples?.length) {
+					delete runs[levelKey];
+				}
+			});
+			return runs;
+		} catch (error) {
+			console.error("Error loading ghost runs:", error);
+			return {};
+		}
+	}
+
+	/**
+	 * @param {string} levelKey - See BaseLevel.getLevelKey
+	 * @returns {Object|null} The fastest completion of the level so far
+	 */
+	getGhostRun(levelKey) {
+		const run = this.ghostRuns[levelKey];
+		return run && run.version === GHOST_RUN_VERSION ? run : null;
+	}
+
+	/**
+	 * Keep a completed run if it's the fastest so far
+	 * @param {string} levelKey - See BaseLevel.getLevelKey
+	 * @param {Object} run - Run from GhostRecorder.toRun
+	 * @returns {boolean} Whether it was kept (runs without samples never are)
+	 */
+	saveGhostRun(levelKey, run) {
+		if (run.samples.length === 0) {
+			return false;
+		}
+
+		const best = this.getGhostRun(levelKey);
+		if (best && best.time <= run.time) {
+			return false;
+		}
+
+		this.ghostRuns[levelKey] = run;
+		try {
+			localStorage.setItem("ghostRuns", JSON.stringify(this.ghostRuns));
+		} catch (error) {
+			console.error("Error saving ghost run:", error);
+		}
+		return true;
+	}
+
+	/**
+	 * Send a completed run to the online leaderboard. Never throws - the result is only logged.
+	 * @param {string} levelId - Manifest id of the level
+	 * @param {Object} run - {hash, name, color, time, stars, replay} (see LeaderboardClient)
+	 */
+	async submitRun(levelId, run) {
+		if (!this.leaderboardClient.isOnline()) {
+			return;
+		}
+
+		const result = await this.leaderboardClient.submit(levelId, run);
+		if (result.status === "submitted") {
+			console.log(`Run submitted to the online leaderboard (#${result.rank + 1})`);
+		} else if (result.status !== "offline") {
+			console.warn(`Online leaderboard didn't take the run (${result.status}): ${result.error}`);
+		}
+	}
+
+	isGhostEnabled() {
+		// On unless turned off (saves from before ghosts existed don't have the setting)
+		return this.saveData.ghost !== false;
+	}
+
+	setGhostEnabled(enabled) {
+		this.saveData.ghost = enabled;
+		this.saveSaveData();
+	}
+
+	/**
+	 * Record a level as completed, unlocking any levels that require it
+	 * @param {string} levelId - Manifest id of the completed level
+	 */
+	completeLevel(levelId) {
+		if (!this.saveData.completedLevels.includes(levelId)) {
+			this.saveData.completedLevels.push(levelId);
 			this.saveSaveData();
 		}
 	}
 
+	/**
+	 * Record a custom level as completed. Stored by source, separately from manifest levels,
+	 * so custom levels never unlock anything.
+	 * @param {Object} levelInfo - The custom level info ({source, name})
+	 */
+	completeCustomLevel(levelInfo) {
+		if (!this.saveData.customLevels) {
+			this.saveData.customLevels = {};
+		}
+		this.saveData.customLevels[levelInfo.source] = {
+			name: levelInfo.name,
+			completed: true,
+		};
+		this.saveSaveData();
+	}
+
 	updatePlayerName(name) {
 		this.saveData.playerName = name;
 		this.saveSaveData();
@@ -134,6 +412,70 @@ export class Game {
 		this.saveSaveData();
 	}
 
+	setMetronomeEnabled(enabled) {
+		this.saveData.metronome = enabled;
+		this.saveSaveData();
+	}
+
+	/**
+	 * Get the player's volume settings (saves from before audio settings existed get defaults)
+	 * @returns {Object} {master, music, sfx, ui} volumes (0-1) and muted
+	 */
+	getAudioSettings() {
+		return { ...DEFAULT_AUDIO_SETTINGS, ...this.saveData.audio };
+	}
+
+	/**
+	 * Change and save volume settings, and apply them straight away
+	 * @param {Object} changes - Settings to change, e.g. {music: 0.5} or {muted: true}
+	 */
+	updateAudioSettings(changes) {
+		this.saveData.audio = { ...this.getAudioSettings(), ...changes };
+		this.saveSaveData();
+
+		this.soundManager.applyAudioSettings(this.saveData.audio);
+		this.audioSettingsPanel.sync();
+	}
+
+	toggleMute() {
+		this.updateAudioSettings({ muted: !this.getAudioSettings().muted });
+	}
+
+	/**
+	 * Get the player's control bindings (actions missing from the save get defaults)
+	 * @returns {Object} Action -> {keyboard, gamepad}
+	 */
+	getControlBindings() {
+		return resolveBindings(this.saveData.controls);
+	}
+
+	/**
+	 * Bind an action to an input, save it and use it straight away.
+	 * Any other action using that input is unbound, so one input never does two things.
+	 * @param {string} action - One of Action
+	 * @param {string} device - "keyboard" (keys and mouse buttons) or "gamepad"
+	 * @param {string} input - e.g. "key:z", "mouse:2", "pad:3"
+	 */
+	updateControlBinding(action, device, input) {
+		const bindings = this.getControlBindings();
+		Object.values(bindings).forEach((binding) => {
+			if (binding[device] === input) {
+				binding[device] = null;
+			}
+		});
+		bindings[action][device] = input;
+
+		this.saveData.controls = bindings;
+		this.saveSaveData();
+		this.input.setBindings(bindings);
+	}
+
+	resetControlBindings() {
+		this.saveData.controls = resolveBindings();
+		this.saveSaveData();
+		this.input.setBindings(this.saveData.controls);
+	}
+
 	changeState(newState, data = {}) {
 		// Special handling for pause/resume
 		if (
@@ -146,9 +488,9 @@ export class Game {
 			this.previousState = this.currentState;
 			this.currentState = newState;
 
-			// Pause background music
+			// Turn the music down - it keeps playing, so the beat keeps going
 			if (this.soundManager) {
-				this.soundManager.pauseBackgroundMusic();
+				this.soundManager.duckBackgroundMusic();
 			}
 			return;
 		}
@@ -166,16 +508,16 @@ export class Game {
 			this.previousState = this.currentState;
 			this.currentState = newState;
 
-			// Resume background music
+			// Bring the music back up
 			if (this.soundManager) {
-				this.soundManager.resumeBackgroundMusic();
+				this.soundManager.unduckBackgroundMusic();
 			}
 
 			// Re-request pointer lock after a brief delay to avoid race condition
 			// with pointerlockchange event
 			setTimeout(() => {
 				if (this.currentState === GameState.PLAYING) {
-					this.canvas.requestPointerLock();
+					this.requestPointerLock();
 				}
 			}, 100);
 			return;
@@ -202,6 +544,8 @@ export class Game {
 			case GameState.LEVEL_SELECT:
 				this.currentScreen = new LevelSelectMenu(this);
 				this.currentLevelNumber = null;
+				this.currentCustomLevel = null;
+				this.currentReplay = null;
 
 				// Stop any music when returning to level select
 				if (this.soundManager) {
@@ -210,36 +554,45 @@ export class Game {
 				break;
 
 			case GameState.PLAYING:
-				// If we have a level number in data, use it (starting new level)
-				// Otherwise use currentLevelNumber (retrying after game over)
-				const levelNumber = data.levelNumber || this.currentLevelNumber;
-				console.log("Starting level:", levelNumber);
+				// If we have a level number or custom level in data, use it (starting new level)
+				// Otherwise use the current one (retrying after game over)
+				if (data.customLevel) {
+					this.currentCustomLevel = data.customLevel;
+					this.currentLevelNumber = null;
+				} else if (data.levelNumber) {
+					this.currentCustomLevel = null;
+					this.currentLevelNumber = data.levelNumber;
+				}
 
-				// Store level number for retry
-				this.currentLevelNumber = levelNumber;
+				// Starting a level plays it, or watches the replay given. Retrying keeps
+				// whichever it was, so retrying after a replay watches it again.
+				if (data.customLevel || data.levelNumber) {
+					this.currentReplay = data.replay || null;
+				}
 
-				// Load the appropriate level based on levelNumber using the registry
-				this.currentScreen = LevelRegistry.createLevel(levelNumber, this);
+				if (this.currentCustomLevel) {
+					// Custom levels aren't in the registry - build them straight from their data
+					this.currentScreen = new DataDrivenLevel(this, this.currentCustomLevel);
+				} else {
+					// Load the appropriate level based on levelNumber using the registry
+					console.log("Starting level:", this.currentLevelNumber);
+					this.currentScreen = LevelRegistry.createLevel(this.currentLevelNumber, this);
+				}
 
 				if (!this.currentScreen) {
-					console.warn(`Level ${levelNumber} not implemented yet`);
+					console.warn(`Level ${this.currentLevelNumber} not implemented yet`);
 					// Fall back to level select
 					this.changeState(GameState.LEVEL_SELECT);
 					return;
 				}
 
 				// Request pointer lock for gameplay
-				this.canvas.requestPointerLock();
+				this.requestPointerLock();
 
-				// Handle music based on previous state
-				if (this.soundManager) {
-					if (this.previousState === GameState.GAME_OVER) {
-						// Resume music if retrying after game over
-						this.soundManager.resumeBackgroundMusic();
-					} else {
-						// Start fresh music for new level
-						this.soundManager.playBackgroundMusic('music', 0.3, true);
-					}
+				// The level starts its own track once its data has loaded (see startLevelMusic).
+				// Retrying after game over keeps the paused track so it can carry on.
+				if (this.soundManager && this.previousState !== GameState.GAME_OVER) {
+					this.soundManager.stopBackgroundMusic();
 				}
 				break;
 
@@ -247,9 +600,9 @@ export class Game {
 				// Should not reach here with new pause logic
 				this.currentScreen = new PauseMenu(this);
 
-				// Pause background music
+				// Turn the music down
 				if (this.soundManager) {
-					this.soundManager.pauseBackgroundMusic();
+					this.soundManager.duckBackgroundMusic();
 				}
 				break;
 
@@ -264,9 +617,18 @@ export class Game {
 				break;
 
 			case GameState.WIN:
-				// Show win screen and unlock next level
-				const nextLevel = this.currentLevelNumber + 1;
-				this.unlockLevel(nextLevel);
+				// Show win screen and record the completion (unlocks later levels),
+				// unless it was a replay being watched
+				if (!this.currentReplay) {
+					if (this.currentCustomLevel) {
+						this.completeCustomLevel(this.currentCustomLevel);
+					} else {
+						const completedLevel = LevelRegistry.getLevel(this.currentLevelNumber);
+						if (completedLevel) {
+							this.completeLevel(completedLevel.id);
+						}
+					}
+				}
 				this.currentScreen = new WinMenu(this);
 
 				// Stop background music
@@ -274,9 +636,107 @@ export class Game {
 					this.soundManager.stopBackgroundMusic();
 				}
 				break;
+
+			case GameState.EDITOR:
+				// Edit the given level, or continue with the last edited one
+				this.currentScreen = new LevelEditor(
+					this,
+					data.levelData || this.editorLevelData,
+				);
+
+				if (this.soundManager) {
+					this.soundManager.stopBackgroundMusic();
+				}
+				break;
+
+			case GameState.LEVEL_ERROR:
+				// Show what went wrong with the level data
+				this.currentScreen = new LevelErrorScreen(this, data.error);
+
+				if (this.soundManager) {
+					this.soundManager.stopBackgroundMusic();
+				}
+				break;
 		}
 	}
 
+	/**
+	 * Capture the mouse for gameplay (not on touch devices - touch controls are used instead)
+	 */
+	requestPointerLock() {
+		if (!this.isTouch) {
+			this.canvas.requestPointerLock();
+		}
+	}
+
+	/**
+	 * Play a level's music track, loading it first if needed.
+	 * Called by the level once it knows its track. If the track is already the
+	 * background music (retrying after game over) it resumes where it was paused.
+	 * @param {BaseLevel} level - Level the music is for
+	 * @param {string} track - Path to the music file
+	 */
+	async startLevelMusic(level, track) {
+		if (!this.soundManager) {
+			return;
+		}
+
+		if (this.soundManager.backgroundMusic && this.soundManager.backgroundMusicName === track) {
+			this.soundManager.resumeBackgroundMusic();
+			return;
+		}
+
+		try {
+			await this.soundManager.loadMusicTrack(track);
+		} catch (error) {
+			// Play on without music (moving platforms wait for the music, so they stay put)
+			console.error(`Error loading music track ${track}:`, error);
+			return;
+		}
+
+		// Don't start the music if the level was left while the track was loading
+		if (this.currentScreen === level) {
+			this.soundManager.playBackgroundMusic(track);
+		} else if (this.pausedLevel === level) {
+			// Paused while loading - start it ducked, like the pause menu would have
+			this.soundManager.playBackgroundMusic(track);
+			this.soundManager.duckBackgroundMusic();
+		}
+	}
+
+	/**
+	 * Watch a recorded run (see Replay.js) on the level it was recorded on
+	 * @param {Object} replay - Replay from parseReplay
+	 * @throws {Error} If the replay's level isn't in this game
+	 */
+	watchReplay(replay) {
+		if (replay.level.id) {
+			const level = LevelRegistry.getLevelById(replay.level.id);
+			if (!level) {
+				throw new Error(`Replay is for a level that isn't in this game: ${replay.level.id}`);
+			}
+			this.changeState(GameState.PLAYING, { levelNumber: level.number, replay });
+		} else {
+			const { source, name, data } = replay.level;
+			this.changeState(GameState.PLAYING, { customLevel: { source, name, data }, replay });
+		}
+	}
+
+	/**
+	 * Download the replay of the level being played (from the pause menu)
+	 * or the one just finished (from the game over and win screens)
+	 */
+	saveReplay() {
+		const replay = this.pausedLevel ? this.pausedLevel.getReplay() : this.lastReplay;
+		if (!replay) {
+			console.warn("No replay to save");
+			return;
+		}
+
+		const levelName = replay.level.id || replay.level.name || "level";
+		downloadReplay(replay, `${levelName}-replay.json`);
+	}
+
 	/**
 	 * Trigger game over state - called when player dies
 	 */
@@ -284,6 +744,31 @@ export class Game {
 		this.changeState(GameState.GAME_OVER);
 	}
 
+	/**
+	 * Show the level error screen - called when level data fails to load
+	 * @param {Error} error - The load error (LevelValidationError lists every problem)
+	 */
+	showLevelError(error) {
+		this.changeState(GameState.LEVEL_ERROR, { error });
+	}
+
+	/**
+	 * Rebuild the level being played if its file changed (dev server hot reload, see main.js)
+	 * @param {string} url - Absolute URL of the changed level file
+	 */
+	reloadLevelFile(url) {
+		// The level is kept in pausedLevel while the pause menu is open
+		const level = this.pausedLevel || this.currentScreen;
+		if (!(level instanceof DataDrivenLevel)) {
+			return;
+		}
+
+		const levelPath = level.getLevelPath();
+		if (levelPath && new URL(levelPath, document.baseURI).href === url) {
+			level.reloadLevelData();
+		}
+	}
+
 	/**
 	 * Trigger win state - called when player reaches goal
 	 */
@@ -291,6 +776,27 @@ export class Game {
 		this.changeState(GameState.WIN);
 	}
 
+	/**
+	 * The pause action opens and closes the pause menu, like Esc
+	 */
+	handlePauseInput() {
+		// Don't unpause when the button is being pressed to rebind it
+		if (!this.input.wasPressed(Action.PAUSE) || this.controlsPanel.isListening()) {
+			return;
+		}
+
+		if (this.currentState === GameState.PLAYING) {
+			// Losing pointer lock pauses the game (see setupPauseHandling)
+			if (document.pointerLockElement) {
+				document.exitPointerLock();
+			} else {
+				this.changeState(GameState.PAUSED);
+			}
+		} else if (this.currentState === GameState.PAUSED) {
+			this.changeState(GameState.PLAYING);
+		}
+	}
+
 	start() {
 		console.log("Game started");
 		this.animate();
@@ -301,6 +807,14 @@ export class Game {
 
 		const delta = this.clock.getDelta();
 
+		this.gamepad.poll();
+		this.input.poll();
+		this.controlsPanel.update();
+		this.handlePauseInput();
+		if (this.isTouch) {
+			this.touchControls.setVisible(this.currentState === GameState.PLAYING);
+		}
+
 		// Update current screen/level
 		if (this.currentScreen && this.currentScreen.update) {
 			this.currentScreen.update(delta);
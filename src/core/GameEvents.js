@@ -0,0 +1,71 @@
+/**
+ * Gameplay events. Levels emit these as things happen; anything that reacts to
+ * gameplay without driving it (sounds, effects) listens for them instead of
+ * being called from level logic.
+ */
+export const GameEvent = {
+	PLAYER_JUMPED: "playerJumped", // { position }
+	PLAYER_LANDED: "playerLanded", // { position, speed } - speed is how fast the player was falling
+	BOOTS_TOGGLED: "bootsToggled", // { position, active }
+	SHOT_FIRED: "shotFired", // { position, source: "player" | "turret" }
+	PROJECTILE_HIT: "projectileHit", // { position, target: "player" | "turret" }
+	TURRET_DESTROYED: "turretDestroyed", // { position }
+	CHECKPOINT_REACHED: "checkpointReached", // { position, index }
+	PLAYER_DIED: "playerDied", // { position, respawned }
+	LEVEL_WON: "levelWon", // { position }
+};
+
+/**
+ * Minimal publish/subscribe bus for GameEvent types
+ */
+export class GameEvents {
+	constructor() {
+		this.listeners = new Map(); // event type -> Set of handlers
+	}
+
+	/**
+	 * Listen for an event
+	 * @param {string} type - One of GameEvent
+	 * @param {Function} handler - Called with the event's detail object
+	 * @returns {Function} Call to stop listening
+	 */
+	on(type, handler) {
+		if (!this.listeners.has(type)) {
+			this.listeners.set(type, new Set());
+		}
+		this.listeners.get(type).add(handler);
+		return () => this.off(type, handler);
+	}
+
+	/**
+	 * Stop listening for an event
+	 * @param {string} type - One of GameEvent
+	 * @param {Function} handler - Handler passed to on()
+	 */
+	off(type, handler) {
+		const handlers = this.listeners.get(type);
+		if (handlers) {
+			handlers.delete(handler);
+		}
+	}
+
+	/**
+	 * Tell every listener an event happened. A listener that throws is logged
+	 * and skipped, so a broken sound or effect can't stop the game.
+	 * @param {string} type - One of GameEvent
+	 * @param {Object} [detail={}] - Event data (see GameEvent)
+	 */
+	emit(type, detail = {}) {
+		const handlers = this.listeners.get(type);
+		if (!handlers) return;
+
+		// Copy so handlers can unsubscribe while we iterate
+		[...handlers].forEach((handler) => {
+			try {
+				handler(detail);
+			} catch (error) {
+				console.error(`Error handling ${type} event:`, error);
+			}
+		});
+	}
+}
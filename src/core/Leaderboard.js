@@ -0,0 +1,189 @@
+import { validateReplay } from "../input/Replay.js";
+import { MAX_STARS } from "../levels/StarRating.js";
+
+export const LEADERBOARD_VERSION = 1;
+
+// Times kept per level
+const MAX_ENTRIES = 10;
+
+// Replays are big, so only the fastest few entries on each board keep theirs
+const MAX_REPLAYS = 3;
+
+const STORAGE_KEY = "leaderboards";
+
+/**
+ * Whether an entry has everything a board shows, in a form it can show - imported
+ * files are checked as strictly as the leaderboard server checks runs. Runs take
+ * some time - a time of 0 is a level won before the first input, which nothing could beat.
+ * @param {Object} entry
+ */
+function isValidEntry(entry) {
+	return (
+		!!entry &&
+		typeof entry.name === "string" &&
+		typeof entry.color === "string" &&
+		/^#[0-9a-f]{6}$/i.test(entry.color) &&
+		typeof entry.time === "number" &&
+		entry.time > 0 &&
+		Number.isInteger(entry.stars) &&
+		entry.stars >= 1 &&
+		entry.stars <= MAX_STARS &&
+		typeof entry.date === "string" &&
+		Number.isFinite(Date.parse(entry.date))
+	);
+}
+
+/**
+ * Drop an imported entry's replay if it couldn't be played back, keeping the time
+ * @param {Object} entry
+ */
+function dropBadReplay(entry) {
+	if (entry.replay === undefined) return;
+	try {
+		validateReplay(entry.replay);
+	} catch (error) {
+		console.warn(`Dropping ${entry.name}'s replay from the import:`, error.message);
+		delete entry.replay;
+	}
+}
+
+/**
+ * Entries from different machines (or the same board imported twice) are the same run
+ * if they match on all of these
+ */
+function entryId(entry) {
+	return `${entry.name}|${entry.time}|${entry.date}`;
+}
+
+/**
+ * Local per-level leaderboards of the fastest completions, kept in localStorage
+ * (apart from the save data, like ghost runs - they can get big). Boards can be
+ * exported to a JSON file and imported on another machine, merging with what's there.
+ *
+ * Each board is {name, entries}, entries sorted fastest first:
+ * {name, color, time, date, stars, replay} - replay is optional (see Replay.js).
+ */
+export class Leaderboard {
+	constructor() {
+		this.boards = this.load(); // Level key -> board
+	}
+
+	load() {
+		try {
+			const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+			if (saved?.version !== LEADERBOARD_VERSION) {
+				return {};
+			}
+			Object.values(saved.boards).forEach((board) => {
+				board.entries = board.entries.filter(isValidEntry);
+			});
+			return saved.boards;
+		} catch (error) {
+			console.error("Error loading leaderboards:", error);
+			return {};
+		}
+	}
+
+	save() {
+		const data = { version: LEADERBOARD_VERSION, boards: this.boards };
+		try {
+			localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+		} catch (error) {
+			// Most likely out of space - the times matter more than the replays
+			console.warn("Couldn't save leaderboards, saving them without replays:", error);
+			Object.values(this.boards).forEach((board) => {
+				board.entries.forEach((entry) => delete entry.replay);
+			});
+			try {
+				localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+			} catch (retryError) {
+				console.error("Error saving leaderboards:", retryError);
+			}
+		}
+	}
+
+	/**
+	 * @param {string} levelKey - See BaseLevel.getLevelKey
+	 * @returns {Array<Object>} The level's entries, fastest first
+	 */
+	getEntries(levelKey) {
+		return this.boards[levelKey]?.entries || [];
+	}
+
+	/**
+	 * @returns {Array<{levelKey: string, name: string}>} Every level with a board
+	 */
+	getBoards() {
+		return Object.entries(this.boards).map(([levelKey, board]) => ({ levelKey, name: board.name }));
+	}
+
+	/**
+	 * Add a completed run, if it's fast enough for the board
+	 * @param {string} levelKey - See BaseLevel.getLevelKey
+	 * @param {string} levelName - Name to show for the board
+	 * @param {Object} entry - {name, color, time, date, stars, replay}
+	 * @returns {number} The entry's place on the board (0 = fastest), or -1 if it didn't make it
+	 */
+	addEntry(levelKey, levelName, entry) {
+		if (!isValidEntry(entry)) {
+			return -1;
+		}
+
+		const board = this.boards[levelKey] || { name: levelName, entries: [] };
+		board.name = levelName;
+		this.boards[levelKey] = board;
+
+		this.mergeEntries(board, [entry]);
+		this.save();
+		return board.entries.indexOf(entry);
+	}
+
+	/**
+	 * Add entries to a board, keeping the fastest MAX_ENTRIES
+	 */
+	mergeEntries(board, entries) {
+		const known = new Set(board.entries.map(entryId));
+		const added = entries.filter((entry) => !known.has(entryId(entry)));
+
+		board.entries = [...board.entries, ...added]
+			.sort((a, b) => a.time - b.time)
+			.slice(0, MAX_ENTRIES);
+		board.entries.slice(MAX_REPLAYS).forEach((entry) => delete entry.replay);
+	}
+
+	/**
+	 * @returns {Object} Every board, ready to be saved as a JSON file
+	 */
+	export() {
+		return { version: LEADERBOARD_VERSION, boards: this.boards };
+	}
+
+	/**
+	 * Merge boards exported on another machine into these
+	 * @param {Object} data - Parsed export file
+	 * @returns {number} How many entries were added
+	 * @throws {Error} If it isn't a leaderboard export
+	 */
+	import(data) {
+		if (data?.version !== LEADERBOARD_VERSION || typeof data.boards !== "object" || !data.boards) {
+			throw new Error("Not a leaderboard file");
+		}
+
+		let added = 0;
+		Object.entries(data.boards).forEach(([levelKey, imported]) => {
+			const entries = (imported?.entries || []).filter(isValidEntry);
+			if (entries.length === 0) return;
+			entries.forEach(dropBadReplay);
+
+			const board = this.boards[levelKey] || { name: imported.name || levelKey, entries: [] };
+			this.boards[levelKey] = board;
+
+			const before = new Set(board.entries.map(entryId));
+			this.mergeEntries(board, entries);
+			added += board.entries.filter((entry) => !before.has(entryId(entry))).length;
+		});
+
+		this.save();
+		return added;
+	}
+}
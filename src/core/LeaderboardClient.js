@@ -0,0 +1,128 @@
+// Give up on a leaderboard server request after this long (ms)
+const REQUEST_TIMEOUT = 8000;
+
+/**
+ * Leaderboard backend for when there's no server: nothing to show, and runs are
+ * only kept on the local leaderboard (see Leaderboard.js).
+ *
+ * Every client has the same methods, all async:
+ * - getEntries(levelId) - the level's fastest runs ({id, name, color, time, date, stars, hasReplay})
+ * - getReplay(levelId, entryId) - an entry's replay, or null
+ * - submit(levelId, run) - send a completed run ({hash, name, color, time, stars, replay}),
+ *   resolves to {status, rank, error} - status is "submitted", "levelChanged", "rejected" or "offline"
+ */
+export class OfflineLeaderboardClient {
+	isOnline() {
+		return false;
+	}
+
+	async getEntries() {
+		return [];
+	}
+
+	async getReplay() {
+		return null;
+	}
+
+	async submit() {
+		return { status: "offline" };
+	}
+}
+
+/**
+ * Leaderboard backend on an HTTP server (API in scripts/leaderboard-server.js).
+ * If the server can't be reached it goes offline for the rest of the session,
+ * behaving like OfflineLeaderboardClient.
+ */
+export class HttpLeaderboardClient {
+	/**
+	 * @param {string} endpoint - Server URL, e.g. http://localhost:8787
+	 */
+	constructor(endpoint) {
+		this.endpoint = endpoint.replace(/\/+$/, "");
+		this.online = true;
+	}
+
+	isOnline() {
+		return this.online;
+	}
+
+	/**
+	 * @param {string} path - API path, e.g. /levels/level1/scores
+	 * @param {Object} [options] - fetch options
+	 * @returns {Promise<Response|null>} null if the server couldn't be reached
+	 */
+	async request(path, options = {}) {
+		if (!this.online) {
+			return null;
+		}
+
+		try {
+			return await fetch(`${this.endpoint}${path}`, {
+				...options,
+				signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+			});
+		} catch (error) {
+			console.warn(`Leaderboard server ${this.endpoint} unreachable, playing offline:`, error.message);
+			this.online = false;
+			return null;
+		}
+	}
+
+	/**
+	 * @param {Response} response
+	 * @returns {Promise<Object|null>} The response's JSON body, or null if it has none
+	 */
+	async readJson(response) {
+		try {
+			return await response.json();
+		} catch (error) {
+			return null;
+		}
+	}
+
+	async getEntries(levelId) {
+		const response = await this.request(`/levels/${encodeURIComponent(levelId)}/scores`);
+		if (!response?.ok) {
+			return [];
+		}
+		const body = await this.readJson(response);
+		return Array.isArray(body?.entries) ? body.entries : [];
+	}
+
+	async getReplay(levelId, entryId) {
+		const response = await this.request(
+			`/levels/${encodeURIComponent(levelId)}/scores/${encodeURIComponent(entryId)}/replay`,
+		);
+		return response?.ok ? this.readJson(response) : null;
+	}
+
+	async submit(levelId, run) {
+		const response = await this.request(`/levels/${encodeURIComponent(levelId)}/scores`, {
+			method: "POST",
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify(run),
+		});
+		if (!response) {
+			return { status: "offline" };
+		}
+
+		const body = await this.readJson(response);
+		if (response.status === 409) {
+			// The server's copy of the level differs from the one played
+			return { status: "levelChanged", error: body?.error || "level has changed" };
+		}
+		if (!response.ok) {
+			return { status: "rejected", error: body?.error || response.statusText };
+		}
+		return { status: "submitted", rank: body?.rank ?? -1 };
+	}
+}
+
+/**
+ * @param {string|undefined} endpoint - Leaderboard server URL (VITE_LEADERBOARD_URL), if any
+ * @returns {HttpLeaderboardClient|OfflineLeaderboardClient}
+ */
+export function createLeaderboardClient(endpoint) {
+	return endpoint ? new HttpLeaderboardClient(endpoint) : new OfflineLeaderboardClient();
+}
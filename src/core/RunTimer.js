@@ -0,0 +1,50 @@
+/**
+ * Times a run through a level. It runs on the level's simulation clock, so time
+ * spent paused doesn't count and a replay of the run times exactly the same.
+ */
+export class RunTimer {
+	constructor() {
+		this.startTime = null; // Simulation time the run started at (null until the player's first input)
+		this.time = 0; // Run time so far, in seconds
+		this.splits = []; // Run time at each checkpoint reached (null for ones skipped)
+	}
+
+	hasStarted() {
+		return this.startTime !== null;
+	}
+
+	/**
+	 * @param {number} simulationTime - Level simulation time the run starts at
+	 */
+	start(simulationTime) {
+		if (!this.hasStarted()) {
+			this.startTime = simulationTime;
+		}
+	}
+
+	/**
+	 * @param {number} simulationTime - Level simulation time now
+	 */
+	update(simulationTime) {
+		if (this.hasStarted()) {
+			this.time = simulationTime - this.startTime;
+		}
+	}
+
+	/**
+	 * Record the split for a checkpoint, the first time it's reached
+	 * @param {number} index - Checkpoint index
+	 * @returns {number|null} The split, or null if the checkpoint already had one
+	 */
+	split(index) {
+		if (this.splits[index] != null) {
+			return null;
+		}
+
+		while (this.splits.length < index) {
+			this.splits.push(null);
+		}
+		this.splits[index] = this.time;
+		return this.time;
+	}
+}
@@ -0,0 +1,661 @@
+import { Easings } from '../utils/BezierEasing.js';
+
+const AXES = ['x', 'y', 'z'];
+const SIZE_KEYS = ['width', 'height', 'depth'];
+
+/**
+ * DOM side panel for the level editor (#editor-panel in index.html).
+ * Shows level settings, the selected platform/turret and its transitions.
+ * All edits go through the LevelEditor, which updates the level data and re-renders the panel.
+ */
+export class EditorPanel {
+  /**
+   * @param {LevelEditor} editor - The editor this panel controls
+   * @param {HTMLElement} root - Panel element
+   */
+  constructor(editor, root) {
+    this.editor = editor;
+    this.root = root;
+    this.message = null;
+  }
+
+  show() {
+    this.root.style.display = 'block';
+    this.render();
+  }
+
+  hide() {
+    this.root.style.display = 'none';
+    this.root.innerHTML = '';
+  }
+
+  /**
+   * Show a status message (e.g. export errors) at the top of the panel
+   * @param {string} text - Message text (may contain newlines)
+   * @param {boolean} [isError=false] - Style as an error
+   */
+  showMessage(text, isError = false) {
+    this.message = { text, isError };
+    this.render();
+  }
+
+  /**
+   * Rebuild the panel from the editor's current state
+   */
+  render() {
+    // Keep focus on the same field across re-renders (e.g. when tabbing between fields)
+    const focusedField = document.activeElement?.dataset?.field;
+
+    this.root.innerHTML = '';
+
+    const title = document.createElement('h2');
+    title.textContent = 'Level Editor';
+    this.root.appendChild(title);
+
+    this.renderToolbar();
+
+    if (this.message) {
+      const message = document.createElement('pre');
+      message.className = this.message.isError ? 'editor-message error' : 'editor-message';
+      message.textContent = this.message.text;
+      this.root.appendChild(message);
+    }
+
+    this.renderPreview();
+    this.renderLevelSection();
+    this.renderAddSection();
+    this.renderSelectionSection();
+    this.renderHelp();
+
+    if (focusedField) {
+      const field = this.root.querySelector(`[data-field="${focusedField}"]`);
+      if (field) {
+        field.focus();
+      }
+    }
+  }
+
+  renderToolbar() {
+    const toolbar = this.createRow('editor-toolbar');
+    toolbar.appendChild(this.createButton('New', () => this.editor.newLevel()));
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files[0]) {
+        this.editor.openFile(fileInput.files[0]);
+      }
+    });
+    toolbar.appendChild(fileInput);
+    toolbar.appendChild(this.createButton('Open…', () => fileInput.click()));
+
+    toolbar.appendChild(this.createButton('Export', () => this.editor.exportLevel()));
+    toolbar.appendChild(this.createButton('Playtest', () => this.editor.playtest()));
+    toolbar.appendChild(this.createButton('Exit', () => this.editor.exit()));
+    this.root.appendChild(toolbar);
+  }
+
+  renderPreview() {
+    const section = this.createSection('Preview');
+    section.appendChild(this.createButton(
+      this.editor.isPreviewing ? '■ Close timeline (P)' : '▶ Preview BPM animation (P)',
+      () => this.editor.togglePreview()
+    ));
+  }
+
+  renderLevelSection() {
+    const levelData = this.editor.levelData;
+    const section = this.createSection('Level');
+
+    section.appendChild(this.createTextField('Name', 'level.name', levelData.name, (value) => {
+      this.editor.updateLevel((data) => {
+        setOptional(data, 'name', value || undefined);
+      });
+    }));
+
+    section.appendChild(this.createNumberField('BPM', 'level.bpm', levelData.bpm, (value) => {
+      this.editor.updateLevel((data) => {
+        setOptional(data, 'bpm', value > 0 ? value : undefined);
+      });
+    }, { placeholder: '120', min: 1 }));
+
+    // Music track and its timing (the track's BPM wins over the level's)
+    const music = levelData.music || {};
+    const updateMusic = (key, value) => {
+      this.editor.updateLevel((data) => {
+        data.music = { ...data.music };
+        setOptional(data.music, key, value);
+        if (Object.keys(data.music).length === 0) {
+          delete data.music;
+        }
+      });
+    };
+
+    section.appendChild(this.createTextField('Music track', 'level.music.track', music.track, (value) => {
+      updateMusic('track', value || undefined);
+    }, 'assets/song.mp3'));
+
+    section.appendChild(this.createNumberField('Music BPM', 'level.music.bpm', music.bpm, (value) => {
+      updateMusic('bpm', value > 0 ? value : undefined);
+    }, { placeholder: 'level BPM', min: 1 }));
+
+    section.appendChild(this.createNumberField('Offset (s)', 'level.music.offset', music.offset, (value) => {
+      updateMusic('offset', value >= 0 ? value : undefined);
+    }, { placeholder: music.track ? '0' : '21', min: 0 }));
+
+    section.appendChild(this.createColorField(
+      'Background',
+      'level.background',
+      levelData.background?.color ?? '0x87ceeb',
+      (value) => {
+        this.editor.updateLevel((data) => {
+          data.background = { ...data.background, color: value };
+        });
+      }
+    ));
+
+    // Color palette used by colorIndex in moving platform states
+    const palette = levelData.colorPalette || [];
+    const paletteRow = this.createLabeledRow('Palette');
+    palette.forEach((color, index) => {
+      const input = createColorInput(color, `level.palette.${index}`, (value) => {
+        this.editor.updateLevel((data) => {
+          data.colorPalette[index] = value;
+        });
+      });
+      input.title = `colorIndex ${index}`;
+      paletteRow.appendChild(input);
+    });
+    paletteRow.appendChild(this.createButton('+', () => {
+      this.editor.updateLevel((data) => {
+        data.colorPalette = [...(data.colorPalette || []), '0xffffff'];
+      });
+    }, 'Add a palette color'));
+    if (palette.length > 0) {
+      paletteRow.appendChild(this.createButton('−', () => {
+        this.editor.updateLevel((data) => {
+          data.colorPalette.pop();
+          if (data.colorPalette.length === 0) {
+            delete data.colorPalette;
+          }
+        });
+      }, 'Remove the last palette color'));
+    }
+    section.appendChild(paletteRow);
+
+    section.appendChild(this.createButton('Select player spawn', () => {
+      this.editor.select({ type: 'spawn' });
+    }));
+  }
+
+  renderAddSection() {
+    const section = this.createSection('Add');
+    const row = this.createRow();
+    row.appendChild(this.createButton('+ Static platform', () => this.editor.addPlatform('static')));
+    row.appendChild(this.createButton('+ Moving platform', () => this.editor.addPlatform('moving')));
+    section.appendChild(row);
+  }
+
+  renderSelectionSection() {
+    const selection = this.editor.selection;
+    if (!selection) {
+      const section = this.createSection('Selection');
+      const hint = document.createElement('p');
+      hint.className = 'editor-hint';
+      hint.textContent = 'Click a platform, turret or the spawn marker to select it.';
+      section.appendChild(hint);
+      return;
+    }
+
+    if (selection.type === 'spawn') {
+      this.renderSpawnSection();
+    } else if (selection.type === 'turret') {
+      this.renderTurretSection(selection.index);
+    } else {
+      this.renderPlatformSection(selection.index);
+    }
+  }
+
+  renderSpawnSection() {
+    const section = this.createSection('Player spawn');
+    const spawn = this.editor.levelData.playerSpawn || { x: 0, y: 1, z: 0 };
+    section.appendChild(this.createVectorField('Position', 'spawn', spawn, AXES, (key, value) => {
+      this.editor.updateLevel((data) => {
+        data.playerSpawn = { ...spawn, [key]: value ?? 0 };
+      });
+    }));
+  }
+
+  renderTurretSection(index) {
+    const platformData = this.editor.levelData.platforms[index];
+    const turret = platformData.turret || {};
+    const section = this.createSection(`Turret on platform ${describePlatform(platformData, index)}`);
+
+    section.appendChild(this.createVectorField(
+      'Offset',
+      `turret.${index}.position`,
+      turret.position || {},
+      AXES,
+      (key, value) => {
+        this.editor.updatePlatform(index, (data) => {
+          data.turret.position = { ...data.turret.position };
+          setOptional(data.turret.position, key, value);
+        });
+      },
+      { allowEmpty: true, placeholders: { x: '0', y: '1', z: '0' } }
+    ));
+
+    section.appendChild(this.createColorField('Color', `turret.${index}.color`, turret.color ?? '0xff0000', (value) => {
+      this.editor.updatePlatform(index, (data) => {
+        data.turret.color = value;
+      });
+    }));
+
+    const row = this.createRow();
+    row.appendChild(this.createButton('Select platform', () => {
+      this.editor.select({ type: 'platform', index });
+    }));
+    row.appendChild(this.createButton('Delete turret', () => this.editor.deleteSelection(), null, 'danger'));
+    section.appendChild(row);
+  }
+
+  renderPlatformSection(index) {
+    const platformData = this.editor.levelData.platforms[index];
+    const section = this.createSection(`Platform ${describePlatform(platformData, index)}`);
+
+    section.appendChild(this.createTextField('Id', `platform.${index}.id`, platformData.id, (value) => {
+      this.editor.updatePlatform(index, (data) => {
+        setOptional(data, 'id', value || undefined);
+      });
+    }, 'optional, e.g. "finish"'));
+
+    section.appendChild(this.createSelectField(
+      'Type',
+      `platform.${index}.type`,
+      platformData.type,
+      [['static', 'Static'], ['moving', 'Moving']],
+      (value) => this.editor.setPlatformType(index, value)
+    ));
+
+    section.appendChild(this.createVectorField(
+      'Position',
+      `platform.${index}.position`,
+      platformData.position,
+      AXES,
+      (key, value) => {
+        this.editor.updatePlatform(index, (data) => {
+          data.position = { ...data.position, [key]: value ?? 0 };
+        });
+      }
+    ));
+
+    section.appendChild(this.createVectorField(
+      'Size',
+      `platform.${index}.size`,
+      platformData.size,
+      SIZE_KEYS,
+      (key, value) => {
+        if (!(value > 0)) return;
+        this.editor.updatePlatform(index, (data) => {
+          data.size = { ...data.size, [key]: value };
+        });
+      },
+      { labels: ['w', 'h', 'd'], min: 0.1 }
+    ));
+
+    section.appendChild(this.createColorField('Color', `platform.${index}.color`, platformData.color ?? '0x808080', (value) => {
+      this.editor.updatePlatform(index, (data) => {
+        data.color = value;
+      });
+    }));
+
+    const row = this.createRow();
+    if (platformData.turret) {
+      row.appendChild(this.createButton('Select turret', () => {
+        this.editor.select({ type: 'turret', index });
+      }));
+    } else {
+      row.appendChild(this.createButton('+ Turret', () => this.editor.addTurret(index)));
+    }
+    row.appendChild(this.createButton('Duplicate', () => this.editor.duplicateSelection()));
+    row.appendChild(this.createButton('Delete', () => this.editor.deleteSelection(), null, 'danger'));
+    section.appendChild(row);
+
+    if (platformData.type === 'moving') {
+      this.renderTelegraphFields(section, index, platformData.telegraph);
+      this.renderStatesSection(index, platformData.states || {});
+    }
+  }
+
+  /**
+   * Telegraph cue: flash on each beat before a transition starts (empty beats = no telegraph)
+   */
+  renderTelegraphFields(section, index, telegraph) {
+    section.appendChild(this.createNumberField('Telegraph beats', `platform.${index}.telegraph.beats`, telegraph?.beats, (value) => {
+      this.editor.updatePlatform(index, (data) => {
+        if (value > 0) {
+          data.telegraph = { ...data.telegraph, beats: value };
+        } else {
+          delete data.telegraph;
+        }
+      });
+    }, { placeholder: 'off', min: 0.25 }));
+
+    if (telegraph) {
+      section.appendChild(this.createColorField('Telegraph color', `platform.${index}.telegraph.color`, telegraph.color ?? '0xffffff', (value) => {
+        this.editor.updatePlatform(index, (data) => {
+          data.telegraph = { ...data.telegraph, color: value };
+        });
+      }));
+    }
+  }
+
+  renderStatesSection(index, states) {
+    const section = this.createSection('Start state');
+    this.appendStateFields(section, `platform.${index}.startState`, states.startState || {}, (mutate) => {
+      this.editor.updatePlatform(index, (data) => {
+        data.states = { ...data.states };
+        data.states.startState = { ...data.states.startState };
+        mutate(data.states.startState);
+        if (Object.keys(data.states.startState).length === 0) {
+          delete data.states.startState;
+        }
+      });
+    });
+
+    const transitions = states.transitions || [];
+    const transitionsSection = this.createSection(`Transitions (${transitions.length})`);
+
+    transitions.forEach((transition, transitionIndex) => {
+      const fieldPrefix = `platform.${index}.transitions.${transitionIndex}`;
+      const updateTransition = (mutate) => {
+        this.editor.updatePlatform(index, (data) => {
+          mutate(data.states.transitions[transitionIndex]);
+        });
+      };
+
+      const box = document.createElement('div');
+      box.className = 'editor-transition';
+
+      const header = this.createRow('editor-transition-header');
+      const heading = document.createElement('strong');
+      heading.textContent = `#${transitionIndex + 1}`;
+      header.appendChild(heading);
+      header.appendChild(this.createButton('↑', () => this.editor.moveTransition(index, transitionIndex, -1), 'Move up'));
+      header.appendChild(this.createButton('↓', () => this.editor.moveTransition(index, transitionIndex, 1), 'Move down'));
+      header.appendChild(this.createButton('✕', () => this.editor.removeTransition(index, transitionIndex), 'Remove', 'danger'));
+      box.appendChild(header);
+
+      box.appendChild(this.createNumberField('Beats', `${fieldPrefix}.beats`, transition.beats, (value) => {
+        updateTransition((data) => {
+          setOptional(data, 'beats', value > 0 ? value : undefined);
+        });
+      }, { placeholder: '1', min: 0.25, step: 0.25 }));
+
+      box.appendChild(this.createEasingField(`${fieldPrefix}.easing`, transition.easing, (value) => {
+        updateTransition((data) => {
+          setOptional(data, 'easing', value);
+        });
+      }));
+
+      this.appendStateFields(box, fieldPrefix, transition.transforms || {}, (mutate) => {
+        updateTransition((data) => {
+          data.transforms = { ...data.transforms };
+          mutate(data.transforms);
+          if (Object.keys(data.transforms).length === 0) {
+            delete data.transforms;
+          }
+        });
+      });
+
+      transitionsSection.appendChild(box);
+    });
+
+    transitionsSection.appendChild(this.createButton('+ Transition', () => this.editor.addTransition(index)));
+  }
+
+  /**
+   * Add translate/scale/rotate/colorIndex fields for a state or transition transforms.
+   * Empty fields are left out of the data (meaning "same as start state").
+   */
+  appendStateFields(container, fieldPrefix, state, update) {
+    const placeholders = {
+      translate: { x: '0', y: '0', z: '0' },
+      scale: { x: '1', y: '1', z: '1' },
+      rotate: { x: '0', y: '0', z: '0' }
+    };
+
+    ['translate', 'scale', 'rotate'].forEach((transform) => {
+      const label = transform === 'rotate' ? 'Rotate (rad)' : capitalize(transform);
+      container.appendChild(this.createVectorField(
+        label,
+        `${fieldPrefix}.${transform}`,
+        state[transform] || {},
+        AXES,
+        (key, value) => {
+          update((data) => {
+            data[transform] = { ...data[transform] };
+            setOptional(data[transform], key, value);
+            if (Object.keys(data[transform]).length === 0) {
+              delete data[transform];
+            }
+          });
+        },
+        { allowEmpty: true, placeholders: placeholders[transform] }
+      ));
+    });
+
+    const palette = this.editor.levelData.colorPalette || [];
+    const options = [['', 'unchanged']];
+    palette.forEach((color, colorIndex) => {
+      options.push([String(colorIndex), `${colorIndex}: ${color}`]);
+    });
+    container.appendChild(this.createSelectField(
+      'Color',
+      `${fieldPrefix}.colorIndex`,
+      state.colorIndex === undefined || state.colorIndex === null ? '' : String(state.colorIndex),
+      options,
+      (value) => {
+        update((data) => {
+          setOptional(data, 'colorIndex', value === '' ? undefined : Number(value));
+        });
+      }
+    ));
+  }
+
+  createEasingField(field, easing, onChange) {
+    const options = [['', 'default (easeOutQuart)']];
+    Object.keys(Easings).forEach((name) => options.push([name, name]));
+
+    // Bezier arrays and per-transform easings can't be edited here - keep them as they are
+    const isCustom = easing !== undefined && typeof easing !== 'string';
+    if (isCustom) {
+      options.push(['custom', `custom: ${JSON.stringify(easing)}`]);
+    }
+
+    return this.createSelectField(
+      'Easing',
+      field,
+      isCustom ? 'custom' : (easing || ''),
+      options,
+      (value) => {
+        if (value !== 'custom') {
+          onChange(value || undefined);
+        }
+      }
+    );
+  }
+
+  renderHelp() {
+    const section = this.createSection('Controls');
+    const help = document.createElement('p');
+    help.className = 'editor-hint';
+    help.innerHTML = [
+      'WASD / Q E: fly, Shift: faster, right drag: look',
+      'Click: select, G: move, R: resize, F: focus',
+      'Ctrl+D: duplicate, Delete: delete, Esc: deselect',
+      'P: open/close the BPM timeline',
+      'Timeline: Space play/pause, ← → step a beat (Shift: ¼), Home: beat 0'
+    ].join('<br>');
+    section.appendChild(help);
+  }
+
+  // --- DOM helpers ---
+
+  createSection(title) {
+    const section = document.createElement('section');
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    section.appendChild(heading);
+    this.root.appendChild(section);
+    return section;
+  }
+
+  createRow(className = 'editor-row') {
+    const row = document.createElement('div');
+    row.className = className;
+    return row;
+  }
+
+  createLabeledRow(labelText) {
+    const row = this.createRow('editor-field');
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    row.appendChild(label);
+    return row;
+  }
+
+  createButton(text, onClick, title = null, className = null) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    if (title) {
+      button.title = title;
+    }
+    if (className) {
+      button.className = className;
+    }
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  createTextField(labelText, field, value, onChange, placeholder = '') {
+    const row = this.createLabeledRow(labelText);
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = value ?? '';
+    input.placeholder = placeholder;
+    input.dataset.field = field;
+    input.addEventListener('change', () => onChange(input.value.trim()));
+    row.appendChild(input);
+    return row;
+  }
+
+  createNumberField(labelText, field, value, onChange, options = {}) {
+    const row = this.createLabeledRow(labelText);
+    row.appendChild(createNumberInput(field, value, onChange, options));
+    return row;
+  }
+
+  /**
+   * Row of number inputs for an object like {x, y, z} or {width, height, depth}
+   * @param {Function} onChange - Called with (key, number|undefined) when one input changes
+   */
+  createVectorField(labelText, field, vector, keys, onChange, options = {}) {
+    const row = this.createLabeledRow(labelText);
+    keys.forEach((key, i) => {
+      const input = createNumberInput(`${field}.${key}`, vector[key], (value) => {
+        if (value === undefined && !options.allowEmpty) return;
+        onChange(key, value);
+      }, {
+        min: options.min,
+        placeholder: options.placeholders?.[key] ?? (options.labels?.[i] || key)
+      });
+      input.title = options.labels?.[i] || key;
+      row.appendChild(input);
+    });
+    return row;
+  }
+
+  createColorField(labelText, field, value, onChange) {
+    const row = this.createLabeledRow(labelText);
+    row.appendChild(createColorInput(value, field, onChange));
+    return row;
+  }
+
+  createSelectField(labelText, field, value, options, onChange) {
+    const row = this.createLabeledRow(labelText);
+    const select = document.createElement('select');
+    select.dataset.field = field;
+    options.forEach(([optionValue, optionLabel]) => {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = optionLabel;
+      select.appendChild(option);
+    });
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+    row.appendChild(select);
+    return row;
+  }
+}
+
+/**
+ * Number input that reports a number, or undefined when cleared
+ */
+function createNumberInput(field, value, onChange, options = {}) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.step = options.step ?? 'any';
+  if (options.min !== undefined) {
+    input.min = options.min;
+  }
+  input.value = value ?? '';
+  input.placeholder = options.placeholder ?? '';
+  input.dataset.field = field;
+  input.addEventListener('change', () => {
+    const number = input.value === '' ? undefined : Number(input.value);
+    if (number === undefined || Number.isFinite(number)) {
+      onChange(number);
+    }
+  });
+  return input;
+}
+
+/**
+ * Color input that reads and writes level-file colors ("0xRRGGBB" or integers)
+ */
+function createColorInput(value, field, onChange) {
+  const input = document.createElement('input');
+  input.type = 'color';
+  input.value = toCssColor(value);
+  input.dataset.field = field;
+  input.addEventListener('change', () => onChange(`0x${input.value.slice(1)}`));
+  return input;
+}
+
+function toCssColor(color) {
+  const number = typeof color === 'number' ? color : parseInt(String(color).replace(/^0x/i, ''), 16);
+  return `#${(Number.isFinite(number) ? number : 0x808080).toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * Set a property, or delete it when the value is undefined
+ */
+function setOptional(object, key, value) {
+  if (value === undefined) {
+    delete object[key];
+  } else {
+    object[key] = value;
+  }
+}
+
+function describePlatform(platformData, index) {
+  return platformData.id ? `"${platformData.id}"` : `#${index}`;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
@@ -0,0 +1,162 @@
+import * as THREE from 'three';
+
+/**
+ * Free-fly camera for the level editor.
+ * WASD to move, Q/E to go down/up, Shift to move faster,
+ * hold the right mouse button and drag to look around.
+ */
+export class FlyCamera {
+  /**
+   * @param {THREE.PerspectiveCamera} camera - Camera to control
+   * @param {HTMLElement} domElement - Element that receives mouse input (the canvas)
+   */
+  constructor(camera, domElement) {
+    this.camera = camera;
+    this.domElement = domElement;
+
+    this.speed = 20; // Units per second
+    this.fastMultiplier = 3;
+    this.lookSensitivity = 0.003;
+
+    this.yaw = 0;
+    this.pitch = 0;
+    this.isLooking = false;
+    this.keys = { w: false, a: false, s: false, d: false, q: false, e: false, shift: false };
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Place the camera and point it at a target
+   * @param {Object} position - Camera position {x, y, z}
+   * @param {Object} target - Point to look at {x, y, z}
+   */
+  setPose(position, target) {
+    this.camera.position.set(position.x, position.y, position.z);
+    const direction = new THREE.Vector3(
+      target.x - position.x,
+      target.y - position.y,
+      target.z - position.z
+    ).normalize();
+
+    this.yaw = Math.atan2(-direction.x, -direction.z);
+    this.pitch = Math.asin(direction.y);
+    this.applyRotation();
+  }
+
+  applyRotation() {
+    this.camera.rotation.set(this.pitch, this.yaw, 0, 'YXZ');
+  }
+
+  setupEventListeners() {
+    this.onMouseDown = (event) => {
+      if (event.button === 2) {
+        this.isLooking = true;
+      }
+    };
+
+    this.onMouseUp = (event) => {
+      if (event.button === 2) {
+        this.isLooking = false;
+      }
+    };
+
+    this.onMouseMove = (event) => {
+      if (!this.isLooking) return;
+
+      this.yaw -= event.movementX * this.lookSensitivity;
+      this.pitch -= event.movementY * this.lookSensitivity;
+
+      // Clamp pitch to prevent flipping
+      const maxPitch = Math.PI / 2 - 0.01;
+      this.pitch = Math.max(-maxPitch, Math.min(maxPitch, this.pitch));
+      this.applyRotation();
+    };
+
+    // Right mouse button is used for looking, not the browser menu
+    this.onContextMenu = (event) => {
+      event.preventDefault();
+    };
+
+    this.onKeyDown = (event) => {
+      this.setKey(event, true);
+    };
+
+    this.onKeyUp = (event) => {
+      this.setKey(event, false);
+    };
+
+    // Stop moving if the window loses focus while a key is held
+    this.onBlur = () => {
+      Object.keys(this.keys).forEach((key) => {
+        this.keys[key] = false;
+      });
+      this.isLooking = false;
+    };
+
+    this.domElement.addEventListener('mousedown', this.onMouseDown);
+    this.domElement.addEventListener('contextmenu', this.onContextMenu);
+    window.addEventListener('mouseup', this.onMouseUp);
+    window.addEventListener('mousemove', this.onMouseMove);
+    window.addEventListener('keydown', this.onKeyDown);
+    window.addEventListener('keyup', this.onKeyUp);
+    window.addEventListener('blur', this.onBlur);
+  }
+
+  setKey(event, isDown) {
+    // Don't fly around while typing in the editor panel
+    if (isDown && isTextInput(event.target)) return;
+    // Ctrl/Cmd shortcuts (e.g. Ctrl+D duplicate) aren't movement
+    if (isDown && (event.ctrlKey || event.metaKey)) return;
+
+    if (event.key === 'Shift') {
+      this.keys.shift = isDown;
+      return;
+    }
+
+    const key = event.key.toLowerCase();
+    if (key in this.keys) {
+      this.keys[key] = isDown;
+    }
+  }
+
+  update(delta) {
+    const move = new THREE.Vector3(
+      (this.keys.d ? 1 : 0) - (this.keys.a ? 1 : 0),
+      (this.keys.e ? 1 : 0) - (this.keys.q ? 1 : 0),
+      (this.keys.s ? 1 : 0) - (this.keys.w ? 1 : 0)
+    );
+    if (move.lengthSq() === 0) return;
+
+    const speed = this.speed * (this.keys.shift ? this.fastMultiplier : 1);
+    move.normalize().multiplyScalar(speed * delta);
+
+    // Forward/strafe follow where the camera looks, up/down stays vertical
+    const vertical = move.y;
+    move.y = 0;
+    move.applyQuaternion(this.camera.quaternion);
+    move.y += vertical;
+
+    this.camera.position.add(move);
+  }
+
+  dispose() {
+    this.domElement.removeEventListener('mousedown', this.onMouseDown);
+    this.domElement.removeEventListener('contextmenu', this.onContextMenu);
+    window.removeEventListener('mouseup', this.onMouseUp);
+    window.removeEventListener('mousemove', this.onMouseMove);
+    window.removeEventListener('keydown', this.onKeyDown);
+    window.removeEventListener('keyup', this.onKeyUp);
+    window.removeEventListener('blur', this.onBlur);
+  }
+}
+
+/**
+ * Check if keyboard input is going to a text field rather than the game
+ * @param {EventTarget} target - Event target
+ * @returns {boolean}
+ */
+export function isTextInput(target) {
+  return target instanceof HTMLElement &&
+    (target.tagName === 'INPUT' || target.tagName === 'SELECT' || target.tagName === 'TEXTAREA');
+}
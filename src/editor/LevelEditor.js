@@ -0,0 +1,814 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { GameState } from '../core/Game.js';
+import { Turret } from '../entities/Turret.js';
+import { LevelDataLoader } from '../levels/LevelDataLoader.js';
+import { LEVEL_SCHEMA_VERSION } from '../levels/LevelSchema.js';
+import { formatValidationErrors, validateLevelData } from '../levels/LevelValidator.js';
+import { EditorPanel } from './EditorPanel.js';
+import { FlyCamera, isTextInput } from './FlyCamera.js';
+import { TimelinePanel } from './TimelinePanel.js';
+
+const SELECTION_COLOR = 0xffd700;
+
+// Positions snap to this grid while dragging; values are rounded to 2 decimals when saved
+const TRANSLATION_SNAP = 0.5;
+const MIN_PLATFORM_SIZE = 0.1;
+
+// Pointer movement (px) above which a click is treated as a drag, not a selection
+const CLICK_TOLERANCE = 4;
+
+/**
+ * Create the starting point for a new level: a single platform under the spawn
+ * @returns {Object} Level data
+ */
+export function createEmptyLevel() {
+  return {
+    schemaVersion: LEVEL_SCHEMA_VERSION,
+    name: 'Untitled',
+    bpm: 120,
+    background: { color: '0x1a0a2e' },
+    playerSpawn: { x: 0, y: 1, z: 0 },
+    platforms: [
+      {
+        id: 'start',
+        type: 'static',
+        position: { x: 0, y: -0.5, z: 0 },
+        size: { width: 10, height: 1, depth: 10 },
+        color: '0x808080'
+      }
+    ]
+  };
+}
+
+/**
+ * In-game level editor (GameState.EDITOR).
+ * Edits a level data object in place - the same format LevelDataLoader reads - and
+ * rebuilds the platforms/turrets it shows from that data after every change.
+ */
+export class LevelEditor {
+  /**
+   * @param {Game} game - The game instance
+   * @param {Object} [levelData] - Level to edit (copied), or a new empty level
+   */
+  constructor(game, levelData = null) {
+    this.game = game;
+    this.levelData = structuredClone(levelData || createEmptyLevel());
+
+    this.views = []; // One per platform in levelData: {platform, turret}
+    this.spawnMarker = null;
+    this.selection = null; // {type: 'platform' | 'turret', index} or {type: 'spawn'}
+    this.selectionHelper = null;
+
+    // BPM animation preview, controlled from the timeline
+    this.isPreviewing = false;
+    this.isPreviewPlaying = false;
+    this.previewBeat = 0;
+
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+
+    this.init();
+    this.setupEventListeners();
+  }
+
+  init() {
+    // Hide level select UI
+    const levelSelectInfo = document.getElementById('level-select-info');
+    if (levelSelectInfo) {
+      levelSelectInfo.style.display = 'none';
+    }
+
+    this.game.scene.clear();
+    this.game.scene.fog = null;
+    this.updateBackground();
+
+    // Lighting (same as levels)
+    const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
+    this.game.scene.add(ambientLight);
+
+    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    directionalLight.position.set(10, 20, 10);
+    this.game.scene.add(directionalLight);
+
+    // Ground grid for orientation
+    this.grid = new THREE.GridHelper(200, 100, 0x4ecca3, 0x444466);
+    this.grid.material.transparent = true;
+    this.grid.material.opacity = 0.4;
+    this.game.scene.add(this.grid);
+
+    this.flyCamera = new FlyCamera(this.game.camera, this.game.canvas);
+    this.flyCamera.setPose({ x: 0, y: 12, z: 25 }, { x: 0, y: 0, z: 0 });
+
+    this.transformControls = new TransformControls(this.game.camera, this.game.canvas);
+    this.transformControls.setTranslationSnap(TRANSLATION_SNAP);
+    this.transformControls.addEventListener('dragging-changed', (event) => {
+      if (!event.value) {
+        this.commitTransform();
+      }
+    });
+    this.game.scene.add(this.transformControls);
+
+    this.createSpawnMarker();
+    this.rebuildAllViews();
+
+    this.panel = new EditorPanel(this, document.getElementById('editor-panel'));
+    this.panel.show();
+    this.timeline = new TimelinePanel(this, document.getElementById('editor-timeline'));
+  }
+
+  updateBackground() {
+    this.game.scene.background = new THREE.Color(LevelDataLoader.getBackgroundColor(this.levelData));
+  }
+
+  // --- Views of the level data ---
+
+  /**
+   * Create the platform (and turret) meshes for one platform in the level data
+   * @param {number} index - Index into levelData.platforms
+   */
+  createView(index) {
+    const platformData = this.levelData.platforms[index];
+    const platform = LevelDataLoader.createPlatform(
+      platformData,
+      LevelDataLoader.getBPM(this.levelData),
+      LevelDataLoader.getColorPalette(this.levelData)
+    );
+    platform.mesh.userData.editorSelection = { type: 'platform', index };
+    platform.addToScene(this.game.scene);
+
+    // Show moving platforms at the previewed beat (otherwise their start state)
+    if (this.isPreviewing && platform.setBeat) {
+      platform.setBeat(this.previewBeat);
+    }
+
+    let turret = null;
+    if (platformData.turret) {
+      turret = new Turret({
+        position: LevelDataLoader.getTurretPosition(platformData),
+        color: LevelDataLoader.parseColor(platformData.turret.color || '0xff0000')
+      });
+      turret.mesh.userData.editorSelection = { type: 'turret', index };
+      turret.addToScene(this.game.scene);
+    }
+
+    return { platform, turret };
+  }
+
+  disposeView(view) {
+    view.platform.removeFromScene(this.game.scene);
+    view.platform.destroy();
+    if (view.turret) {
+      view.turret.removeFromScene(this.game.scene);
+      view.turret.destroy();
+    }
+  }
+
+  /**
+   * Rebuild the meshes for one platform after its data changed
+   * @param {number} index - Index into levelData.platforms
+   */
+  rebuildView(index) {
+    this.disposeView(this.views[index]);
+    this.views[index] = this.createView(index);
+    this.attachSelection();
+    this.refreshTimeline();
+  }
+
+  /**
+   * Rebuild every platform (after level-wide changes, or when indices shift)
+   */
+  rebuildAllViews() {
+    this.views.forEach((view) => this.disposeView(view));
+    this.views = this.levelData.platforms.map((platformData, index) => this.createView(index));
+    this.updateSpawnMarker();
+    this.attachSelection();
+    this.refreshTimeline();
+  }
+
+  createSpawnMarker() {
+    // Same size as the player capsule (center is 0.8 above its bottom)
+    const geometry = new THREE.CapsuleGeometry(0.3, 1.0, 4, 8);
+    const material = new THREE.MeshStandardMaterial({
+      color: 0x4ecca3,
+      transparent: true,
+      opacity: 0.7
+    });
+    this.spawnMarker = new THREE.Mesh(geometry, material);
+    this.spawnMarker.userData.editorSelection = { type: 'spawn' };
+    this.game.scene.add(this.spawnMarker);
+  }
+
+  updateSpawnMarker() {
+    const spawn = LevelDataLoader.getPlayerSpawnPosition(this.levelData);
+    this.spawnMarker.position.set(spawn.x, spawn.y, spawn.z);
+  }
+
+  // --- Selection ---
+
+  /**
+   * Select a platform, turret or the spawn marker
+   * @param {Object|null} selection - {type, index} or null to deselect
+   */
+  select(selection) {
+    this.selection = selection;
+    if (selection?.type !== 'platform' && this.transformControls.mode === 'scale') {
+      this.transformControls.setMode('translate');
+    }
+    this.attachSelection();
+    this.panel.render();
+    if (this.isPreviewing) {
+      this.timeline.draw();
+    }
+  }
+
+  /**
+   * Get the mesh for the current selection
+   * @returns {THREE.Object3D|null}
+   */
+  getSelectedObject() {
+    if (!this.selection) return null;
+    if (this.selection.type === 'spawn') return this.spawnMarker;
+
+    const view = this.views[this.selection.index];
+    if (!view) return null;
+    return this.selection.type === 'turret' ? view.turret?.mesh || null : view.platform.mesh;
+  }
+
+  /**
+   * Attach the gizmo and highlight to the selected mesh (after selecting or rebuilding)
+   */
+  attachSelection() {
+    if (this.selectionHelper) {
+      this.game.scene.remove(this.selectionHelper);
+      this.selectionHelper.dispose();
+      this.selectionHelper = null;
+    }
+
+    const object = this.getSelectedObject();
+    if (!object) {
+      this.selection = null;
+      this.transformControls.detach();
+      return;
+    }
+
+    this.selectionHelper = new THREE.BoxHelper(object, SELECTION_COLOR);
+    this.game.scene.add(this.selectionHelper);
+
+    // The gizmo would fight the animation while previewing
+    if (this.isPreviewing) {
+      this.transformControls.detach();
+    } else {
+      this.transformControls.attach(object);
+    }
+  }
+
+  /**
+   * Pick the object under the pointer
+   * @param {PointerEvent} event - The click
+   */
+  pickAt(event) {
+    this.pointer.x = (event.clientX / window.innerWidth) * 2 - 1;
+    this.pointer.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    this.raycaster.setFromCamera(this.pointer, this.game.camera);
+
+    const objects = [this.spawnMarker];
+    this.views.forEach((view) => {
+      objects.push(view.platform.mesh);
+      if (view.turret) {
+        objects.push(view.turret.mesh);
+      }
+    });
+
+    const hit = this.raycaster.intersectObjects(objects, true)[0];
+    let object = hit?.object;
+    // Turret parts are children of the turret group
+    while (object && !object.userData.editorSelection) {
+      object = object.parent;
+    }
+
+    this.select(object ? { ...object.userData.editorSelection } : null);
+  }
+
+  /**
+   * Write the result of a gizmo drag back into the level data
+   */
+  commitTransform() {
+    const selection = this.selection;
+    const object = this.getSelectedObject();
+    if (!selection || !object) return;
+
+    if (selection.type === 'spawn') {
+      this.updateLevel((data) => {
+        data.playerSpawn = roundVector(object.position);
+      });
+      return;
+    }
+
+    const platformData = this.levelData.platforms[selection.index];
+
+    if (selection.type === 'turret') {
+      const offset = {
+        x: object.position.x - platformData.position.x,
+        y: object.position.y - platformData.position.y,
+        z: object.position.z - platformData.position.z
+      };
+      this.updatePlatform(selection.index, (data) => {
+        data.turret.position = roundVector(offset);
+      });
+      return;
+    }
+
+    // Moving platforms are shown in their start state, which may be translated/scaled
+    const startState = platformData.states?.startState || {};
+    const startTranslate = { x: 0, y: 0, z: 0, ...startState.translate };
+    const startScale = { x: 1, y: 1, z: 1, ...startState.scale };
+
+    if (this.transformControls.mode === 'scale') {
+      this.updatePlatform(selection.index, (data) => {
+        data.size = {
+          width: roundSize(data.size.width * object.scale.x / startScale.x),
+          height: roundSize(data.size.height * object.scale.y / startScale.y),
+          depth: roundSize(data.size.depth * object.scale.z / startScale.z)
+        };
+      });
+    } else {
+      this.updatePlatform(selection.index, (data) => {
+        data.position = roundVector({
+          x: object.position.x - startTranslate.x,
+          y: object.position.y - startTranslate.y,
+          z: object.position.z - startTranslate.z
+        });
+      });
+    }
+  }
+
+  // --- Edits (called by the panel and shortcuts) ---
+
+  /**
+   * Change level-wide data, then rebuild everything
+   * @param {Function} mutate - Called with levelData to modify it
+   */
+  updateLevel(mutate) {
+    mutate(this.levelData);
+    this.updateBackground();
+    this.rebuildAllViews();
+    this.panel.render();
+  }
+
+  /**
+   * Change one platform's data, then rebuild it
+   * @param {number} index - Index into levelData.platforms
+   * @param {Function} mutate - Called with the platform data to modify it
+   */
+  updatePlatform(index, mutate) {
+    mutate(this.levelData.platforms[index]);
+    this.rebuildView(index);
+    this.panel.render();
+  }
+
+  /**
+   * Add a platform in front of the camera and select it
+   * @param {string} type - "static" or "moving"
+   */
+  addPlatform(type) {
+    const direction = new THREE.Vector3();
+    this.game.camera.getWorldDirection(direction);
+    const position = this.game.camera.position.clone().add(direction.multiplyScalar(15));
+
+    const platformData = {
+      type,
+      position: roundVector(position, TRANSLATION_SNAP),
+      size: { width: 4, height: 1, depth: 4 },
+      color: type === 'moving' ? '0x4ecca3' : '0x808080'
+    };
+    if (type === 'moving') {
+      // Bob up and down so the new platform visibly moves in the preview
+      platformData.states = {
+        transitions: [
+          { beats: 4, transforms: { translate: { y: 4 } } },
+          { beats: 4, transforms: { translate: { y: 0 } } }
+        ]
+      };
+    }
+
+    this.levelData.platforms.push(platformData);
+    const index = this.levelData.platforms.length - 1;
+    this.views.push(this.createView(index));
+    this.select({ type: 'platform', index });
+  }
+
+  /**
+   * Switch a platform between static and moving
+   * @param {number} index - Index into levelData.platforms
+   * @param {string} type - "static" or "moving"
+   */
+  setPlatformType(index, type) {
+    this.updatePlatform(index, (data) => {
+      data.type = type;
+      if (type === 'moving') {
+        data.states = data.states || { transitions: [] };
+      } else {
+        // Static platforms ignore states and telegraph cues
+        delete data.states;
+        delete data.telegraph;
+      }
+    });
+  }
+
+  addTurret(index) {
+    this.updatePlatform(index, (data) => {
+      data.turret = { position: { x: 0, y: 0.8, z: 0 }, color: '0xff0000' };
+    });
+    this.select({ type: 'turret', index });
+  }
+
+  addTransition(index) {
+    this.updatePlatform(index, (data) => {
+      data.states = { ...data.states };
+      data.states.transitions = [...(data.states.transitions || []), { beats: 4 }];
+    });
+  }
+
+  removeTransition(index, transitionIndex) {
+    this.updatePlatform(index, (data) => {
+      data.states.transitions.splice(transitionIndex, 1);
+    });
+  }
+
+  /**
+   * Move a transition earlier (-1) or later (+1) in the sequence
+   */
+  moveTransition(index, transitionIndex, direction) {
+    const transitions = this.levelData.platforms[index].states.transitions;
+    const target = transitionIndex + direction;
+    if (target < 0 || target >= transitions.length) return;
+
+    this.updatePlatform(index, () => {
+      [transitions[transitionIndex], transitions[target]] = [transitions[target], transitions[transitionIndex]];
+    });
+  }
+
+  duplicateSelection() {
+    if (this.selection?.type !== 'platform') return;
+
+    const copy = structuredClone(this.levelData.platforms[this.selection.index]);
+    delete copy.id; // Ids must be unique
+    copy.position.x = roundValue(copy.position.x + copy.size.width + 1);
+
+    this.levelData.platforms.push(copy);
+    const index = this.levelData.platforms.length - 1;
+    this.views.push(this.createView(index));
+    this.select({ type: 'platform', index });
+  }
+
+  deleteSelection() {
+    const selection = this.selection;
+    if (!selection || selection.type === 'spawn') return;
+
+    if (selection.type === 'turret') {
+      this.updatePlatform(selection.index, (data) => {
+        delete data.turret;
+      });
+      this.select({ type: 'platform', index: selection.index });
+      return;
+    }
+
+    const [removed] = this.levelData.platforms.splice(selection.index, 1);
+    this.removePlatformReferences(selection.index, removed.id);
+    this.selection = null;
+    this.rebuildAllViews();
+    this.panel.render();
+  }
+
+  /**
+   * Fix goal/checkpoint references after a platform is deleted: references to it are removed
+   * (the goal falls back to the furthest platform) and later indices shift down by one.
+   * @param {number} index - Index the platform had
+   * @param {string} [id] - Id the platform had
+   */
+  removePlatformReferences(index, id) {
+    const update = (trigger) => {
+      if (trigger.platform === undefined) return trigger;
+      if (trigger.platform === index || (id !== undefined && trigger.platform === id)) return null;
+      if (typeof trigger.platform === 'number' && trigger.platform > index) {
+        return { ...trigger, platform: trigger.platform - 1 };
+      }
+      return trigger;
+    };
+
+    if (this.levelData.goal) {
+      const goal = update(this.levelData.goal);
+      if (goal) {
+        this.levelData.goal = goal;
+      } else {
+        delete this.levelData.goal;
+      }
+    }
+
+    if (Array.isArray(this.levelData.checkpoints)) {
+      this.levelData.checkpoints = this.levelData.checkpoints.map(update).filter(Boolean);
+      if (this.levelData.checkpoints.length === 0) {
+        delete this.levelData.checkpoints;
+      }
+    }
+  }
+
+  // --- Preview ---
+
+  /**
+   * Open or close the BPM preview timeline. Opening starts playing from beat 0;
+   * closing puts platforms back in their start state.
+   */
+  togglePreview() {
+    this.isPreviewing = !this.isPreviewing;
+    this.isPreviewPlaying = this.isPreviewing;
+    this.previewBeat = 0;
+
+    if (this.isPreviewing) {
+      this.timeline.show();
+    } else {
+      this.timeline.hide();
+    }
+
+    this.rebuildAllViews();
+    this.panel.render();
+  }
+
+  togglePreviewPlaying() {
+    if (!this.isPreviewing) return;
+    this.isPreviewPlaying = !this.isPreviewPlaying;
+    this.timeline.render();
+  }
+
+  /**
+   * Show every moving platform at a beat (seek)
+   * @param {number} beat - Beat to show, from 0
+   */
+  setPreviewBeat(beat) {
+    if (!this.isPreviewing) return;
+
+    this.previewBeat = Math.max(0, beat);
+    this.views.forEach((view) => {
+      if (view.platform.setBeat) {
+        view.platform.setBeat(this.previewBeat);
+      }
+    });
+    this.timeline.draw();
+  }
+
+  /**
+   * Pause and move to the next/previous whole step
+   * @param {number} direction - 1 for forward, -1 for back
+   * @param {number} [step=1] - Step size in beats
+   */
+  stepPreview(direction, step = 1) {
+    if (!this.isPreviewing) return;
+
+    if (this.isPreviewPlaying) {
+      this.togglePreviewPlaying();
+    }
+
+    // Snap to the step grid, so stepping from beat 2.3 goes to 3 (or 2)
+    const position = this.previewBeat / step;
+    const target = direction > 0
+      ? Math.floor(position + 1e-6) + 1
+      : Math.ceil(position - 1e-6) - 1;
+    this.setPreviewBeat(target * step);
+  }
+
+  /**
+   * Redraw the timeline after platforms were rebuilt (rows may have changed)
+   */
+  refreshTimeline() {
+    if (this.isPreviewing && this.timeline) {
+      this.timeline.render();
+    }
+  }
+
+  // --- Files ---
+
+  newLevel() {
+    if (!window.confirm('Discard the current level and start a new one?')) return;
+    this.loadLevelData(createEmptyLevel());
+  }
+
+  /**
+   * Open a level JSON file from disk
+   * @param {File} file - The file to open
+   */
+  async openFile(file) {
+    try {
+      const text = await file.text();
+      this.loadLevelData(LevelDataLoader.parseLevelData(text, file.name));
+      this.panel.showMessage(`Opened ${file.name}`);
+    } catch (error) {
+      console.error(`Error opening ${file.name}:`, error);
+      this.panel.showMessage(
+        error.errors ? `${error.message}\n${formatValidationErrors(error.errors)}` : error.message,
+        true
+      );
+    }
+  }
+
+  loadLevelData(levelData) {
+    this.levelData = structuredClone(levelData);
+    this.selection = null;
+    if (this.isPreviewing) {
+      this.isPreviewing = false;
+      this.timeline.hide();
+    }
+    this.panel.message = null;
+    this.updateBackground();
+    this.rebuildAllViews();
+    this.panel.render();
+  }
+
+  /**
+   * Check the level against the schema, showing any problems in the panel
+   * @returns {boolean} True if the level is valid
+   */
+  validate() {
+    const errors = validateLevelData(this.levelData);
+    if (errors.length > 0) {
+      this.panel.showMessage(`Level has ${errors.length} problem(s):\n${formatValidationErrors(errors)}`, true);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Download the level as a JSON file LevelDataLoader can load
+   */
+  exportLevel() {
+    if (!this.validate()) return;
+
+    const json = LevelDataLoader.stringifyLevelData(this.levelData);
+    const fileName = `${slugify(this.levelData.name) || 'level'}.json`;
+
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    this.panel.showMessage(`Exported ${fileName}`);
+  }
+
+  /**
+   * Play the level as a custom level. The editor picks up where it left off
+   * when reopened from the level select screen.
+   */
+  playtest() {
+    if (!this.validate()) return;
+
+    const name = this.levelData.name || 'Untitled';
+    const customLevel = {
+      source: `editor:${name}`,
+      name,
+      data: structuredClone(this.levelData),
+      path: null
+    };
+    this.game.customLevel = customLevel;
+    this.game.changeState(GameState.PLAYING, { customLevel });
+  }
+
+  exit() {
+    this.game.changeState(GameState.LEVEL_SELECT);
+  }
+
+  // --- Input and update ---
+
+  setupEventListeners() {
+    this.onPointerDown = (event) => {
+      // Clicks on the gizmo drag it instead of selecting
+      this.pointerDown = event.button === 0 && this.transformControls.axis === null
+        ? { x: event.clientX, y: event.clientY }
+        : null;
+    };
+
+    this.onPointerUp = (event) => {
+      const start = this.pointerDown;
+      this.pointerDown = null;
+      if (!start || event.button !== 0) return;
+
+      const moved = Math.hypot(event.clientX - start.x, event.clientY - start.y);
+      if (moved <= CLICK_TOLERANCE) {
+        this.pickAt(event);
+      }
+    };
+
+    this.onKeyDown = (event) => {
+      if (isTextInput(event.target)) return;
+
+      const key = event.key.toLowerCase();
+      if ((event.ctrlKey || event.metaKey) && key === 'd') {
+        event.preventDefault();
+        this.duplicateSelection();
+      } else if (event.ctrlKey || event.metaKey || event.altKey) {
+        return;
+      } else if (key === 'g') {
+        this.transformControls.setMode('translate');
+      } else if (key === 'r' && this.selection?.type === 'platform') {
+        this.transformControls.setMode('scale');
+      } else if (key === 'f') {
+        this.focusSelection();
+      } else if (key === 'p') {
+        this.togglePreview();
+      } else if (event.key === ' ' && this.isPreviewing) {
+        event.preventDefault();
+        this.togglePreviewPlaying();
+      } else if ((event.key === 'ArrowLeft' || event.key === 'ArrowRight') && this.isPreviewing) {
+        event.preventDefault();
+        this.stepPreview(event.key === 'ArrowRight' ? 1 : -1, event.shiftKey ? 0.25 : 1);
+      } else if (event.key === 'Home' && this.isPreviewing) {
+        this.setPreviewBeat(0);
+      } else if (event.key === 'Delete' || event.key === 'Backspace') {
+        event.preventDefault();
+        this.deleteSelection();
+      } else if (event.key === 'Escape') {
+        this.select(null);
+      }
+    };
+
+    this.game.canvas.addEventListener('pointerdown', this.onPointerDown);
+    this.game.canvas.addEventListener('pointerup', this.onPointerUp);
+    window.addEventListener('keydown', this.onKeyDown);
+  }
+
+  /**
+   * Point the camera at the selected object
+   */
+  focusSelection() {
+    const object = this.getSelectedObject();
+    if (!object) return;
+
+    const target = object.position;
+    const direction = new THREE.Vector3();
+    this.game.camera.getWorldDirection(direction);
+    const position = target.clone().sub(direction.multiplyScalar(15));
+    this.flyCamera.setPose(position, target);
+  }
+
+  update(delta) {
+    this.flyCamera.update(delta);
+
+    if (this.isPreviewing && this.isPreviewPlaying) {
+      this.setPreviewBeat(this.previewBeat + delta * LevelDataLoader.getBPM(this.levelData) / 60);
+    }
+
+    if (this.selectionHelper) {
+      this.selectionHelper.update();
+    }
+  }
+
+  destroy() {
+    this.game.canvas.removeEventListener('pointerdown', this.onPointerDown);
+    this.game.canvas.removeEventListener('pointerup', this.onPointerUp);
+    window.removeEventListener('keydown', this.onKeyDown);
+    this.flyCamera.dispose();
+
+    this.transformControls.detach();
+    this.transformControls.dispose();
+    this.game.scene.remove(this.transformControls);
+
+    this.views.forEach((view) => this.disposeView(view));
+    this.views = [];
+    if (this.selectionHelper) {
+      this.selectionHelper.dispose();
+    }
+    this.spawnMarker.geometry.dispose();
+    this.spawnMarker.material.dispose();
+    this.grid.dispose();
+
+    this.panel.hide();
+    this.timeline.hide();
+
+    // Keep the level so the editor can be reopened where it left off
+    this.game.editorLevelData = this.levelData;
+  }
+}
+
+/**
+ * Round to a multiple of step, dropping floating point noise (e.g. 1.2000000001)
+ */
+function roundValue(value, step = 0.01) {
+  return Number((Math.round(value / step) * step).toFixed(2));
+}
+
+function roundVector(vector, step = 0.01) {
+  return {
+    x: roundValue(vector.x, step),
+    y: roundValue(vector.y, step),
+    z: roundValue(vector.z, step)
+  };
+}
+
+function roundSize(value) {
+  return Math.max(MIN_PLATFORM_SIZE, Number(value.toFixed(2)));
+}
+
+function slugify(text = '') {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
@@ -0,0 +1,279 @@
+import { LevelDataLoader } from '../levels/LevelDataLoader.js';
+
+const LABEL_WIDTH = 90;
+const HEADER_HEIGHT = 18;
+const ROW_HEIGHT = 18;
+
+// The timeline shows a window of beats: the longest loop rounded up to whole bars, within these limits
+const MIN_WINDOW_BEATS = 8;
+const MAX_WINDOW_BEATS = 64;
+const BEATS_PER_BAR = 4;
+
+// Scrubbing snaps to this fraction of a beat (hold Shift for no snapping)
+const SCRUB_SNAP = 0.25;
+
+const TRANSITION_COLORS = ['#2a7a5e', '#3a9a7a'];
+const PLAYHEAD_COLOR = '#ff4444';
+
+/**
+ * Timeline for the level editor's BPM preview (#editor-timeline in index.html).
+ * Shows one row per moving platform with its transitions laid out in beats, plus
+ * play/pause, step and a playhead that can be dragged to seek.
+ */
+export class TimelinePanel {
+  /**
+   * @param {LevelEditor} editor - The editor whose preview this controls
+   * @param {HTMLElement} root - Timeline element
+   */
+  constructor(editor, root) {
+    this.editor = editor;
+    this.root = root;
+    this.rows = [];
+    this.isScrubbing = false;
+
+    this.onPointerMove = (event) => {
+      if (this.isScrubbing) {
+        this.seekToPointer(event);
+      }
+    };
+    this.onPointerUp = () => {
+      this.isScrubbing = false;
+    };
+  }
+
+  show() {
+    this.root.style.display = 'block';
+    this.render();
+    window.addEventListener('pointermove', this.onPointerMove);
+    window.addEventListener('pointerup', this.onPointerUp);
+  }
+
+  hide() {
+    this.root.style.display = 'none';
+    this.root.innerHTML = '';
+    this.canvas = null;
+    window.removeEventListener('pointermove', this.onPointerMove);
+    window.removeEventListener('pointerup', this.onPointerUp);
+  }
+
+  /**
+   * Rebuild the controls and canvas (when the playing state or set of platforms changes)
+   */
+  render() {
+    this.root.innerHTML = '';
+
+    const controls = document.createElement('div');
+    controls.className = 'timeline-controls';
+
+    const addButton = (text, title, onClick) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = text;
+      button.title = title;
+      button.addEventListener('click', onClick);
+      controls.appendChild(button);
+    };
+
+    addButton('⏮', 'Back to beat 0 (Home)', () => this.editor.setPreviewBeat(0));
+    addButton('◀', 'Previous beat (←, Shift for ¼ beat)', () => this.editor.stepPreview(-1));
+    addButton(
+      this.editor.isPreviewPlaying ? '⏸' : '▶',
+      'Play/pause (Space)',
+      () => this.editor.togglePreviewPlaying()
+    );
+    addButton('▶|', 'Next beat (→, Shift for ¼ beat)', () => this.editor.stepPreview(1));
+
+    this.beatDisplay = document.createElement('span');
+    this.beatDisplay.className = 'timeline-beat';
+    controls.appendChild(this.beatDisplay);
+
+    this.root.appendChild(controls);
+
+    // One row per moving platform that has transitions
+    this.rows = [];
+    this.editor.views.forEach((view, index) => {
+      const platform = view.platform;
+      if (!platform.getTransitionTimings || platform.transitions.length === 0) return;
+      const platformData = this.editor.levelData.platforms[index];
+      this.rows.push({
+        index,
+        platform,
+        label: platformData.id || `#${index}`
+      });
+    });
+
+    if (this.rows.length === 0) {
+      const hint = document.createElement('p');
+      hint.className = 'editor-hint';
+      hint.textContent = 'No moving platforms with transitions.';
+      this.root.appendChild(hint);
+    }
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.addEventListener('pointerdown', (event) => this.onCanvasPointerDown(event));
+    this.root.appendChild(this.canvas);
+
+    this.draw();
+  }
+
+  /**
+   * Get the range of beats currently shown. The window pages along with the playhead.
+   * @returns {{start: number, length: number}}
+   */
+  getBeatRange() {
+    const longestCycle = Math.max(0, ...this.rows.map((row) => row.platform.getCycleBeats()));
+    const length = Math.min(
+      MAX_WINDOW_BEATS,
+      Math.max(MIN_WINDOW_BEATS, Math.ceil(longestCycle / BEATS_PER_BAR) * BEATS_PER_BAR)
+    );
+    const start = Math.floor(this.editor.previewBeat / length) * length;
+    return { start, length };
+  }
+
+  /**
+   * Redraw the timeline (called every frame while previewing)
+   */
+  draw() {
+    if (!this.canvas) return;
+
+    const beat = this.editor.previewBeat;
+    this.beatDisplay.textContent = `Beat ${beat.toFixed(2)}`;
+
+    const pixelRatio = window.devicePixelRatio || 1;
+    const width = this.canvas.clientWidth;
+    const height = HEADER_HEIGHT + this.rows.length * ROW_HEIGHT;
+    if (this.canvas.width !== Math.round(width * pixelRatio) || this.canvas.height !== Math.round(height * pixelRatio)) {
+      this.canvas.width = Math.round(width * pixelRatio);
+      this.canvas.height = Math.round(height * pixelRatio);
+      this.canvas.style.height = `${height}px`;
+    }
+
+    const ctx = this.canvas.getContext('2d');
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const range = this.getBeatRange();
+    const beatWidth = (width - LABEL_WIDTH) / range.length;
+    const beatToX = (b) => LABEL_WIDTH + (b - range.start) * beatWidth;
+
+    // Beat grid, with bar numbers in the header
+    ctx.font = '11px monospace';
+    ctx.textBaseline = 'middle';
+    for (let i = 0; i <= range.length; i++) {
+      const isBar = (range.start + i) % BEATS_PER_BAR === 0;
+      const x = beatToX(range.start + i);
+      ctx.strokeStyle = isBar ? 'rgba(255, 255, 255, 0.35)' : 'rgba(255, 255, 255, 0.1)';
+      ctx.beginPath();
+      ctx.moveTo(x + 0.5, isBar ? 0 : HEADER_HEIGHT);
+      ctx.lineTo(x + 0.5, height);
+      ctx.stroke();
+
+      if (isBar && i < range.length) {
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.fillText(String(range.start + i), x + 3, HEADER_HEIGHT / 2);
+      }
+    }
+
+    const selectedIndex = this.editor.selection?.type === 'platform' ? this.editor.selection.index : null;
+    const palette = LevelDataLoader.getColorPalette(this.editor.levelData);
+
+    this.rows.forEach((row, rowIndex) => {
+      const y = HEADER_HEIGHT + rowIndex * ROW_HEIGHT;
+
+      if (row.index === selectedIndex) {
+        ctx.fillStyle = 'rgba(255, 215, 0, 0.15)';
+        ctx.fillRect(0, y, width, ROW_HEIGHT);
+      }
+
+      ctx.fillStyle = row.index === selectedIndex ? '#ffd700' : '#ffffff';
+      ctx.fillText(truncate(ctx, row.label, LABEL_WIDTH - 6), 4, y + ROW_HEIGHT / 2);
+
+      // Transitions repeat every cycle - draw every repeat that overlaps the window
+      const cycleBeats = row.platform.getCycleBeats();
+      const timings = row.platform.getTransitionTimings();
+      const windowEnd = range.start + range.length;
+
+      for (
+        let cycleStart = Math.floor(range.start / cycleBeats) * cycleBeats;
+        cycleStart < windowEnd;
+        cycleStart += cycleBeats
+      ) {
+        timings.forEach((timing, transitionIndex) => {
+          const start = Math.max(cycleStart + timing.start, range.start);
+          const end = Math.min(cycleStart + timing.start + timing.beats, windowEnd);
+          if (end <= start) return;
+
+          const x0 = beatToX(start);
+          const x1 = beatToX(end);
+          const colorIndex = row.platform.transitions[transitionIndex].targetState.colorIndex;
+          ctx.fillStyle = colorIndex !== null && palette[colorIndex] !== undefined
+            ? `#${palette[colorIndex].toString(16).padStart(6, '0')}`
+            : TRANSITION_COLORS[transitionIndex % TRANSITION_COLORS.length];
+          ctx.fillRect(x0 + 1, y + 2, x1 - x0 - 2, ROW_HEIGHT - 4);
+
+          if (x1 - x0 > 18) {
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(String(transitionIndex + 1), x0 + 4, y + ROW_HEIGHT / 2);
+          }
+        });
+      }
+    });
+
+    // Playhead
+    const playheadX = beatToX(beat);
+    ctx.strokeStyle = PLAYHEAD_COLOR;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(playheadX, 0);
+    ctx.lineTo(playheadX, height);
+    ctx.stroke();
+    ctx.lineWidth = 1;
+  }
+
+  onCanvasPointerDown(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = event.clientX - rect.left;
+    const y = event.clientY - rect.top;
+
+    // Clicking a label selects that platform
+    if (x < LABEL_WIDTH) {
+      const row = this.rows[Math.floor((y - HEADER_HEIGHT) / ROW_HEIGHT)];
+      if (row) {
+        this.editor.select({ type: 'platform', index: row.index });
+      }
+      return;
+    }
+
+    // Anywhere else seeks; keep dragging to scrub
+    this.isScrubbing = true;
+    if (this.editor.isPreviewPlaying) {
+      this.editor.togglePreviewPlaying();
+    }
+    this.seekToPointer(event);
+  }
+
+  seekToPointer(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const range = this.getBeatRange();
+    const beatWidth = (rect.width - LABEL_WIDTH) / range.length;
+    const offset = Math.max(0, Math.min(range.length, (event.clientX - rect.left - LABEL_WIDTH) / beatWidth));
+
+    let beat = range.start + offset;
+    if (!event.shiftKey) {
+      beat = Math.round(beat / SCRUB_SNAP) * SCRUB_SNAP;
+    }
+    this.editor.setPreviewBeat(beat);
+  }
+}
+
+/**
+ * Shorten text with an ellipsis to fit a width
+ */
+function truncate(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let shortened = text;
+  while (shortened.length > 1 && ctx.measureText(`${shortened}…`).width > maxWidth) {
+    shortened = shortened.slice(0, -1);
+  }
+  return `${shortened}…`;
+}
@@ -0,0 +1,161 @@
+import * as THREE from 'three';
+
+// Bottom of the player capsule is this far below its center
+const PLAYER_HALF_HEIGHT = 0.8;
+
+const INACTIVE_COLOR = 0x888888;
+const ACTIVE_COLOR = 0x4ecca3;
+
+/**
+ * Checkpoint flag that the player respawns at after dying.
+ * Either sits on a platform (and follows it if it moves) or marks a box-shaped volume.
+ */
+export default class Checkpoint {
+  /**
+   * @param {THREE.Scene} scene - Scene to add the flag to
+   * @param {Object} definition - Checkpoint definition from LevelDataLoader.getCheckpoints()
+   * @param {Platform} [definition.platform] - Platform the player must stand on
+   * @param {Object} [definition.position] - Center of the trigger volume (if no platform)
+   * @param {Object} [definition.size] - Size of the trigger volume (if no platform)
+   * @param {Object} [definition.spawn] - Where to respawn (defaults to the top of the platform/volume)
+   */
+  constructor(scene, definition) {
+    this.scene = scene;
+    this.platform = definition.platform || null;
+    this.position = definition.position || null;
+    this.size = definition.size || null;
+    this.spawn = definition.spawn || null;
+    this.isActive = false;
+    this.time = 0;
+
+    this.group = new THREE.Group();
+
+    // Pole
+    const poleHeight = 3;
+    const poleGeometry = new THREE.CylinderGeometry(0.08, 0.08, poleHeight, 8);
+    this.poleMaterial = new THREE.MeshStandardMaterial({
+      color: 0xcccccc,
+      roughness: 0.4,
+      metalness: 0.6
+    });
+    const pole = new THREE.Mesh(poleGeometry, this.poleMaterial);
+    pole.position.y = poleHeight / 2;
+    pole.castShadow = true;
+    this.group.add(pole);
+
+    // Flag (pivots around the pole so it can wave)
+    this.flagPivot = new THREE.Group();
+    this.flagPivot.position.y = poleHeight - 0.4;
+    const flagGeometry = new THREE.BoxGeometry(1.2, 0.7, 0.05);
+    this.flagMaterial = new THREE.MeshStandardMaterial({
+      color: INACTIVE_COLOR,
+      emissive: INACTIVE_COLOR,
+      emissiveIntensity: 0.2,
+      roughness: 0.6
+    });
+    const flag = new THREE.Mesh(flagGeometry, this.flagMaterial);
+    flag.position.x = 0.6;
+    flag.castShadow = true;
+    this.flagPivot.add(flag);
+    this.group.add(this.flagPivot);
+
+    this.updatePlacement();
+    scene.add(this.group);
+  }
+
+  /**
+   * Get the bottom-center point of the checkpoint (top of its platform, or bottom of its volume)
+   */
+  getBase() {
+    if (this.platform) {
+      const pos = this.platform.mesh.position;
+      return { x: pos.x, y: pos.y + this.platform.size.height / 2, z: pos.z };
+    }
+    return {
+      x: this.position.x,
+      y: this.position.y - this.size.height / 2,
+      z: this.position.z
+    };
+  }
+
+  /**
+   * Check if the player has reached this checkpoint
+   * @param {Object} playerPos - Player capsule center {x, y, z}
+   * @returns {boolean}
+   */
+  contains(playerPos) {
+    if (this.platform) {
+      const platformPos = this.platform.mesh.position;
+      const dx = Math.abs(playerPos.x - platformPos.x);
+      const dz = Math.abs(playerPos.z - platformPos.z);
+      const platformTop = platformPos.y + this.platform.size.height / 2;
+      const playerBottom = playerPos.y - PLAYER_HALF_HEIGHT;
+
+      return (
+        dx <= this.platform.size.width / 2 &&
+        dz <= this.platform.size.depth / 2 &&
+        Math.abs(playerBottom - platformTop) < 0.5
+      );
+    }
+
+    return (
+      Math.abs(playerPos.x - this.position.x) <= this.size.width / 2 &&
+      Math.abs(playerPos.y - this.position.y) <= this.size.height / 2 &&
+      Math.abs(playerPos.z - this.position.z) <= this.size.depth / 2
+    );
+  }
+
+  /**
+   * Get the position to respawn the player at (capsule center)
+   * @returns {Object} {x, y, z}
+   */
+  getRespawnPosition() {
+    if (this.spawn) {
+      return { ...this.spawn };
+    }
+    const base = this.getBase();
+    return { x: base.x, y: base.y + PLAYER_HALF_HEIGHT + 0.2, z: base.z };
+  }
+
+  /**
+   * Mark this checkpoint as the one the player will respawn at
+   */
+  activate() {
+    this.isActive = true;
+    this.flagMaterial.color.setHex(ACTIVE_COLOR);
+    this.flagMaterial.emissive.setHex(ACTIVE_COLOR);
+    this.flagMaterial.emissiveIntensity = 0.8;
+  }
+
+  /**
+   * Keep the flag on top of its platform
+   */
+  updatePlacement() {
+    const base = this.getBase();
+    this.group.position.set(base.x, base.y, base.z);
+  }
+
+  /**
+   * Update flag animation
+   * @param {number} delta - Time delta in seconds
+   */
+  update(delta) {
+    this.time += delta;
+    this.updatePlacement();
+
+    // Wave the flag
+    this.flagPivot.rotation.y = Math.sin(this.time * 3) * 0.25;
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.group.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+    });
+    this.poleMaterial.dispose();
+    this.flagMaterial.dispose();
+    this.scene.remove(this.group);
+  }
+}
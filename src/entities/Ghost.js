@@ -0,0 +1,172 @@
+import { Player } from './Player.js';
+
+export const GHOST_RUN_VERSION = 1;
+
+// Record the player every this many simulation steps - the ghost interpolates between samples
+const SAMPLE_STEPS = 2;
+
+const GHOST_OPACITY = 0.35;
+
+// Sample values are rounded to this many decimal places to keep saved runs small
+const SAMPLE_PRECISION = 1000;
+
+function round(value) {
+  return Math.round(value * SAMPLE_PRECISION) / SAMPLE_PRECISION;
+}
+
+/**
+ * How far the player's legs are swung from their rest pose
+ * @param {Player} player
+ * @returns {number[]} [left x, left z, right x, right z] rotations in radians
+ */
+function getLegPose(player) {
+  if (!player.leftLegMesh || !player.rightLegMesh) {
+    return [0, 0, 0, 0];
+  }
+  return [
+    player.leftLegMesh.rotation.x - player.leftLegOriginalRotation.x,
+    player.leftLegMesh.rotation.z - player.leftLegOriginalRotation.z,
+    player.rightLegMesh.rotation.x - player.rightLegOriginalRotation.x,
+    player.rightLegMesh.rotation.z - player.rightLegOriginalRotation.z
+  ];
+}
+
+/**
+ * Records where the player is during a run, for racing against it later as a ghost.
+ * Call step() at the start of every simulation step.
+ */
+export class GhostRecorder {
+  /**
+   * @param {number} stepLength - Simulation step length in seconds
+   * @param {number|null} bpm - Tempo of the level's beat clock (null without one)
+   */
+  constructor(stepLength, bpm) {
+    this.stepLength = stepLength;
+    this.bpm = bpm;
+    this.steps = 0;
+    this.samples = []; // [x, y, z, yaw, ...leg pose]
+    this.startBeat = null; // Beat at the first sample
+  }
+
+  /**
+   * @param {Player} player - The player as the step starts
+   * @param {number|null} beat - The step's beat (null without a beat clock)
+   */
+  step(player, beat) {
+    if (this.steps++ % SAMPLE_STEPS !== 0) return;
+
+    if (this.samples.length === 0) {
+      this.startBeat = beat;
+    }
+
+    const { x, y, z } = player.mesh.position;
+    this.samples.push([x, y, z, player.mesh.rotation.y, ...getLegPose(player)].map(round));
+  }
+
+  /**
+   * @param {number} time - How long the run took, in seconds
+   * @returns {Object} The run, ready to be saved as JSON
+   */
+  toRun(time) {
+    return {
+      version: GHOST_RUN_VERSION,
+      time,
+      interval: SAMPLE_STEPS * this.stepLength,
+      samples: this.samples,
+      startBeat: this.startBeat,
+      bpm: this.bpm
+    };
+  }
+}
+
+/**
+ * A see-through copy of the player that retraces a recorded run (see GhostRecorder).
+ * It has no physics body, so it never gets in the way, and its legs are posed
+ * from the recording rather than animated.
+ */
+export class Ghost {
+  /**
+   * @param {Object} run - Run from GhostRecorder.toRun
+   * @param {number} color - Player color
+   * @throws {Error} If the run has no samples
+   */
+  constructor(run, color) {
+    if (!run.samples?.length) {
+      throw new Error('Ghost run has no samples');
+    }
+    this.run = run;
+    const [x, y, z] = run.samples[0];
+
+    this.player = new Player({
+      position: { x, y, z },
+      color,
+      onLoad: () => this.makeTranslucent()
+    });
+  }
+
+  makeTranslucent() {
+    this.player.mesh.traverse((child) => {
+      if (child.isMesh) {
+        child.castShadow = false;
+        child.receiveShadow = false;
+        child.material.transparent = true;
+        child.material.opacity = GHOST_OPACITY;
+        child.material.depthWrite = false;
+      }
+    });
+  }
+
+  addToScene(scene) {
+    this.player.addToScene(scene);
+  }
+
+  removeFromScene(scene) {
+    this.player.removeFromScene(scene);
+  }
+
+  /**
+   * How far into the run the ghost is at a beat, so it keeps time with the
+   * platforms it ran on however far into the music the current run started
+   * @param {number} beat - Current beat of the level's beat clock
+   * @returns {number|null} Seconds into the run (negative before it started), or null
+   *   for runs recorded without a beat clock
+   */
+  getTimeAtBeat(beat) {
+    const { startBeat, bpm } = this.run;
+    if (startBeat == null || !bpm) {
+      return null;
+    }
+    return (beat - startBeat) * 60 / bpm;
+  }
+
+  /**
+   * Move the ghost to where the run was at a time. Before the start of the run
+   * it waits at the start, and after the end where it finished.
+   * @param {number} time - Seconds into the run
+   */
+  update(time) {
+    const { samples, interval } = this.run;
+    const position = Math.max(0, Math.min(time / interval, samples.length - 1));
+    const index = Math.floor(position);
+    const from = samples[index];
+    const to = samples[Math.min(index + 1, samples.length - 1)];
+    const t = position - index;
+    const sample = from.map((value, i) => value + (to[i] - value) * t);
+
+    const [x, y, z, yaw, leftX, leftZ, rightX, rightZ] = sample;
+    const player = this.player;
+    player.mesh.position.set(x, y, z);
+    player.mesh.rotation.y = yaw;
+
+    if (player.leftLegMesh && player.rightLegMesh) {
+      player.leftLegMesh.rotation.x = player.leftLegOriginalRotation.x + leftX;
+      player.leftLegMesh.rotation.z = player.leftLegOriginalRotation.z + leftZ;
+      player.rightLegMesh.rotation.x = player.rightLegOriginalRotation.x + rightX;
+      player.rightLegMesh.rotation.z = player.rightLegOriginalRotation.z + rightZ;
+    }
+  }
+
+  destroy() {
+    this.player.destroy();
+  }
+}
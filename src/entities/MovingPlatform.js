@@ -1,6 +1,10 @@
 import { Platform } from './Platform.js';
 import { getEasing } from '../utils/BezierEasing.js';
 
+// How long (in beats) a beat cue flash takes to fade
+const FLASH_BEATS = 0.25;
+const TRANSITION_FLASH_COLOR = 0xffffff;
+
 /**
  * A platform with state-based transformations synchronized to BPM.
  * Supports translate, scale, and rotate transformations with bezier easing.
@@ -16,6 +20,11 @@ export class MovingPlatform extends Platform {
     // Color palette (array of hex colors)
     this.colorPalette = options.colorPalette || [];
 
+    // Beat cues: telegraph flashes on each beat before a transition starts ({beats, color}),
+    // and (with the metronome on) a flash on the beat each transition starts
+    this.telegraph = options.telegraph || null;
+    this.flashOnTransition = false;
+
     // State configuration
     this.states = options.states || {};
 
@@ -79,7 +88,8 @@ export class MovingPlatform extends Platform {
     let currentColorIndex = this.startState.colorIndex;
 
     return transitionDefs.map(def => {
-      const duration = (def.beats || 1) * this.secondsPerBeat;
+      const beats = def.beats || 1;
+      const duration = beats * this.secondsPerBeat;
 
       // Update color index if specified in this transition
       if (def.transforms?.colorIndex !== undefined) {
@@ -102,6 +112,7 @@ export class MovingPlatform extends Platform {
       };
 
       return {
+        beats,
         duration,
         targetState,
         easings
@@ -185,59 +196,138 @@ export class MovingPlatform extends Platform {
       return;
     }
 
-    this.elapsedTime += delta;
-
-    const currentTransition = this.transitions[this.currentTransitionIndex];
-    this.transitionProgress += delta / currentTransition.duration;
-
-    // Check if transition is complete
-    if (this.transitionProgress >= 1) {
-      this.transitionProgress = 0;
-      this.currentTransitionIndex++;
-
-      // Loop back to start after all transitions
-      if (this.currentTransitionIndex >= this.transitions.length) {
-        this.currentTransitionIndex = 0;
-        this.currentState = {
-          translate: { ...this.startState.translate },
-          scale: { ...this.startState.scale },
-          rotate: { ...this.startState.rotate },
-          colorIndex: this.startState.colorIndex
-        };
-      } else {
-        // Move to next transition - current target becomes new start
-        this.currentState = {
-          translate: { ...currentTransition.targetState.translate },
-          scale: { ...currentTransition.targetState.scale },
-          rotate: { ...currentTransition.targetState.rotate },
-          colorIndex: currentTransition.targetState.colorIndex
-        };
-      }
+    this.setBeat(this.getCurrentBeat() + delta / this.secondsPerBeat);
+  }
 
-      // Apply color instantly at the start of new transition
-      const nextTransition = this.transitions[this.currentTransitionIndex];
-      if (nextTransition.targetState.colorIndex !== null && this.colorPalette.length > 0) {
-        const color = this.getColorFromPalette(nextTransition.targetState.colorIndex);
-        if (color) {
-          this.mesh.material.color.setRGB(color.r, color.g, color.b);
-        }
-      }
+  /**
+   * Get the length of one loop through all transitions
+   * @returns {number} Length in beats
+   */
+  getCycleBeats() {
+    return this.transitions.reduce((total, transition) => total + transition.beats, 0);
+  }
+
+  /**
+   * Jump straight to the state at a given beat (seek).
+   * Beats count from when the platform started moving; the transitions loop forever.
+   * @param {number} beat - Beat to show (may be fractional)
+   */
+  setBeat(beat) {
+    this.elapsedTime = beat * this.secondsPerBeat;
+
+    // No transitions = static platform
+    if (this.transitions.length === 0) {
+      return;
     }
 
-    // Interpolate and apply current state
-    const nextTransition = this.transitions[this.currentTransitionIndex];
-    const interpolatedState = this.interpolateStates(
+    // Find the transition this beat falls in
+    const cycleBeats = this.getCycleBeats();
+    const cycle = Math.floor(beat / cycleBeats);
+    let beatInCycle = beat - cycle * cycleBeats;
+    let index = 0;
+    while (index < this.transitions.length - 1 && beatInCycle >= this.transitions[index].beats) {
+      beatInCycle -= this.transitions[index].beats;
+      index++;
+    }
+
+    const transition = this.transitions[index];
+    this.currentTransitionIndex = index;
+    this.transitionProgress = Math.min(beatInCycle / transition.beats, 1);
+
+    // Each transition animates from where the previous one ended
+    const fromState = index === 0 ? this.startState : this.transitions[index - 1].targetState;
+    this.currentState = {
+      translate: { ...fromState.translate },
+      scale: { ...fromState.scale },
+      rotate: { ...fromState.rotate },
+      colorIndex: fromState.colorIndex
+    };
+
+    this.applyColorIndex(this.getColorIndexAt(cycle, index));
+    this.applyBeatCues(beatInCycle, transition.beats);
+    this.applyState(this.interpolateStates(
       this.currentState,
-      nextTransition.targetState,
+      transition.targetState,
       this.transitionProgress,
-      nextTransition.easings
-    );
+      transition.easings
+    ));
+  }
+
+  /**
+   * Get the palette color showing during a transition.
+   * Colors switch at the start of the transition that sets them and stay until changed,
+   * so a transition without a color keeps the last one set (in an earlier loop if need be).
+   * @param {number} cycle - Which loop through the transitions (0 = first)
+   * @param {number} index - Transition index
+   * @returns {number|null} Palette index, or null for the platform's own color
+   */
+  getColorIndexAt(cycle, index) {
+    const colorIndex = this.transitions[index].targetState.colorIndex;
+    if (colorIndex !== null) {
+      return colorIndex;
+    }
+    if (cycle > 0) {
+      // Target color indices carry over, so the last transition has the latest color
+      return this.transitions[this.transitions.length - 1].targetState.colorIndex;
+    }
+    return this.startState.colorIndex;
+  }
+
+  /**
+   * Set the mesh color from the palette, or back to the platform's own color
+   * @param {number|null} colorIndex - Palette index
+   */
+  applyColorIndex(colorIndex) {
+    const color = this.getColorFromPalette(colorIndex);
+    if (color) {
+      this.mesh.material.color.setRGB(color.r, color.g, color.b);
+    } else {
+      this.mesh.material.color.setHex(this.color);
+    }
+  }
 
-    this.applyState(interpolatedState);
+  /**
+   * Light the platform up for telegraph and transition cues
+   * @param {number} sinceStart - Beats since the current transition started
+   * @param {number} transitionBeats - Length of the current transition in beats
+   */
+  applyBeatCues(sinceStart, transitionBeats) {
+    let flash = 0;
+    let color = TRANSITION_FLASH_COLOR;
+
+    if (this.flashOnTransition && sinceStart < FLASH_BEATS) {
+      flash = 1 - sinceStart / FLASH_BEATS;
+    }
+
+    // Flash on every beat of the telegraph window before the next transition starts
+    const untilNext = transitionBeats - sinceStart;
+    if (this.telegraph && untilNext <= this.telegraph.beats) {
+      const sinceCue = (this.telegraph.beats - untilNext) % 1;
+      const telegraphFlash = sinceCue < FLASH_BEATS ? 1 - sinceCue / FLASH_BEATS : 0;
+      if (telegraphFlash > flash) {
+        flash = telegraphFlash;
+        color = this.telegraph.color;
+      }
+    }
+
+    this.mesh.material.emissive.setHex(color).multiplyScalar(flash);
+  }
+
+  /**
+   * Get the start and length (in beats) of each transition within one loop
+   * @returns {Array<{start: number, beats: number}>}
+   */
+  getTransitionTimings() {
+    let start = 0;
+    return this.transitions.map((transition) => {
+      const timing = { start, beats: transition.beats };
+      start += transition.beats;
+      return timing;
+    });
   }
 
   /**
-   * Get current beat in the animation cycle (for debugging)
+   * Get the current beat (beats since the platform started moving, across loops)
    */
   getCurrentBeat() {
     return this.elapsedTime / this.secondsPerBeat;
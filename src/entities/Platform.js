@@ -3,6 +3,7 @@ import RAPIER from '@dimforge/rapier3d-compat';
 
 export class Platform {
   constructor(options = {}) {
+    this.id = options.id || null; // Optional stable id from level data
     this.position = options.position || { x: 0, y: 0, z: 0 };
     this.size = options.size || { width: 10, height: 1, depth: 10 };
     this.color = options.color || 0x808080;
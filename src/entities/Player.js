@@ -7,6 +7,7 @@ export class Player {
 		this.position = options.position || { x: 0, y: 2, z: 0 };
 		this.color = options.color || 0xfa8072; // Default salmon color
 		this.onLoad = options.onLoad || null;
+		this.onLanded = options.onLanded || null; // Called with the fall speed on touching down
 		this.physicsWorld = options.physicsWorld || null;
 
 		// Create a group to hold all player parts
@@ -51,7 +52,7 @@ export class Player {
 		this.movement = { forward: 0, right: 0 };
 
 		// Shooting
-		this.lastShotTime = 0;
+		this.lastShotTime = -Infinity;
 		this.shotCooldown = 0.4; // 100ms = 10 shots per second
 
 		// Ground detection
@@ -59,6 +60,8 @@ export class Player {
 		this.wasGroundedLastFrame = false;
 		this.timeSinceGrounded = 0;
 		this.coyoteTime = 0.15; // 150ms of coyote time
+		this.minLandingSpeed = 3.0; // Slower touchdowns (steps, bumps) don't count as landing
+		this.lastVerticalVelocity = 0; // Before this frame's step, to tell how hard we landed
 		this.groundCheckDistance = 0.6; // Distance to check for ground
 
 		// Platform tracking for snapping
@@ -157,14 +160,18 @@ export class Player {
 		return grounded;
 	}
 
+	/**
+	 * Jump if grounded or within coyote time
+	 * @returns {boolean} Whether the player jumped
+	 */
 	jump() {
-		if (!this.rigidBody) return;
+		if (!this.rigidBody) return false;
 
 		const canJump =
 			this.isGrounded || this.timeSinceGrounded <= this.coyoteTime;
 
 		// Only jump if grounded or within coyote time
-		if (!canJump) return;
+		if (!canJump) return false;
 
 		const jumpForce = 8.0;
 
@@ -174,6 +181,7 @@ export class Player {
 		// Reset grounded state to prevent double jumps
 		this.isGrounded = false;
 		this.timeSinceGrounded = this.coyoteTime + 1;
+		return true;
 	}
 
 	async loadModels() {
@@ -454,6 +462,14 @@ export class Player {
 		const wasGrounded = this.isGrounded;
 		this.isGrounded = this.checkGrounded();
 
+		if (this.isGrounded && !wasGrounded && this.onLanded) {
+			const fallSpeed = -this.lastVerticalVelocity;
+			if (fallSpeed >= this.minLandingSpeed) {
+				this.onLanded(fallSpeed);
+			}
+		}
+		this.lastVerticalVelocity = velocity.y;
+
 		if (this.isGrounded) {
 			this.timeSinceGrounded = 0;
 
@@ -507,9 +523,17 @@ export class Player {
 			const normDirX = length > 0 ? dirX / length : 0;
 			const normDirZ = length > 0 ? dirZ / length : 0;
 
-			// Target velocity in desired direction
-			targetVelX = normDirX * this.maxSpeed;
-			targetVelZ = normDirZ * this.maxSpeed;
+			// Target velocity in desired direction. Keys always give full speed;
+			// a partly pushed stick gives a fraction of it.
+			const inputMagnitude = Math.min(
+				1,
+				Math.sqrt(
+					this.movement.forward * this.movement.forward +
+						this.movement.right * this.movement.right,
+				),
+			);
+			targetVelX = normDirX * this.maxSpeed * inputMagnitude;
+			targetVelZ = normDirZ * this.maxSpeed * inputMagnitude;
 		}
 
 		// Interpolate current velocity towards target velocity
@@ -620,11 +644,10 @@ export class Player {
 	 * Shoot a projectile from the player's cannon
 	 * @param {Object} direction - Normalized direction vector {x, y, z}
 	 * @param {Function} onShoot - Callback function that receives the projectile
+	 * @param {number} currentTime - Level simulation time in seconds (for the cooldown)
 	 * @returns {boolean} - True if shot was fired, false if on cooldown
 	 */
-	shoot(direction, onShoot) {
-		const currentTime = performance.now() / 1000; // Convert to seconds
-
+	shoot(direction, onShoot, currentTime) {
 		// Check cooldown
 		if (currentTime - this.lastShotTime < this.shotCooldown) {
 			return false;
@@ -13,7 +13,7 @@ export class Turret {
 		// Shooting parameters
 		this.range = 30; // Detection/firing range
 		this.shotCooldown = 1.5; // Time between shots in seconds
-		this.lastShotTime = 0;
+		this.lastShotTime = -Infinity;
 		this.projectileSpeed = 40; // Projectile velocity
 
 		// Health
@@ -163,10 +163,11 @@ export class Turret {
 
 	/**
 	 * Try to shoot at the player
+	 * @param {Object} playerPosition - {x, y, z}
+	 * @param {Function} onShoot - Callback function that receives the projectile
+	 * @param {number} currentTime - Level simulation time in seconds (for the cooldown)
 	 */
-	shoot(playerPosition, onShoot) {
-		const currentTime = performance.now() / 1000;
-
+	shoot(playerPosition, onShoot, currentTime) {
 		// Check cooldown
 		if (currentTime - this.lastShotTime < this.shotCooldown) {
 			return false;
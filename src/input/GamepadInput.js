@@ -0,0 +1,112 @@
+// Button indices in the browser's "standard" gamepad mapping
+// (https://w3c.github.io/gamepad/#remapping)
+export const GamepadButton = {
+  A: 0,
+  B: 1,
+  X: 2,
+  Y: 3,
+  LB: 4,
+  RB: 5,
+  LT: 6,
+  RT: 7,
+  BACK: 8,
+  START: 9,
+  L3: 10,
+  R3: 11,
+  DPAD_UP: 12,
+  DPAD_DOWN: 13,
+  DPAD_LEFT: 14,
+  DPAD_RIGHT: 15
+};
+
+// Stick movement below this (0-1) is ignored, so worn sticks don't drift
+const STICK_DEADZONE = 0.15;
+
+// How far an analog trigger has to be pulled to count as pressed
+const TRIGGER_THRESHOLD = 0.5;
+
+/**
+ * Reads the first connected gamepad. The Gamepad API has no input events,
+ * so poll() is called once per frame and everything else reads that snapshot.
+ */
+export class GamepadInput {
+  constructor() {
+    this.pad = null;
+    this.buttons = []; // Pressed state of each button this frame
+    this.previousButtons = []; // ...and last frame, to tell when a button goes down
+
+    window.addEventListener('gamepadconnected', (event) => {
+      console.log('Gamepad connected:', event.gamepad.id);
+    });
+  }
+
+  /**
+   * Take this frame's snapshot of the gamepad
+   */
+  poll() {
+    const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+    this.pad = pads.find((pad) => pad && pad.connected) || null;
+
+    this.previousButtons = this.buttons;
+    this.buttons = this.pad
+      ? this.pad.buttons.map((button) => button.pressed || button.value > TRIGGER_THRESHOLD)
+      : [];
+  }
+
+  isConnected() {
+    return this.pad !== null;
+  }
+
+  /**
+   * @param {number} button - One of GamepadButton
+   * @returns {boolean} Whether the button is held
+   */
+  isDown(button) {
+    return !!this.buttons[button];
+  }
+
+  /**
+   * @param {number} button - One of GamepadButton
+   * @returns {boolean} Whether the button went down this frame
+   */
+  wasPressed(button) {
+    return !!this.buttons[button] && !this.previousButtons[button];
+  }
+
+  /**
+   * Read a stick with a radial deadzone. The deadzone is cut out of the range
+   * rather than off the bottom of it, so the stick still goes smoothly from 0 to 1.
+   * @param {number} axisX - Index of the stick's horizontal axis
+   * @param {number} axisY - Index of the stick's vertical axis
+   * @param {number} [curve=1] - Response exponent; above 1 gives finer control near the centre
+   * @returns {{x: number, y: number, magnitude: number}} Direction scaled by magnitude (0-1); y is down
+   */
+  getStick(axisX, axisY, curve = 1) {
+    if (!this.pad) {
+      return { x: 0, y: 0, magnitude: 0 };
+    }
+
+    const x = this.pad.axes[axisX] || 0;
+    const y = this.pad.axes[axisY] || 0;
+    const length = Math.sqrt(x * x + y * y);
+    if (length < STICK_DEADZONE) {
+      return { x: 0, y: 0, magnitude: 0 };
+    }
+
+    const scaled = Math.min(1, (length - STICK_DEADZONE) / (1 - STICK_DEADZONE));
+    const magnitude = Math.pow(scaled, curve);
+    return {
+      x: (x / length) * magnitude,
+      y: (y / length) * magnitude,
+      magnitude
+    };
+  }
+
+  getLeftStick(curve = 1) {
+    return this.getStick(0, 1, curve);
+  }
+
+  getRightStick(curve = 1) {
+    return this.getStick(2, 3, curve);
+  }
+}
@@ -0,0 +1,233 @@
+import { isTextInput } from '../editor/FlyCamera.js';
+
+/**
+ * Things the player can do, each bound to one keyboard/mouse input and one gamepad button
+ */
+export const Action = {
+  MOVE_FORWARD: 'moveForward',
+  MOVE_BACK: 'moveBack',
+  MOVE_LEFT: 'moveLeft',
+  MOVE_RIGHT: 'moveRight',
+  JUMP: 'jump',
+  TOGGLE_BOOTS: 'toggleBoots',
+  SHOOT: 'shoot',
+  PAUSE: 'pause'
+};
+
+// Inputs are written as 'key:<key>' (KeyboardEvent.key, lower case), 'mouse:<button>'
+// or 'pad:<button>' (standard gamepad mapping, see GamepadButton). null = unbound.
+export const DEFAULT_BINDINGS = {
+  moveForward: { keyboard: 'key:w', gamepad: 'pad:12' },
+  moveBack: { keyboard: 'key:s', gamepad: 'pad:13' },
+  moveLeft: { keyboard: 'key:a', gamepad: 'pad:14' },
+  moveRight: { keyboard: 'key:d', gamepad: 'pad:15' },
+  jump: { keyboard: 'key:space', gamepad: 'pad:0' },
+  toggleBoots: { keyboard: 'key:tab', gamepad: 'pad:1' },
+  shoot: { keyboard: 'mouse:0', gamepad: 'pad:7' },
+  pause: { keyboard: 'key:p', gamepad: 'pad:9' } // Esc always pauses too (it releases the mouse)
+};
+
+const MOUSE_BUTTON_NAMES = ['Left click', 'Middle click', 'Right click'];
+const PAD_BUTTON_NAMES = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3',
+  'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →'
+];
+const KEY_NAMES = {
+  space: 'Space',
+  arrowup: '↑',
+  arrowdown: '↓',
+  arrowleft: '←',
+  arrowright: '→'
+};
+
+/**
+ * @param {KeyboardEvent} event
+ * @returns {string} Input for the key, e.g. 'key:w'
+ */
+export function keyInput(event) {
+  return event.key === ' ' ? 'key:space' : `key:${event.key.toLowerCase()}`;
+}
+
+/**
+ * @param {string|null} input - e.g. 'key:w', 'mouse:0', 'pad:7'
+ * @returns {string} Name to show the player, e.g. 'W', 'Left click', 'RT'
+ */
+export function describeInput(input) {
+  if (!input) return '—';
+
+  const [type, value] = input.split(':');
+  if (type === 'mouse') {
+    return MOUSE_BUTTON_NAMES[value] || `Mouse ${value}`;
+  }
+  if (type === 'pad') {
+    return PAD_BUTTON_NAMES[value] || `Button ${value}`;
+  }
+  if (KEY_NAMES[value]) {
+    return KEY_NAMES[value];
+  }
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+/**
+ * Fill in defaults for actions a save doesn't have bindings for (e.g. saves
+ * from before an action existed)
+ * @param {Object} [saved] - Bindings from the save data
+ * @returns {Object} Action -> {keyboard, gamepad}
+ */
+export function resolveBindings(saved = {}) {
+  const bindings = {};
+  Object.entries(DEFAULT_BINDINGS).forEach(([action, defaults]) => {
+    bindings[action] = { ...defaults, ...saved[action] };
+  });
+  return bindings;
+}
+
+/**
+ * Turns keyboard, mouse, gamepad and touch input into actions. Keyboard and mouse
+ * events are collected as they arrive; poll() once per frame (after the
+ * gamepad) to make this frame's presses readable.
+ */
+export class InputActions {
+  /**
+   * @param {GamepadInput} gamepad - Polled gamepad
+   * @param {Object} bindings - Action -> {keyboard, gamepad} (see resolveBindings)
+   * @param {TouchControls} touch - On-screen controls (their buttons aren't rebindable)
+   */
+  constructor(gamepad, bindings, touch) {
+    this.gamepad = gamepad;
+    this.bindings = bindings;
+    this.touch = touch;
+    this.held = new Set(); // Keyboard/mouse inputs currently down
+    this.pendingPresses = new Set(); // Keyboard/mouse inputs that went down since the last poll
+    this.pressed = new Set(); // Inputs that went down this frame
+
+    window.addEventListener('keydown', (event) => {
+      // Typing a name isn't playing
+      if (event.repeat || isTextInput(event.target)) return;
+      this.press(keyInput(event));
+    });
+    window.addEventListener('keyup', (event) => {
+      this.held.delete(keyInput(event));
+    });
+    window.addEventListener('mousedown', (event) => {
+      // Clicks only count while the mouse is captured by the game, not on menus
+      if (document.pointerLockElement) {
+        this.press(`mouse:${event.button}`);
+      }
+    });
+    window.addEventListener('mouseup', (event) => {
+      this.held.delete(`mouse:${event.button}`);
+    });
+    // Keys released while the window is in the background never send keyup
+    window.addEventListener('blur', () => this.held.clear());
+  }
+
+  press(input) {
+    this.held.add(input);
+    this.pendingPresses.add(input);
+  }
+
+  setBindings(bindings) {
+    this.bindings = bindings;
+  }
+
+  /**
+   * Start a new frame: collect the presses since the last poll
+   */
+  poll() {
+    this.pressed = this.pendingPresses;
+    this.pendingPresses = new Set();
+    this.touch.poll();
+
+    this.gamepad.buttons.forEach((_, index) => {
+      if (this.gamepad.wasPressed(index)) {
+        this.pressed.add(`pad:${index}`);
+      }
+    });
+  }
+
+  isInputDown(input) {
+    if (!input) return false;
+    if (input.startsWith('pad:')) {
+      return this.gamepad.isDown(Number(input.slice(4)));
+    }
+    return this.held.has(input);
+  }
+
+  /**
+   * @param {string} action - One of Action
+   * @returns {boolean} Whether either of the action's inputs is held
+   */
+  isDown(action) {
+    const binding = this.bindings[action];
+    return (
+      (!!binding && (this.isInputDown(binding.keyboard) || this.isInputDown(binding.gamepad))) ||
+      this.touch.isDown(action)
+    );
+  }
+
+  /**
+   * @param {string} action - One of Action
+   * @returns {boolean} Whether either of the action's inputs went down this frame
+   */
+  wasPressed(action) {
+    const binding = this.bindings[action];
+    return (
+      (!!binding && (this.pressed.has(binding.keyboard) || this.pressed.has(binding.gamepad))) ||
+      this.touch.wasPressed(action)
+    );
+  }
+
+  /**
+   * @param {string} input - e.g. 'key:w'
+   * @returns {boolean} Whether any action uses the input
+   */
+  isBound(input) {
+    return Object.values(this.bindings).some(
+      (binding) => binding.keyboard === input || binding.gamepad === input
+    );
+  }
+
+  /**
+   * Movement from the move actions, or the left stick (or touch stick) when none
+   * of them are held. Buttons give full speed (diagonals normalized); the sticks
+   * are analog, so how far they're pushed sets the speed rather than just the direction.
+   * @returns {{forward: number, right: number}}
+   */
+  getMovement() {
+    let forward = 0;
+    let right = 0;
+
+    if (this.isDown(Action.MOVE_FORWARD)) forward += 1;
+    if (this.isDown(Action.MOVE_BACK)) forward -= 1;
+    if (this.isDown(Action.MOVE_RIGHT)) right += 1;
+    if (this.isDown(Action.MOVE_LEFT)) right -= 1;
+
+    if (forward !== 0 && right !== 0) {
+      const length = Math.sqrt(forward * forward + right * right);
+      forward /= length;
+      right /= length;
+    }
+
+    if (forward === 0 && right === 0) {
+      let stick = this.gamepad.getLeftStick();
+      if (stick.magnitude === 0) {
+        stick = this.touch.getMoveStick();
+      }
+      forward = -stick.y;
+      right = stick.x;
+    }
+
+    return { forward, right };
+  }
+
+  /**
+   * Camera turn rate from the gamepad's right stick, or the touch camera stick
+   * @param {number} [curve=1] - Response exponent (see GamepadInput.getStick)
+   * @returns {{x: number, y: number, magnitude: number}} y is down
+   */
+  getLook(curve = 1) {
+    const stick = this.gamepad.getRightStick(curve);
+    return stick.magnitude > 0 ? stick : this.touch.getLookStick(curve);
+  }
+}
@@ -0,0 +1,236 @@
+export const REPLAY_VERSION = 1;
+
+// Bits in a frame's flags
+const FLAG_JUMP = 1;
+const FLAG_BOOTS = 2;
+const FLAG_SHOOT = 4;
+
+// Frame values are stored as integers to keep replay files small. The live run
+// simulates the rounded values too, so playing the replay back matches it exactly.
+const MOVE_SCALE = 1000;
+const ANGLE_SCALE = 10000;
+const BEAT_SCALE = 10000;
+const POSITION_SCALE = 1000;
+
+// Steps between recorded player positions, used to spot a replay going out of sync
+const CHECK_INTERVAL = 60;
+
+/**
+ * One simulation step's input:
+ * {forward, right, yaw, pitch, jump, boots, shoot, shotDirection, beat}
+ * shotDirection ({x, y, z}) is only set while shooting - shots aim from the
+ * camera, which isn't part of the simulation.
+ * @typedef {Object} ReplayFrame
+ */
+
+/**
+ * @param {ReplayFrame} frame
+ * @returns {number[]} [forward, right, yaw, pitch, flags, beat, (shot x, y, z)]
+ */
+function encodeFrame(frame) {
+  const flags = (frame.jump ? FLAG_JUMP : 0) | (frame.boots ? FLAG_BOOTS : 0) | (frame.shoot ? FLAG_SHOOT : 0);
+  const encoded = [
+    Math.round(frame.forward * MOVE_SCALE),
+    Math.round(frame.right * MOVE_SCALE),
+    Math.round(frame.yaw * ANGLE_SCALE),
+    Math.round(frame.pitch * ANGLE_SCALE),
+    flags,
+    Math.round(frame.beat * BEAT_SCALE)
+  ];
+  if (frame.shoot) {
+    const { x, y, z } = frame.shotDirection;
+    encoded.push(Math.round(x * ANGLE_SCALE), Math.round(y * ANGLE_SCALE), Math.round(z * ANGLE_SCALE));
+  }
+  return encoded;
+}
+
+/**
+ * @param {number[]} encoded - See encodeFrame
+ * @returns {ReplayFrame}
+ */
+function decodeFrame(encoded) {
+  const [forward, right, yaw, pitch, flags, beat, shotX, shotY, shotZ] = encoded;
+  const shoot = (flags & FLAG_SHOOT) !== 0;
+  return {
+    forward: forward / MOVE_SCALE,
+    right: right / MOVE_SCALE,
+    yaw: yaw / ANGLE_SCALE,
+    pitch: pitch / ANGLE_SCALE,
+    jump: (flags & FLAG_JUMP) !== 0,
+    boots: (flags & FLAG_BOOTS) !== 0,
+    shoot,
+    shotDirection: shoot ? { x: shotX / ANGLE_SCALE, y: shotY / ANGLE_SCALE, z: shotZ / ANGLE_SCALE } : null,
+    beat: beat / BEAT_SCALE
+  };
+}
+
+function encodePosition(position) {
+  return [
+    Math.round(position.x * POSITION_SCALE),
+    Math.round(position.y * POSITION_SCALE),
+    Math.round(position.z * POSITION_SCALE)
+  ];
+}
+
+/**
+ * Records a run's input, one frame per simulation step
+ */
+export class ReplayRecorder {
+  /**
+   * @param {Object} options
+   * @param {Object} options.level - Which level: {id} for manifest levels, {source, name, data} for custom ones
+   * @param {number} options.step - Simulation step length in seconds
+   */
+  constructor({ level, step }) {
+    this.level = level;
+    this.step = step;
+    this.frames = [];
+    this.checks = []; // [frame index, x, y, z] player positions
+  }
+
+  /**
+   * Record a step's input
+   * @param {ReplayFrame} frame - Input as read from the player
+   * @returns {ReplayFrame} The input as stored, which is what the step should simulate
+   */
+  record(frame) {
+    const encoded = encodeFrame(frame);
+    this.frames.push(encoded);
+    return decodeFrame(encoded);
+  }
+
+  /**
+   * Record where the player is after a step, every so often
+   * @param {Object} position - Player position {x, y, z}
+   */
+  recordCheck(position) {
+    const index = this.frames.length - 1;
+    if (index % CHECK_INTERVAL === 0) {
+      this.checks.push([index, ...encodePosition(position)]);
+    }
+  }
+
+  /**
+   * @returns {Object} The replay so far, ready to be saved as JSON
+   */
+  toReplay() {
+    return {
+      version: REPLAY_VERSION,
+      level: this.level,
+      step: this.step,
+      frames: this.frames,
+      checks: this.checks
+    };
+  }
+}
+
+/**
+ * Plays a recorded run's input back, one frame per simulation step
+ */
+export class ReplayPlayer {
+  /**
+   * @param {Object} replay - Replay from ReplayRecorder.toReplay (or a replay file)
+   */
+  constructor(replay) {
+    this.replay = replay;
+    this.index = 0;
+    this.checks = new Map(replay.checks.map(([index, ...position]) => [index, position]));
+    this.desyncedAt = null; // First frame whose player position didn't match the recording
+  }
+
+  /**
+   * @returns {ReplayFrame|null} Input for the next step, or null when the replay is over
+   */
+  next() {
+    if (this.isFinished()) {
+      return null;
+    }
+    return decodeFrame(this.replay.frames[this.index++]);
+  }
+
+  isFinished() {
+    return this.index >= this.replay.frames.length;
+  }
+
+  /**
+   * Compare the player's position after a step with the recording. Warns the
+   * first time they differ (the level or physics has changed since it was recorded).
+   * @param {Object} position - Player position {x, y, z}
+   */
+  verify(position) {
+    const index = this.index - 1;
+    const expected = this.checks.get(index);
+    if (!expected || this.desyncedAt !== null) return;
+
+    const actual = encodePosition(position);
+    if (actual.some((value, axis) => value !== expected[axis])) {
+      this.desyncedAt = index;
+      console.warn(
+        `Replay out of sync at frame ${index}: player at ${actual.map((v) => v / POSITION_SCALE).join(', ')}, ` +
+        `recorded at ${expected.map((v) => v / POSITION_SCALE).join(', ')}`
+      );
+    }
+  }
+}
+
+function isNumberArray(value, minLength) {
+  return Array.isArray(value) && value.length >= minLength && value.every(Number.isFinite);
+}
+
+/**
+ * Check that a replay (from a file, an imported leaderboard or a server) can be played back.
+ * Custom level data it carries still needs checking with validateLevelData.
+ * @param {Object} replay
+ * @throws {Error} Saying what's wrong with it
+ */
+export function validateReplay(replay) {
+  if (!replay || typeof replay !== 'object') {
+    throw new Error('Not a replay');
+  }
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${replay.version} (expected ${REPLAY_VERSION})`);
+  }
+
+  const level = replay.level;
+  const hasLevel = level && (typeof level.id === 'string' || (typeof level.data === 'object' && level.data !== null));
+  if (!hasLevel || !Array.isArray(replay.frames) || !Array.isArray(replay.checks)) {
+    throw new Error('Not a replay');
+  }
+
+  const badFrame = replay.frames.findIndex((frame) => {
+    const shoot = isNumberArray(frame, 6) && (frame[4] & FLAG_SHOOT) !== 0;
+    return !isNumberArray(frame, shoot ? 9 : 6);
+  });
+  if (badFrame !== -1) {
+    throw new Error(`Replay frame ${badFrame} is damaged`);
+  }
+  if (!replay.checks.every((check) => isNumberArray(check, 4))) {
+    throw new Error('Replay position checks are damaged');
+  }
+}
+
+/**
+ * Parse and check a replay file
+ * @param {string} text - Replay file contents
+ * @returns {Object} The replay
+ */
+export function parseReplay(text) {
+  const replay = JSON.parse(text);
+  validateReplay(replay);
+  return replay;
+}
+
+/**
+ * Save a replay as a .json download
+ * @param {Object} replay - Replay from ReplayRecorder.toReplay
+ * @param {string} fileName - Name for the downloaded file
+ */
+export function downloadReplay(replay, fileName) {
+  const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
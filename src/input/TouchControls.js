@@ -0,0 +1,183 @@
+// How far (px) a thumb has to drag from where it touched down for full tilt
+const STICK_RADIUS = 50;
+
+// Drags shorter than this (0-1 of full tilt) are ignored
+const STICK_DEADZONE = 0.1;
+
+/**
+ * @returns {boolean} Whether the main pointer is a finger (phones, tablets).
+ * Touch laptops with a mouse still count as mouse devices.
+ */
+export function isTouchDevice() {
+  return window.matchMedia ? window.matchMedia('(pointer: coarse)').matches : false;
+}
+
+/**
+ * A joystick that appears wherever a thumb touches down inside its zone
+ * and tilts as the thumb drags away from that point.
+ */
+class VirtualStick {
+  /**
+   * @param {HTMLElement} zone - Area of the screen the stick works in
+   */
+  constructor(zone) {
+    this.zone = zone;
+    this.base = zone.querySelector('.touch-stick');
+    this.knob = zone.querySelector('.touch-knob');
+    this.touchId = null; // Finger controlling the stick
+    this.origin = { x: 0, y: 0 };
+    this.value = { x: 0, y: 0, magnitude: 0 };
+
+    zone.addEventListener('touchstart', (event) => {
+      event.preventDefault();
+      if (this.touchId !== null) return;
+
+      const touch = event.changedTouches[0];
+      this.touchId = touch.identifier;
+      this.origin = { x: touch.clientX, y: touch.clientY };
+
+      const bounds = zone.getBoundingClientRect();
+      this.base.style.left = `${touch.clientX - bounds.left}px`;
+      this.base.style.top = `${touch.clientY - bounds.top}px`;
+      this.base.style.display = 'block';
+      this.moveKnob(0, 0);
+    });
+
+    zone.addEventListener('touchmove', (event) => {
+      event.preventDefault();
+      const touch = this.findTouch(event);
+      if (!touch) return;
+
+      let dx = touch.clientX - this.origin.x;
+      let dy = touch.clientY - this.origin.y;
+      const length = Math.sqrt(dx * dx + dy * dy);
+      if (length > STICK_RADIUS) {
+        dx = (dx / length) * STICK_RADIUS;
+        dy = (dy / length) * STICK_RADIUS;
+      }
+      this.moveKnob(dx, dy);
+
+      const tilt = Math.min(length, STICK_RADIUS) / STICK_RADIUS;
+      this.value = tilt < STICK_DEADZONE
+        ? { x: 0, y: 0, magnitude: 0 }
+        : { x: dx / STICK_RADIUS, y: dy / STICK_RADIUS, magnitude: tilt };
+    });
+
+    const release = (event) => {
+      if (this.findTouch(event)) {
+        this.reset();
+      }
+    };
+    zone.addEventListener('touchend', release);
+    zone.addEventListener('touchcancel', release);
+  }
+
+  findTouch(event) {
+    return Array.from(event.changedTouches).find((touch) => touch.identifier === this.touchId);
+  }
+
+  moveKnob(dx, dy) {
+    this.knob.style.transform = `translate(calc(-50% + ${dx}px), calc(-50% + ${dy}px))`;
+  }
+
+  reset() {
+    this.touchId = null;
+    this.value = { x: 0, y: 0, magnitude: 0 };
+    this.base.style.display = 'none';
+  }
+}
+
+/**
+ * On-screen controls for touch devices (#touch-controls in index.html):
+ * a movement stick on the left half of the screen, a camera stick on the right,
+ * and buttons for actions (each button's data-action is one of Action).
+ * Like GamepadInput, poll() once per frame before reading it.
+ */
+export class TouchControls {
+  constructor() {
+    this.root = document.getElementById('touch-controls');
+    this.visible = false;
+    this.held = new Set(); // Actions whose buttons are being touched
+    this.pendingPresses = new Set(); // Actions whose buttons were touched since the last poll
+    this.pressed = new Set(); // ...and this frame
+
+    if (!this.root) return;
+
+    this.moveStick = new VirtualStick(document.getElementById('touch-move-zone'));
+    this.lookStick = new VirtualStick(document.getElementById('touch-look-zone'));
+
+    this.root.querySelectorAll('.touch-button').forEach((button) => {
+      const action = button.dataset.action;
+
+      button.addEventListener('touchstart', (event) => {
+        event.preventDefault();
+        this.held.add(action);
+        this.pendingPresses.add(action);
+        button.classList.add('active');
+      });
+
+      const release = (event) => {
+        event.preventDefault();
+        this.held.delete(action);
+        button.classList.remove('active');
+      };
+      button.addEventListener('touchend', release);
+      button.addEventListener('touchcancel', release);
+    });
+  }
+
+  /**
+   * Show the controls during gameplay and hide them everywhere else
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    if (!this.root || visible === this.visible) return;
+    this.visible = visible;
+    this.root.style.display = visible ? 'block' : 'none';
+
+    // Fingers lifted while hidden never send touchend to the controls
+    if (!visible) {
+      this.held.clear();
+      this.root.querySelectorAll('.touch-button').forEach((button) => button.classList.remove('active'));
+      this.moveStick.reset();
+      this.lookStick.reset();
+    }
+  }
+
+  /**
+   * Start a new frame: collect the button presses since the last poll
+   */
+  poll() {
+    this.pressed = this.pendingPresses;
+    this.pendingPresses = new Set();
+  }
+
+  isDown(action) {
+    return this.held.has(action);
+  }
+
+  wasPressed(action) {
+    return this.pressed.has(action);
+  }
+
+  /**
+   * @returns {{x: number, y: number, magnitude: number}} Movement stick, like GamepadInput.getStick (y is down)
+   */
+  getMoveStick() {
+    return this.moveStick ? this.moveStick.value : { x: 0, y: 0, magnitude: 0 };
+  }
+
+  /**
+   * @param {number} [curve=1] - Response exponent, as for GamepadInput.getStick
+   * @returns {{x: number, y: number, magnitude: number}} Camera stick (y is down)
+   */
+  getLookStick(curve = 1) {
+    const { x, y, magnitude } = this.lookStick ? this.lookStick.value : { x: 0, y: 0, magnitude: 0 };
+    if (magnitude === 0) {
+      return { x: 0, y: 0, magnitude: 0 };
+    }
+
+    const curved = Math.pow(magnitude, curve);
+    return { x: (x / magnitude) * curved, y: (y / magnitude) * curved, magnitude: curved };
+  }
+}
@@ -1,9 +1,36 @@
 import RAPIER from "@dimforge/rapier3d-compat";
 import * as THREE from "three";
+import { BeatClock } from "../audio/BeatClock.js";
+import { Metronome } from "../audio/Metronome.js";
+import { GameEvent } from "../core/GameEvents.js";
+import { RunTimer } from "../core/RunTimer.js";
+import Checkpoint from "../entities/Checkpoint.js";
+import { Ghost, GhostRecorder } from "../entities/Ghost.js";
 import GoalIndicator from "../entities/GoalIndicator.js";
 import Lava from "../entities/Lava.js";
 import { Player } from "../entities/Player.js";
 import { Projectile } from "../entities/Projectile.js";
+import { Action, keyInput } from "../input/InputActions.js";
+import { ReplayPlayer, ReplayRecorder } from "../input/Replay.js";
+import { BeatPulse } from "../ui/BeatPulse.js";
+import { rateRun } from "./StarRating.js";
+import { RunTimerHud } from "../ui/RunTimerHud.js";
+
+// Gameplay runs in fixed steps of this many seconds, whatever the frame rate,
+// so a run plays out the same way again when its replay is played back
+export const SIMULATION_STEP = 1 / 60;
+
+// Most time one frame catches up on - after a long stall (e.g. a background tab)
+// the game slows down rather than running hundreds of steps at once
+const MAX_CATCH_UP = 0.25;
+
+/**
+ * @param {Object} frame - Input for a step (see ReplayFrame in Replay.js)
+ * @returns {boolean} Whether the player did anything (looking around doesn't count)
+ */
+function hasInput(frame) {
+	return frame.forward !== 0 || frame.right !== 0 || frame.jump || frame.boots || frame.shoot;
+}
 
 /**
  * Base class for all levels in the game.
@@ -37,15 +64,38 @@ export class BaseLevel {
 			this.turretProjectiles = [];
 		} // Track all active projectiles
 		this.turretProjectiles = []; // Track turret projectiles separately
+		this.beatClock = null; // Beat all moving platforms follow (from the music)
+		this.metronome = null; // Optional click track on the beat (toggled with B)
+		this.beatPulse = null; // Optional HUD pulse on the beat (toggled with B)
 		this.lava = null; // Lava plane entity
 		this.starfield = null; // Starfield for night sky
 		this.goalIndicator = null; // Goal indicator for win condition
 		this.goalPlatform = null; // The platform that triggers win
+		this.goalVolume = null; // Or a {position, size} box that triggers win
+		this.checkpoints = []; // Checkpoints in the order the player reaches them
+		this.activeCheckpointIndex = -1; // Last checkpoint reached (-1 = none)
+
+		// Fixed step simulation and replays (see update)
+		this.simulationTime = 0; // Seconds of gameplay simulated so far
+		this.stepAccumulator = 0; // Frame time not yet simulated
+		this.pendingJump = false; // Presses waiting for the next step
+		this.pendingBoots = false;
+		this.replayRecorder = null; // Records this run's input
+		this.replayPlayer = null; // Or plays back a recorded run's input
+		this.ghostRecorder = null; // Records this run for racing against later
+		this.ghost = null; // Best run so far, raced against (toggled with G)
+		this.runTimer = null; // Times the run, from the player's first input
+		this.runTimerHud = null;
+		this.bestTime = null; // Best time and splits for this level ({time, splits}), if any
+		this.levelChangedDuringRun = false; // Hot reloaded - the run can't set records
+		this.runStats = { deaths: 0, shots: 0, turrets: 0 }; // Scored for the star rating
 
 		// Camera control
 		this.cameraYaw = 0;
 		this.cameraPitch = 0;
 		this.mouseSensitivity = 0.002;
+		this.stickLookSpeed = 3.0; // Radians per second with a camera stick pushed all the way
+		this.stickLookCurve = 2.0; // Camera stick response exponent - finer aiming near the centre
 
 		// Camera settings (can be overridden by subclasses)
 		this.cameraDistance = 10;
@@ -53,12 +103,6 @@ export class BaseLevel {
 		this.aimHeight = 1.5; // Height offset for aim point above player (camera framing)
 		this.shootingAimHeight = 3; // Height offset for shooting direction (keeps shooting straight)
 
-		// Initialize keyboard state immediately (before async setup)
-		this.keys = { w: false, a: false, s: false, d: false };
-
-		// Mouse button state for shooting
-		this.mouseButtons = { left: false };
-
 		this.initAsync();
 	}
 
@@ -89,6 +133,12 @@ export class BaseLevel {
 		// Clear scene - THIS REMOVES EVERYTHING INCLUDING THE PLAYER!
 		this.game.scene.clear();
 
+		// Physics steps at the same rate as the simulation
+		this.physicsWorld.timestep = SIMULATION_STEP;
+
+		// Play back the replay being watched, or record this run
+		this.setupReplay(this.game.currentReplay);
+
 		// Set background and fog (can be overridden via getBackgroundColor/getFogSettings)
 		this.setupBackground();
 
@@ -101,10 +151,69 @@ export class BaseLevel {
 		// Create lava plane
 		this.setupLava();
 
+		// Music and the beat clock moving platforms follow
+		// (can be overridden via getMusicTrack/getBPM/getMusicOffset)
+		this.beatClock = new BeatClock(this.game.soundManager, {
+			bpm: this.getBPM(),
+			offset: this.getMusicOffset(),
+		});
+		this.game.startLevelMusic(this, this.getMusicTrack());
+		this.metronome = new Metronome(this.game.soundManager);
+		this.beatPulse = new BeatPulse();
+
 		// Create platforms (defined by subclass)
 		this.setupPlatforms();
 
-		// Add physics to platforms and add to scene
+		// Add physics to platforms and add platforms and turrets to scene
+		this.addPlatformsToScene();
+		this.applyMetronome();
+
+		// Setup goal indicator on the goal (or furthest) platform
+		this.setupGoalIndicator();
+
+		// Setup checkpoints the player can respawn at
+		this.setupCheckpoints();
+
+		// Create player
+		this.setupPlayer();
+
+		// Run timer, and the best time to compare splits with
+		this.runTimer = new RunTimer();
+		this.runTimerHud = new RunTimerHud();
+		this.runTimerHud.update(0);
+		this.runTimerHud.show();
+		const levelKey = this.getLevelKey();
+		this.bestTime = levelKey ? this.game.getBestTime(levelKey) : null;
+
+		// Ghost of the best run to race against
+		this.setupGhost();
+
+		// Position camera for third-person view
+		this.setupCamera();
+	}
+
+	/**
+	 * Turn the metronome (HUD beat pulse, click track and a flash when each
+	 * moving platform starts a transition) on or off to match the player's setting.
+	 */
+	applyMetronome() {
+		const enabled = Boolean(this.game.saveData.metronome);
+		this.platforms.forEach((platform) => {
+			platform.flashOnTransition = enabled;
+		});
+
+		if (enabled) {
+			this.beatPulse.show();
+		} else {
+			this.beatPulse.hide();
+		}
+	}
+
+	/**
+	 * Add physics bodies to platforms that don't have one yet,
+	 * then add platforms and turrets to the scene.
+	 */
+	addPlatformsToScene() {
 		if (this.platforms.length > 0) {
 			this.platforms.forEach((platform) => {
 				// If platform doesn't have physics yet, add it
@@ -122,15 +231,6 @@ export class BaseLevel {
 				turret.addToScene(this.game.scene);
 			});
 		}
-
-		// Setup goal indicator on furthest platform
-		this.setupGoalIndicator();
-
-		// Create player
-		this.setupPlayer();
-
-		// Position camera for third-person view
-		this.setupCamera();
 	}
 
 	/**
@@ -159,6 +259,30 @@ export class BaseLevel {
 		return 0x1a0a2e; // Dark purple night sky
 	}
 
+	/**
+	 * Get the path of the music track for this level.
+	 * Override in subclasses to customize.
+	 */
+	getMusicTrack() {
+		return "assets/song.mp3";
+	}
+
+	/**
+	 * Get the tempo moving platforms follow.
+	 * Override in subclasses to customize.
+	 */
+	getBPM() {
+		return 120;
+	}
+
+	/**
+	 * Get how many seconds into the music moving platforms start moving.
+	 * Override in subclasses to customize.
+	 */
+	getMusicOffset() {
+		return 21; // Length of the intro of assets/song.mp3
+	}
+
 	/**
 	 * Get fog settings for this level.
 	 * Override in subclasses to customize or return null to disable fog.
@@ -242,12 +366,54 @@ export class BaseLevel {
 	}
 
 	/**
-	 * Setup goal indicator on the furthest platform
+	 * Setup goal indicator on the goal.
+	 * Uses getGoal() if the level defines one, otherwise the platform furthest from spawn.
 	 */
 	setupGoalIndicator() {
-		if (this.platforms.length === 0) return;
+		const goal = this.getGoal();
+		let indicatorPos = null;
+
+		if (goal && goal.platform) {
+			this.goalPlatform = goal.platform;
+		} else if (goal && goal.position) {
+			this.goalVolume = { position: goal.position, size: goal.size };
+			indicatorPos = {
+				x: goal.position.x,
+				y: goal.position.y - goal.size.height / 2, // Bottom of the volume
+				z: goal.position.z,
+			};
+		} else {
+			this.goalPlatform = this.findFurthestPlatform();
+		}
+
+		if (this.goalPlatform) {
+			const pos = this.goalPlatform.mesh.position;
+			indicatorPos = {
+				x: pos.x,
+				y: pos.y + this.goalPlatform.size.height / 2, // On top of platform
+				z: pos.z,
+			};
+		}
+
+		if (indicatorPos) {
+			this.goalIndicator = new GoalIndicator(this.game.scene, indicatorPos);
+		}
+	}
+
+	/**
+	 * Get the explicit goal for this level.
+	 * Override in subclasses to return {platform} or {position, size}.
+	 * Return null to use the platform furthest from spawn.
+	 */
+	getGoal() {
+		return null;
+	}
 
-		// Find the platform furthest from player spawn
+	/**
+	 * Find the platform furthest from player spawn
+	 * @returns {Platform|null}
+	 */
+	findFurthestPlatform() {
 		const spawnPos = this.getPlayerSpawnPosition();
 		let furthestPlatform = null;
 		let maxDistance = 0;
@@ -265,22 +431,25 @@ export class BaseLevel {
 			}
 		});
 
-		if (furthestPlatform) {
-			this.goalPlatform = furthestPlatform;
-			const pos = furthestPlatform.mesh.position;
-			const indicatorY = pos.y + furthestPlatform.size.height / 2; // On top of platform
+		return furthestPlatform;
+	}
 
-			this.goalIndicator = new GoalIndicator(this.game.scene, {
-				x: pos.x,
-				y: indicatorY,
-				z: pos.z,
-			});
+	/**
+	 * Setup checkpoints from getCheckpoints()
+	 */
+	setupCheckpoints() {
+		this.checkpoints = this.getCheckpoints().map(
+			(definition) => new Checkpoint(this.game.scene, definition),
+		);
+		this.activeCheckpointIndex = -1;
+	}
 
-			console.log("Goal platform set:", {
-				position: pos,
-				distance: maxDistance,
-			});
-		}
+	/**
+	 * Get checkpoint definitions for this level, in order.
+	 * Override in subclasses; each is {platform} or {position, size}, plus optional spawn.
+	 */
+	getCheckpoints() {
+		return [];
 	}
 
 	/**
@@ -311,6 +480,12 @@ export class BaseLevel {
 			position: spawnPosition,
 			color: colorInt,
 			physicsWorld: this.physicsWorld,
+			onLanded: (speed) => {
+				this.game.events.emit(GameEvent.PLAYER_LANDED, {
+					position: this.player.rigidBody.translation(),
+					speed,
+				});
+			},
 		});
 		this.player.addToScene(this.game.scene);
 	}
@@ -337,6 +512,172 @@ export class BaseLevel {
 		this.cameraPitch = -Math.PI / 8; // Looking slightly down
 	}
 
+	/**
+	 * Start playing back a replay, or start recording this run if there's none
+	 * @param {Object|null} replay - Replay to watch (see Replay.js)
+	 */
+	setupReplay(replay) {
+		this.simulationTime = 0;
+		this.stepAccumulator = 0;
+
+		if (replay) {
+			if (replay.step !== SIMULATION_STEP) {
+				console.warn(`Replay was recorded with a ${replay.step}s step, playing it with ${SIMULATION_STEP}s`);
+			}
+			this.replayPlayer = new ReplayPlayer(replay);
+			this.replayRecorder = null;
+			return;
+		}
+
+		const level = this.getReplayLevel();
+		this.replayPlayer = null;
+		this.replayRecorder = level
+			? new ReplayRecorder({ level, step: SIMULATION_STEP })
+			: null;
+	}
+
+	/**
+	 * Which level a replay of this one should load. Levels that can't be found again don't record replays.
+	 * Override in subclasses.
+	 * @returns {Object|null} {id} for manifest levels, {source, name, data} for custom ones
+	 */
+	getReplayLevel() {
+		return null;
+	}
+
+	/**
+	 * @returns {Object|null} The replay being recorded (so far) or played back
+	 */
+	getReplay() {
+		if (this.replayRecorder) {
+			return this.replayRecorder.toReplay();
+		}
+		return this.replayPlayer ? this.replayPlayer.replay : null;
+	}
+
+	/**
+	 * Start recording this run as a ghost, and bring back the best run so far if there is one
+	 */
+	setupGhost() {
+		this.ghostRecorder = new GhostRecorder(SIMULATION_STEP, this.beatClock ? this.beatClock.bpm : null);
+
+		const levelKey = this.getLevelKey();
+		const run = levelKey ? this.game.getGhostRun(levelKey) : null;
+		if (!run) return;
+
+		const colorHex = this.game.saveData.playerColor || "#fa8072";
+		this.ghost = new Ghost(run, parseInt(colorHex.replace("#", ""), 16));
+		this.ghost.addToScene(this.game.scene);
+		this.applyGhostVisibility();
+	}
+
+	applyGhostVisibility() {
+		if (this.ghost) {
+			this.ghost.player.mesh.visible = this.game.isGhostEnabled();
+		}
+	}
+
+	/**
+	 * Whether this run can set records (best times, ghost): not when watching a replay,
+	 * when the level was hot reloaded partway through, or when it was won before the
+	 * first input started the timer (e.g. spawning on the goal)
+	 */
+	canSetRecords() {
+		return (
+			!!this.getLevelKey() &&
+			!this.replayPlayer &&
+			!this.levelChangedDuringRun &&
+			this.runTimer.hasStarted()
+		);
+	}
+
+	/**
+	 * Requirements for the second and third stars (see StarRating.js). Override in subclasses.
+	 * @returns {Array<Object>|null} null gives every star for finishing
+	 */
+	getStarRequirements() {
+		return null;
+	}
+
+	/**
+	 * Record the finished run's time and stars, keeping any bests (and the run's ghost),
+	 * put it on the level's leaderboard if it's fast enough, and send it to the online one.
+	 * The result is left in game.lastRunResult for the win screen.
+	 */
+	recordRunResult() {
+		const { time, splits } = this.runTimer;
+		const stats = { time, ...this.runStats };
+		const rating = rateRun(this.getStarRequirements(), stats);
+		const levelKey = this.getLevelKey();
+
+		if (!this.canSetRecords()) {
+			this.game.lastRunResult = {
+				levelKey,
+				time,
+				previousBest: this.bestTime ? this.bestTime.time : null,
+				isRecord: false,
+				stats,
+				rating,
+			};
+			return;
+		}
+
+		const { playerName, playerColor } = this.game.saveData;
+		const name = playerName || "Player";
+		const color = playerColor || "#fa8072";
+		const replay = this.getReplay();
+		const leaderboardRank = this.game.leaderboard.addEntry(levelKey, this.getLevelName(), {
+			name,
+			color,
+			time,
+			date: new Date().toISOString(),
+			stars: rating.stars,
+			replay,
+		});
+
+		this.game.lastRunResult = {
+			levelKey,
+			...this.game.recordRunTime(levelKey, time, splits),
+			stats,
+			rating,
+			leaderboardRank,
+		};
+		this.game.recordStars(levelKey, rating.stars);
+		this.game.saveGhostRun(levelKey, this.ghostRecorder.toRun(time));
+
+		const hash = this.getLevelHash();
+		if (hash) {
+			this.game.submitRun(levelKey, { hash, name, color, time, stars: rating.stars, replay });
+		}
+	}
+
+	/**
+	 * Key this level's records (best runs...) are saved under. Levels without one keep no records.
+	 * Override in subclasses.
+	 * @returns {string|null}
+	 */
+	getLevelKey() {
+		return null;
+	}
+
+	/**
+	 * Hash of the level's content, sent with runs to the online leaderboard so times
+	 * set on an edited copy are turned away. Levels without one aren't submitted.
+	 * Override in subclasses.
+	 * @returns {string|null}
+	 */
+	getLevelHash() {
+		return null;
+	}
+
+	/**
+	 * Name shown for this level's leaderboard. Override in subclasses.
+	 * @returns {string}
+	 */
+	getLevelName() {
+		return this.getLevelKey();
+	}
+
 	setupEventListeners() {
 		// Prevent duplicate event listener registration
 		if (this._listenersSetup) {
@@ -344,102 +685,205 @@ export class BaseLevel {
 		}
 		this._listenersSetup = true;
 
-		// Mouse movement for camera control
+		// Mouse movement for camera control (a replay being watched has its own camera)
 		this.onMouseMove = (event) => {
-			if (document.pointerLockElement === this.game.canvas) {
+			if (document.pointerLockElement === this.game.canvas && !this.replayPlayer) {
 				this.cameraYaw -= event.movementX * this.mouseSensitivity;
 				this.cameraPitch += event.movementY * this.mouseSensitivity; // Inverted Y axis
-
-				// Clamp pitch to prevent flipping
-				const maxPitch = Math.PI / 2 - 0.1;
-				this.cameraPitch = Math.max(
-					-maxPitch,
-					Math.min(maxPitch, this.cameraPitch),
-				);
+				this.clampCameraPitch();
 			}
 		};
 
-		// Keyboard movement (WASD)
+		// Movement, jumping, boots and shooting are read from game.input in update.
+		// Here, just stop bound keys doing their browser default (Tab moving focus, Space scrolling).
 		this.onKeyDown = (event) => {
 			const key = event.key.toLowerCase();
 
-			if (key === "w" || key === "a" || key === "s" || key === "d") {
-				this.keys[key] = true;
-				event.preventDefault();
-			} else if (key === "tab") {
-				// Toggle gravity boots
-				event.preventDefault();
-				if (this.player) {
-					this.player.toggleGravityBoots();
-				}
-			} else if (key === " ") {
-				// Jump
+			if (this.game.input.isBound(keyInput(event))) {
 				event.preventDefault();
-				if (this.player) {
-					this.player.jump();
-				}
+			} else if (key === "b") {
+				// Toggle the metronome
+				this.game.setMetronomeEnabled(!this.game.saveData.metronome);
+				this.applyMetronome();
+			} else if (key === "g") {
+				// Toggle the ghost
+				this.game.setGhostEnabled(!this.game.isGhostEnabled());
+				this.applyGhostVisibility();
 			}
 		};
 
-		this.onKeyUp = (event) => {
-			const key = event.key.toLowerCase();
+		document.addEventListener("mousemove", this.onMouseMove);
+		document.addEventListener("keydown", this.onKeyDown);
+	}
 
-			if (key === "w" || key === "a" || key === "s" || key === "d") {
-				this.keys[key] = false;
-				event.preventDefault();
-			}
-		};
+	/**
+	 * Keep the camera from flipping over the top or bottom
+	 */
+	clampCameraPitch() {
+		const maxPitch = Math.PI / 2 - 0.1;
+		this.cameraPitch = Math.max(-maxPitch, Math.min(maxPitch, this.cameraPitch));
+	}
 
-		// Mouse button for shooting
-		this.onMouseDown = (event) => {
-			if (document.pointerLockElement === this.game.canvas) {
-				if (event.button === 0) {
-					// Left mouse button
-					this.mouseButtons.left = true;
-					event.preventDefault();
-				}
+	handleJump() {
+		if (this.player && this.player.jump()) {
+			this.game.events.emit(GameEvent.PLAYER_JUMPED, {
+				position: this.player.rigidBody.translation(),
+			});
+		}
+	}
+
+	handleBootsToggle() {
+		if (!this.player) return;
+
+		this.player.toggleGravityBoots();
+		this.game.events.emit(GameEvent.BOOTS_TOGGLED, {
+			position: this.player.rigidBody?.translation(),
+			active: this.player.gravityBootsActive,
+		});
+	}
+
+	/**
+	 * Turn the camera with the gamepad's right stick or the touch camera stick
+	 */
+	updateStickCamera(delta) {
+		const look = this.game.input.getLook(this.stickLookCurve);
+		if (look.magnitude > 0) {
+			this.cameraYaw -= look.x * this.stickLookSpeed * delta;
+			this.cameraPitch += look.y * this.stickLookSpeed * delta; // Inverted Y axis, like the mouse
+			this.clampCameraPitch();
+		}
+	}
+
+	update(delta) {
+		// Presses are kept until a step uses them - at high frame rates some frames have no step
+		if (!this.replayPlayer) {
+			const input = this.game.input;
+			this.pendingJump = this.pendingJump || input.wasPressed(Action.JUMP);
+			this.pendingBoots = this.pendingBoots || input.wasPressed(Action.TOGGLE_BOOTS);
+		}
+
+		this.stepAccumulator = Math.min(this.stepAccumulator + delta, MAX_CATCH_UP);
+		while (this.stepAccumulator >= SIMULATION_STEP) {
+			this.stepAccumulator -= SIMULATION_STEP;
+			if (!this.runStep()) {
+				this.stepAccumulator = 0;
+				break;
 			}
-		};
+		}
 
-		this.onMouseUp = (event) => {
-			if (event.button === 0) {
-				this.mouseButtons.left = false;
-				event.preventDefault();
+		// The level ended during a step (game over or win)
+		if (!this.physicsWorld) return;
+
+		// Metronome cues follow the music rather than the simulation
+		if (this.beatClock && this.game.saveData.metronome) {
+			this.beatPulse.update(this.beatClock.getBeat());
+			this.metronome.update(this.beatClock);
+		}
+
+		// Update camera based on mouse movement
+		this.updateCamera();
+	}
+
+	/**
+	 * Run one simulation step with the player's input, recording it, or with the replay's
+	 * @returns {boolean} Whether to keep stepping (false once the level or replay has ended)
+	 */
+	runStep() {
+		let frame;
+		if (this.replayPlayer) {
+			// At the end of the replay everything stops where it finished
+			frame = this.replayPlayer.next();
+			if (!frame) return false;
+		} else {
+			frame = this.readInputFrame();
+			if (this.replayRecorder) {
+				// Simulate the input as stored, so the replay matches this run exactly
+				frame = this.replayRecorder.record(frame);
 			}
+		}
+
+		// The run (and its ghost) starts with the player's first input
+		if (!this.runTimer.hasStarted() && hasInput(frame)) {
+			this.runTimer.start(this.simulationTime);
+		}
+		if (this.player && this.runTimer.hasStarted()) {
+			this.ghostRecorder.step(this.player, this.beatClock ? frame.beat : null);
+		}
+
+		this.cameraYaw = frame.yaw;
+		this.cameraPitch = frame.pitch;
+		this.simulate(frame, SIMULATION_STEP);
+		if (!this.physicsWorld) return false;
+
+		if (this.ghost) {
+			// The ghost keeps to the beat, like the platforms (runs without a beat keep to the run time)
+			const beatTime = this.beatClock ? this.ghost.getTimeAtBeat(frame.beat) : null;
+			this.ghost.update(beatTime ?? this.runTimer.time);
+		}
+
+		const position = this.player?.rigidBody?.translation();
+		if (position) {
+			this.replayRecorder?.recordCheck(position);
+			this.replayPlayer?.verify(position);
+		}
+
+		this.runTimerHud.update(this.runTimer.time);
+		return true;
+	}
+
+	/**
+	 * Read the player's input for the next step
+	 * @returns {Object} Frame for simulate (see ReplayFrame in Replay.js)
+	 */
+	readInputFrame() {
+		const input = this.game.input;
+		this.updateStickCamera(SIMULATION_STEP);
+
+		const shoot = !!this.player && input.isDown(Action.SHOOT);
+		const frame = {
+			...input.getMovement(),
+			yaw: this.cameraYaw,
+			pitch: this.cameraPitch,
+			jump: this.pendingJump,
+			boots: this.pendingBoots,
+			shoot,
+			// Shots aim from the camera, which isn't simulated, so the direction is part of the input
+			shotDirection: shoot ? this.getShootingDirection() : null,
+			// The beat comes from the music, which isn't simulated either
+			beat: this.beatClock ? this.beatClock.getBeat() : -1,
 		};
 
-		document.addEventListener("mousemove", this.onMouseMove);
-		document.addEventListener("keydown", this.onKeyDown);
-		document.addEventListener("keyup", this.onKeyUp);
-		document.addEventListener("mousedown", this.onMouseDown);
-		document.addEventListener("mouseup", this.onMouseUp);
+		this.pendingJump = false;
+		this.pendingBoots = false;
+		return frame;
 	}
 
-	update(delta) {
-		// Update player movement based on WASD input BEFORE physics step
+	/**
+	 * Advance gameplay by one fixed step. Everything that affects where things end up
+	 * happens here and depends only on the frame and the level's state, so replaying
+	 * the same frames reproduces the run.
+	 * @param {Object} frame - Input for the step (see ReplayFrame in Replay.js)
+	 * @param {number} delta - Step length in seconds
+	 */
+	simulate(frame, delta) {
+		this.simulationTime += delta;
+		this.runTimer.update(this.simulationTime);
+
+		// Update player movement based on the input BEFORE physics step
 		if (this.player) {
-			// Convert WASD to movement vector
-			let forward = 0;
-			let right = 0;
-
-			if (this.keys.w) forward += 1;
-			if (this.keys.s) forward -= 1;
-			if (this.keys.d) right += 1;
-			if (this.keys.a) right -= 1;
-
-			// Normalize diagonal movement
-			if (forward !== 0 && right !== 0) {
-				const length = Math.sqrt(forward * forward + right * right);
-				forward /= length;
-				right /= length;
+			if (frame.jump) {
+				this.handleJump();
+			}
+			if (frame.boots) {
+				this.handleBootsToggle();
 			}
 
-			this.player.movement = { forward, right };
-			this.player.update(delta, this.cameraYaw, this.platforms);
+			this.player.movement = { forward: frame.forward, right: frame.right };
+			this.player.update(delta, frame.yaw, this.platforms);
 
 			// Handle shooting
-			if (this.mouseButtons.left) {
-				this.handleShooting();
+			if (frame.shoot) {
+				this.handleShooting(frame.shotDirection);
 			}
 		}
 
@@ -447,16 +891,18 @@ export class BaseLevel {
 		this.updateOneWayPlatforms();
 
 		// Step physics simulation AFTER player update
-		if (this.physicsWorld) {
-			this.physicsWorld.step();
-		}
+		this.physicsWorld.step();
 
-		// Update platforms (only after 20 seconds of music)
-		const musicTime = this.game.soundManager
-			? this.game.soundManager.getMusicTime()
-			: 0;
-		if (musicTime >= 21) {
-			this.platforms.forEach((platform) => platform.update(delta));
+		// Update platforms. Moving platforms are placed at the music's beat
+		// (rather than stepped by delta) and stay in their start state until the offset.
+		if (frame.beat >= 0) {
+			this.platforms.forEach((platform) => {
+				if (platform.setBeat) {
+					platform.setBeat(frame.beat);
+				} else {
+					platform.update(delta);
+				}
+			});
 		}
 
 		// Update turrets
@@ -468,6 +914,9 @@ export class BaseLevel {
 		// Check collisions
 		this.checkProjectileCollisions();
 
+		// Update checkpoints
+		this.updateCheckpoints(delta);
+
 		// Update lava
 		if (this.lava) {
 			this.lava.update(delta);
@@ -475,6 +924,7 @@ export class BaseLevel {
 			// Check if player has fallen into lava
 			if (this.player && this.lava.isDeadly(this.player.mesh.position.y)) {
 				this.handlePlayerDeath();
+				if (!this.physicsWorld) return;
 			}
 		}
 
@@ -482,23 +932,91 @@ export class BaseLevel {
 		if (this.goalIndicator) {
 			this.goalIndicator.update(delta);
 
-			// Check if player has reached the goal platform
-			if (this.player && this.goalPlatform && !this._playerWon) {
+			// Check if player has reached the goal
+			if (
+				this.player &&
+				(this.goalPlatform || this.goalVolume) &&
+				!this._playerWon
+			) {
 				this.checkWinCondition();
 			}
 		}
+	}
 
-		// Update camera based on mouse movement
-		this.updateCamera();
+	/**
+	 * Animate checkpoints and activate any later checkpoint the player reaches
+	 */
+	updateCheckpoints(delta) {
+		if (this.checkpoints.length === 0) return;
+
+		this.checkpoints.forEach((checkpoint) => checkpoint.update(delta));
+
+		if (!this.player || !this.player.rigidBody) return;
+		const playerPos = this.player.rigidBody.translation();
+
+		// Checkpoints are ordered - only ones after the active one can be reached
+		for (
+			let i = this.checkpoints.length - 1;
+			i > this.activeCheckpointIndex;
+			i--
+		) {
+			if (this.checkpoints[i].contains(playerPos)) {
+				this.activateCheckpoint(i);
+				break;
+			}
+		}
+	}
+
+	/**
+	 * Make a checkpoint the respawn point
+	 * @param {number} index - Index into this.checkpoints
+	 */
+	activateCheckpoint(index) {
+		this.activeCheckpointIndex = index;
+		this.checkpoints[index].activate();
+
+		const split = this.runTimer.split(index);
+		if (split !== null) {
+			this.runTimerHud.showSplit(index, split, this.bestTime?.splits[index] ?? null);
+		}
+		this.game.events.emit(GameEvent.CHECKPOINT_REACHED, {
+			position: this.checkpoints[index].position,
+			index,
+		});
+	}
+
+	/**
+	 * Move the player back to the active checkpoint
+	 */
+	respawnAtCheckpoint() {
+		const checkpoint = this.checkpoints[this.activeCheckpointIndex];
+		const spawn = checkpoint.getRespawnPosition();
+
+		this.player.rigidBody.setTranslation(spawn, true);
+		this.player.rigidBody.setLinvel({ x: 0, y: 0, z: 0 }, true);
+		this.player.currentPlatform = null;
 	}
 
 	/**
 	 * Handle player death (e.g., falling into lava)
-	 * Triggers game over state
+	 * Respawns at the last checkpoint, or triggers game over state if none was reached
 	 */
 	handlePlayerDeath() {
 		// Only trigger death once
 		if (this._playerDead) return;
+
+		const respawned = this.activeCheckpointIndex >= 0;
+		this.runStats.deaths++;
+		this.game.events.emit(GameEvent.PLAYER_DIED, {
+			position: this.player?.rigidBody?.translation(),
+			respawned,
+		});
+
+		if (respawned) {
+			this.respawnAtCheckpoint();
+			return;
+		}
+
 		this._playerDead = true;
 
 		// Exit pointer lock
@@ -511,30 +1029,40 @@ export class BaseLevel {
 	}
 
 	/**
-	 * Check if player has reached the goal platform
+	 * Check if player has reached the goal platform or volume
 	 */
 	checkWinCondition() {
-		if (!this.player || !this.goalPlatform) return;
+		if (!this.player) return;
 
 		const playerPos = this.player.rigidBody.translation();
-		const platformPos = this.goalPlatform.mesh.position;
+		let reachedGoal = false;
 
-		// Check if player is horizontally within platform bounds
-		const halfWidth = this.goalPlatform.size.width / 2;
-		const halfDepth = this.goalPlatform.size.depth / 2;
-		const dx = Math.abs(playerPos.x - platformPos.x);
-		const dz = Math.abs(playerPos.z - platformPos.z);
+		if (this.goalPlatform) {
+			const platformPos = this.goalPlatform.mesh.position;
 
-		// Check if player is at correct height (on top of platform)
-		const platformTop = platformPos.y + this.goalPlatform.size.height / 2;
-		const playerBottom = playerPos.y - 0.8; // Bottom of player capsule
+			// Check if player is horizontally within platform bounds
+			const halfWidth = this.goalPlatform.size.width / 2;
+			const halfDepth = this.goalPlatform.size.depth / 2;
+			const dx = Math.abs(playerPos.x - platformPos.x);
+			const dz = Math.abs(playerPos.z - platformPos.z);
 
-		const isOnPlatform =
-			dx <= halfWidth &&
-			dz <= halfDepth &&
-			Math.abs(playerBottom - platformTop) < 0.5;
+			// Check if player is at correct height (on top of platform)
+			const platformTop = platformPos.y + this.goalPlatform.size.height / 2;
+			const playerBottom = playerPos.y - 0.8; // Bottom of player capsule
+
+			reachedGoal =
+				dx <= halfWidth &&
+				dz <= halfDepth &&
+				Math.abs(playerBottom - platformTop) < 0.5;
+		} else if (this.goalVolume) {
+			const { position, size } = this.goalVolume;
+			reachedGoal =
+				Math.abs(playerPos.x - position.x) <= size.width / 2 &&
+				Math.abs(playerPos.y - position.y) <= size.height / 2 &&
+				Math.abs(playerPos.z - position.z) <= size.depth / 2;
+		}
 
-		if (isOnPlatform) {
+		if (reachedGoal) {
 			this.handlePlayerWin();
 		}
 	}
@@ -547,6 +1075,10 @@ export class BaseLevel {
 		// Only trigger win once
 		if (this._playerWon) return;
 		this._playerWon = true;
+		this.game.events.emit(GameEvent.LEVEL_WON, {
+			position: this.player?.rigidBody?.translation(),
+		});
+		this.recordRunResult();
 
 		// Exit pointer lock
 		if (document.pointerLockElement) {
@@ -560,16 +1092,12 @@ export class BaseLevel {
 	}
 
 	/**
-	 * Handle shooting mechanics - called when mouse button is held
+	 * Handle shooting mechanics - called each step while the shoot action is held
+	 * @param {Object} shootDirection - Normalized direction {x, y, z} (see getShootingDirection)
 	 */
-	handleShooting() {
+	handleShooting(shootDirection) {
 		if (!this.player) return;
 
-		// Calculate shooting direction based on camera orientation
-		// The camera looks at (player.x, player.y + aimHeight, player.z)
-		// So the shooting direction is from the camera to the aim point
-		const shootDirection = this.getShootingDirection();
-
 		// Try to shoot (player handles cooldown)
 		this.player.shoot(shootDirection, (projectileData) => {
 			// Create and add projectile to the scene
@@ -580,12 +1108,13 @@ export class BaseLevel {
 			});
 			projectile.addToScene(this.game.scene);
 			this.projectiles.push(projectile);
+			this.runStats.shots++;
 
-			// Play shoot sound (player shooting - full volume)
-			if (this.game.soundManager) {
-				this.game.soundManager.playSound("projectile", 0.5);
-			}
-		});
+			this.game.events.emit(GameEvent.SHOT_FIRED, {
+				position: projectileData.position,
+				source: "player",
+			});
+		}, this.simulationTime);
 	}
 
 	/**
@@ -775,13 +1304,19 @@ export class BaseLevel {
 		if (crosshair) {
 			crosshair.style.display = "none";
 		}
+		if (this.beatPulse) {
+			this.beatPulse.hide();
+		}
+		if (this.runTimerHud) {
+			this.runTimerHud.hide();
+		}
+
+		// Keep the run's replay so it can still be saved from the game over or win screen
+		this.game.lastReplay = this.getReplay();
 
 		// Clean up event listeners
 		document.removeEventListener("mousemove", this.onMouseMove);
 		document.removeEventListener("keydown", this.onKeyDown);
-		document.removeEventListener("keyup", this.onKeyUp);
-		document.removeEventListener("mousedown", this.onMouseDown);
-		document.removeEventListener("mouseup", this.onMouseUp);
 		this._listenersSetup = false;
 
 		// Exit pointer lock
@@ -805,6 +1340,13 @@ export class BaseLevel {
 			this.turrets = [];
 		}
 
+		// Clean up ghost
+		if (this.ghost) {
+			this.ghost.removeFromScene(this.game.scene);
+			this.ghost.destroy();
+			this.ghost = null;
+		}
+
 		// Clean up player
 		if (this.player) {
 			this.player.removeFromScene(this.game.scene);
@@ -840,6 +1382,10 @@ export class BaseLevel {
 			this.goalIndicator = null;
 		}
 
+		// Clean up checkpoints
+		this.checkpoints.forEach((checkpoint) => checkpoint.dispose());
+		this.checkpoints = [];
+
 		// Clean up starfield
 		if (this.starfield) {
 			this.starfield.geometry.dispose();
@@ -879,15 +1425,19 @@ export class BaseLevel {
 					projectile.addToScene(this.game.scene);
 					this.turretProjectiles.push(projectile);
 
-					// Play shoot sound (turret shooting - 50% quieter)
-					if (this.game.soundManager) {
-						this.game.soundManager.playSound("projectile", 0.25);
-					}
-				});
+					this.game.events.emit(GameEvent.SHOT_FIRED, {
+						position: projectileData.position,
+						source: "turret",
+					});
+				}, this.simulationTime);
 			}
 
 			// Remove destroyed turrets
 			if (turret.isDestroyed) {
+				this.runStats.turrets++;
+				this.game.events.emit(GameEvent.TURRET_DESTROYED, {
+					position: { ...turret.position },
+				});
 				turret.removeFromScene(this.game.scene);
 				turret.destroy();
 				this.turrets.splice(i, 1);
@@ -955,10 +1505,10 @@ export class BaseLevel {
 						);
 					}
 
-					// Play collision sound (projectile hit - 50% quieter)
-					if (this.game.soundManager) {
-						this.game.soundManager.playSound("projectile", 0.3);
-					}
+					this.game.events.emit(GameEvent.PROJECTILE_HIT, {
+						position: projectile.rigidBody.translation(),
+						target: "turret",
+					});
 
 					// Destroy projectile
 					projectile.isDestroyed = true;
@@ -1004,10 +1554,10 @@ export class BaseLevel {
 					true,
 				);
 
-				// Play collision sound (projectile hit - 50% quieter)
-				if (this.game.soundManager) {
-					this.game.soundManager.playSound("projectile", 0.3);
-				}
+				this.game.events.emit(GameEvent.PROJECTILE_HIT, {
+					position: projectilePos,
+					target: "player",
+				});
 
 				// Destroy projectile
 				projectile.isDestroyed = true;
@@ -1,13 +1,31 @@
 import { BaseLevel } from "./BaseLevel.js";
 import { LevelDataLoader } from "./LevelDataLoader.js";
+import { formatValidationErrors } from "./LevelValidator.js";
+import { hashLevelData } from "./LevelHash.js";
+
+/**
+ * Key a level's records (best times, stars...) are saved under. Manifest levels are
+ * keyed by id, custom levels by file name or path (like their completion in the save data).
+ * @param {Object} levelInfo - Manifest entry or custom level info (see DataDrivenLevel)
+ * @returns {string}
+ */
+export function getLevelKey(levelInfo) {
+	return levelInfo.id || `custom:${levelInfo.source}`;
+}
 
 /**
  * A level that loads its configuration from a JSON file.
- * Subclasses only need to specify the level number.
+ * Created by LevelRegistry from an entry in public/levels/manifest.json,
+ * or by Game for a custom level whose data has already been loaded.
  */
 export class DataDrivenLevel extends BaseLevel {
-	constructor(game, levelNumber) {
-		// Store level number before calling super
+	/**
+	 * @param {Game} game - The game instance
+	 * @param {Object} levelInfo - Manifest entry ({id, file, name, number, ...}),
+	 *   or custom level info ({source, name, data}) with already validated data
+	 */
+	constructor(game, levelInfo) {
+		// Store level info before calling super
 		// We'll defer initialization until after data is loaded
 
 		// Temporarily override initAsync to prevent BaseLevel from calling it
@@ -19,8 +37,10 @@ export class DataDrivenLevel extends BaseLevel {
 		// Restore original initAsync
 		BaseLevel.prototype.initAsync = originalInitAsync;
 
-		this.levelNumber = levelNumber;
+		this.levelInfo = levelInfo;
+		this.levelNumber = levelInfo.number ?? null; // null for custom levels
 		this.levelData = null;
+		this.platformsById = new Map(); // Platforms with an id in the level data
 		this.isReady = false;
 
 		// Start async initialization (only once)
@@ -44,8 +64,10 @@ export class DataDrivenLevel extends BaseLevel {
 				z: 0.0,
 			});
 
-			// Load level data
-			this.levelData = await LevelDataLoader.loadLevelData(this.levelNumber);
+			// Load level data (custom levels come with theirs)
+			this.levelData =
+				this.levelInfo.data ||
+				(await LevelDataLoader.loadLevelData(`levels/${this.levelInfo.file}`));
 
 			// Now run the standard initialization
 			this.init();
@@ -54,12 +76,171 @@ export class DataDrivenLevel extends BaseLevel {
 			this.isReady = true;
 		} catch (error) {
 			console.error('Error loading level:', error);
-			console.error('Stack:', error.stack);
-			// Fallback to empty level
-			this.init();
+			if (error.errors) {
+				console.error(formatValidationErrors(error.errors));
+			}
+			// Show the problems instead of starting a broken level
+			// (unless the player already left this level while it was loading)
+			if (this.game.currentScreen === this) {
+				this.game.showLevelError(error);
+			}
+		}
+	}
+
+	/**
+	 * Get the URL path of this level's file, or null if it has none
+	 * (custom levels loaded from a local file).
+	 */
+	getLevelPath() {
+		if (this.levelInfo.file) {
+			return `levels/${this.levelInfo.file}`;
+		}
+		return this.levelInfo.path || null;
+	}
+
+	/**
+	 * Fetch the level file again and rebuild the level in place.
+	 * Used for hot reload while developing levels (see vite.config.js).
+	 * Invalid data is reported in the console and the current version keeps running.
+	 */
+	async reloadLevelData() {
+		const path = this.getLevelPath();
+		if (!this.isReady || !path) {
+			return;
+		}
+
+		let levelData;
+		try {
+			levelData = await LevelDataLoader.loadLevelData(path, {
+				cache: "no-store",
+			});
+		} catch (error) {
+			console.error("Level hot reload failed, keeping the current version:", error);
+			if (error.errors) {
+				console.error(formatValidationErrors(error.errors));
+			}
+			return;
+		}
+
+		// Level may have been left while the file was loading
+		if (!this.physicsWorld) {
+			return;
+		}
+
+		const previousTrack = this.getMusicTrack();
+		this.levelData = levelData;
+		if (this.levelInfo.data) {
+			// Custom level - retries should use the new data too
+			this.levelInfo.data = levelData;
+		}
+
+		this.rebuildLevel();
+
+		// Switch to the file's new track - it starts from the top, and the platforms follow its beat
+		const track = this.getMusicTrack();
+		if (track !== previousTrack) {
+			this.game.startLevelMusic(this, track);
 		}
 	}
 
+	/**
+	 * Rebuild platforms, turrets, goal, checkpoints and background from levelData,
+	 * leaving the player, camera and projectiles where they are.
+	 */
+	rebuildLevel() {
+		const scene = this.game.scene;
+
+		// Remove everything built from the old data
+		this.platforms.forEach((platform) => {
+			platform.removeFromScene(scene);
+			platform.destroy();
+		});
+		this.turrets.forEach((turret) => {
+			turret.removeFromScene(scene);
+			turret.destroy();
+		});
+		if (this.goalIndicator) {
+			this.goalIndicator.dispose();
+			this.goalIndicator = null;
+		}
+		this.goalPlatform = null;
+		this.goalVolume = null;
+		this.checkpoints.forEach((checkpoint) => checkpoint.dispose());
+
+		// Background and fog
+		scene.fog = null;
+		this.setupBackground();
+
+		// The pause menu hides fog while it's open and restores it on resume
+		const pauseMenu = this.game.pausedLevel === this ? this.game.currentScreen : null;
+		if (pauseMenu) {
+			pauseMenu.previousFog = scene.fog;
+			scene.fog = null;
+		}
+
+		// Platforms and turrets (moving platforms pick up at the music's current beat)
+		this.beatClock.setTiming({
+			bpm: this.getBPM(),
+			offset: this.getMusicOffset(),
+		});
+		this.setupPlatforms();
+		this.addPlatformsToScene();
+		this.applyMetronome();
+		if (this.player) {
+			// The platform the player stood on no longer exists
+			this.player.currentPlatform = null;
+		}
+
+		// Goal and checkpoints, keeping checkpoint progress if the checkpoint still exists
+		const activeCheckpointIndex = this.activeCheckpointIndex;
+		this.setupGoalIndicator();
+		this.setupCheckpoints();
+		if (activeCheckpointIndex >= 0 && activeCheckpointIndex < this.checkpoints.length) {
+			// Restored quietly - it wasn't reached again, so no sound, flash or split
+			this.activeCheckpointIndex = activeCheckpointIndex;
+			this.checkpoints[activeCheckpointIndex].activate();
+		}
+
+		// A replay of this run couldn't be played back, and its time isn't a fair record -
+		// it started on the old version
+		this.replayRecorder = null;
+		this.levelChangedDuringRun = true;
+	}
+
+	getLevelKey() {
+		return getLevelKey(this.levelInfo);
+	}
+
+	/**
+	 * Only manifest levels - the leaderboard server has its own copy of those to check against
+	 */
+	getLevelHash() {
+		return this.levelInfo.id ? hashLevelData(this.levelData) : null;
+	}
+
+	getLevelName() {
+		return this.levelInfo.name || this.levelData.name;
+	}
+
+	getStarRequirements() {
+		return this.levelData.stars || null;
+	}
+
+	/**
+	 * Manifest levels are found again by id. Custom levels may not be around when the
+	 * replay is watched, so the replay carries their data.
+	 */
+	getReplayLevel() {
+		if (this.levelInfo.id) {
+			return { id: this.levelInfo.id };
+		}
+		return {
+			source: this.levelInfo.source,
+			name: this.levelInfo.name,
+			data: this.levelData,
+		};
+	}
+
 	/**
 	 * Setup platforms from loaded level data.
 	 */
@@ -71,6 +252,35 @@ export class DataDrivenLevel extends BaseLevel {
 		const result = LevelDataLoader.createPlatformsFromData(this.levelData, this.physicsWorld);
 		this.platforms = result.platforms;
 		this.turrets = result.turrets;
+		this.platformsById = result.platformsById;
+	}
+
+	/**
+	 * Get the explicit goal from level data (null = furthest platform).
+	 */
+	getGoal() {
+		if (this.levelData) {
+			return LevelDataLoader.getGoal(
+				this.levelData,
+				this.platforms,
+				this.platformsById,
+			);
+		}
+		return super.getGoal();
+	}
+
+	/**
+	 * Get checkpoint definitions from level data.
+	 */
+	getCheckpoints() {
+		if (this.levelData) {
+			return LevelDataLoader.getCheckpoints(
+				this.levelData,
+				this.platforms,
+				this.platformsById,
+			);
+		}
+		return super.getCheckpoints();
 	}
 
 	/**
@@ -83,6 +293,36 @@ export class DataDrivenLevel extends BaseLevel {
 		return super.getBackgroundColor();
 	}
 
+	/**
+	 * Get the music track from level data.
+	 */
+	getMusicTrack() {
+		if (this.levelData) {
+			return LevelDataLoader.getMusicTrack(this.levelData);
+		}
+		return super.getMusicTrack();
+	}
+
+	/**
+	 * Get BPM from level data.
+	 */
+	getBPM() {
+		if (this.levelData) {
+			return LevelDataLoader.getBPM(this.levelData);
+		}
+		return super.getBPM();
+	}
+
+	/**
+	 * Get the music offset from level data.
+	 */
+	getMusicOffset() {
+		if (this.levelData) {
+			return LevelDataLoader.getMusicOffset(this.levelData);
+		}
+		return super.getMusicOffset();
+	}
+
 	/**
 	 * Get fog settings from level data.
 	 */
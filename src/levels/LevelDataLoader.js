@@ -1,6 +1,49 @@
 import { Platform } from '../entities/Platform.js';
 import { MovingPlatform } from '../entities/MovingPlatform.js';
 import { Turret } from '../entities/Turret.js';
+import { LevelValidationError, validateLevelData } from './LevelValidator.js';
+
+// Size of goal/checkpoint trigger volumes that give a position but no size
+const DEFAULT_TRIGGER_SIZE = { width: 4, height: 4, depth: 4 };
+
+// Music for levels that don't name a track, and where its first downbeat is (after the intro)
+const DEFAULT_MUSIC_TRACK = 'assets/song.mp3';
+const DEFAULT_MUSIC_OFFSET = 21;
+
+// Objects whose values are all primitives are written on one line if they fit
+const INLINE_OBJECT_MAX_LENGTH = 80;
+
+/**
+ * JSON.stringify with level-file formatting (see LevelDataLoader.stringifyLevelData)
+ */
+function stringifyValue(value, indent) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+
+  const isArray = Array.isArray(value);
+  const entries = isArray
+    ? value.map(item => stringifyValue(item, `${indent}  `))
+    : Object.entries(value)
+      .filter(([, item]) => item !== undefined)
+      .map(([key, item]) => `${JSON.stringify(key)}: ${stringifyValue(item, `${indent}  `)}`);
+
+  if (entries.length === 0) {
+    return isArray ? '[]' : '{}';
+  }
+
+  const items = isArray ? value : Object.values(value);
+  const isFlat = items.every(item => item === null || typeof item !== 'object');
+  if (isFlat) {
+    const inline = isArray ? `[${entries.join(', ')}]` : `{ ${entries.join(', ')} }`;
+    if (inline.length <= INLINE_OBJECT_MAX_LENGTH) {
+      return inline;
+    }
+  }
+
+  const inner = entries.map(entry => `${indent}  ${entry}`).join(',\n');
+  return isArray ? `[\n${inner}\n${indent}]` : `{\n${inner}\n${indent}}`;
+}
 
 /**
  * Utility class for loading and parsing level data from JSON files.
@@ -9,23 +52,59 @@ export class LevelDataLoader {
   /**
    * Load level data from a JSON file.
    * Files are served from the public directory.
-   * @param {number} levelNumber - The level number to load
+   * The data is validated against the level schema before it is returned.
+   * @param {string} path - Path to the level file (e.g. "levels/level1.json")
+   * @param {RequestInit} [fetchOptions] - Extra fetch options (e.g. {cache: 'no-store'} when hot reloading)
    * @returns {Promise<Object>} The parsed level data
+   * @throws {LevelValidationError} If the file isn't valid JSON or doesn't match the schema
    */
-  static async loadLevelData(levelNumber) {
+  static async loadLevelData(path, fetchOptions = {}) {
     try {
-      const response = await fetch(`levels/level${levelNumber}.json`);
+      const response = await fetch(path, fetchOptions);
       if (!response.ok) {
-        throw new Error(`Failed to load level ${levelNumber}: ${response.statusText}`);
+        throw new Error(`Failed to load level ${path}: ${response.statusText}`);
       }
-      const data = await response.json();
-      return data;
+      const text = await response.text();
+      return this.parseLevelData(text, path);
     } catch (error) {
-      console.error(`Error loading level ${levelNumber}:`, error);
+      console.error(`Error loading level ${path}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Parse and validate level JSON text.
+   * @param {string} text - Raw JSON text
+   * @param {string} source - Where the text came from, for error messages
+   * @returns {Object} The parsed level data
+   * @throws {LevelValidationError} If the text isn't valid JSON or doesn't match the schema
+   */
+  static parseLevelData(text, source) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new LevelValidationError(source, [{ path: '$', message: `invalid JSON: ${error.message}` }]);
+    }
+
+    const errors = validateLevelData(data);
+    if (errors.length > 0) {
+      throw new LevelValidationError(source, errors);
+    }
+
+    return data;
+  }
+
+  /**
+   * Serialize level data as JSON in the same layout as the hand-written level files:
+   * two-space indentation, with small objects like positions and sizes kept on one line.
+   * @param {Object} levelData - The level data object
+   * @returns {string} JSON text (with a trailing newline)
+   */
+  static stringifyLevelData(levelData) {
+    return `${stringifyValue(levelData, '')}\n`;
+  }
+
   /**
    * Parse hex color string to integer.
    * @param {string} colorString - Color string (e.g., "0xff6b6b" or "0xFF6B6B")
@@ -51,6 +130,7 @@ export class LevelDataLoader {
    */
   static createPlatform(platformData, bpm = 120, colorPalette = []) {
     const config = {
+      id: platformData.id,
       position: platformData.position,
       size: platformData.size,
       color: this.parseColor(platformData.color)
@@ -59,6 +139,7 @@ export class LevelDataLoader {
     if (platformData.type === 'moving') {
       config.bpm = bpm;
       config.colorPalette = colorPalette;
+      config.telegraph = this.getTelegraph(platformData);
 
       // Support both old movement format and new states format
       if (platformData.states) {
@@ -75,16 +156,34 @@ export class LevelDataLoader {
     return new Platform(config);
   }
 
+  /**
+   * Get a moving platform's telegraph cue settings, with defaults filled in.
+   * @param {Object} platformData - Platform configuration from JSON
+   * @returns {Object|null} {beats, color}, or null if the platform has no telegraph
+   */
+  static getTelegraph(platformData) {
+    if (!platformData.telegraph) {
+      return null;
+    }
+    return {
+      beats: platformData.telegraph.beats ?? 1,
+      color: this.parseColor(platformData.telegraph.color ?? '0xffffff')
+    };
+  }
+
   /**
    * Create all platforms from level data.
+   * Platforms with an id are indexed in platformsById so other level
+   * features (goal, checkpoints) can refer to them.
    * @param {Object} levelData - The level data object
    * @param {Object} physicsWorld - The physics world for creating turrets
-   * @returns {Object} Object with platforms and turrets arrays
+   * @returns {Object} Object with platforms and turrets arrays, and the platformsById map
+   * @throws {LevelValidationError} If two platforms share an id
    */
   static createPlatformsFromData(levelData, physicsWorld = null) {
     if (!levelData.platforms || !Array.isArray(levelData.platforms)) {
       console.warn('Level data has no platforms array');
-      return { platforms: [], turrets: [] };
+      return { platforms: [], turrets: [], platformsById: new Map() };
     }
 
     const bpm = this.getBPM(levelData);
@@ -92,11 +191,22 @@ export class LevelDataLoader {
 
     const platforms = [];
     const turrets = [];
+    const platformsById = new Map();
 
-    levelData.platforms.forEach(platformData => {
+    levelData.platforms.forEach((platformData, index) => {
       const platform = this.createPlatform(platformData, bpm, colorPalette);
       platforms.push(platform);
 
+      if (platformData.id !== undefined) {
+        if (platformsById.has(platformData.id)) {
+          throw new LevelValidationError(levelData.name || 'level', [{
+            path: `$.platforms[${index}].id`,
+            message: `duplicate platform id "${platformData.id}"`
+          }]);
+        }
+        platformsById.set(platformData.id, platform);
+      }
+
       // Create turret if platform has one
       if (platformData.turret && physicsWorld) {
         const turret = this.createTurret(platformData, platform, physicsWorld);
@@ -106,7 +216,27 @@ export class LevelDataLoader {
       }
     });
 
-    return { platforms, turrets };
+    return { platforms, turrets, platformsById };
+  }
+
+  /**
+   * Look up a platform by id or by index into the platforms array.
+   * @param {string|number} ref - Platform id, or index into platforms
+   * @param {Array<Platform>} platforms - Platforms created from the level data
+   * @param {Map<string, Platform>} platformsById - Id lookup from createPlatformsFromData()
+   * @param {string} path - JSON path of the reference, for error messages
+   * @returns {Platform}
+   * @throws {LevelValidationError} If no platform matches
+   */
+  static resolvePlatformRef(ref, platforms, platformsById, path) {
+    const platform = typeof ref === 'string' ? platformsById.get(ref) : platforms[ref];
+    if (!platform) {
+      throw new LevelValidationError('level', [{
+        path,
+        message: typeof ref === 'string' ? `no platform has id "${ref}"` : `platform ${ref} does not exist`
+      }]);
+    }
+    return platform;
   }
 
   /**
@@ -121,22 +251,28 @@ export class LevelDataLoader {
       return null;
     }
 
-    const turretData = platformData.turret;
-
-    // Calculate absolute position (platform position + relative turret position)
-    const position = {
-      x: platform.position.x + (turretData.position?.x || 0),
-      y: platform.position.y + (turretData.position?.y || 1),
-      z: platform.position.z + (turretData.position?.z || 0),
-    };
-
     return new Turret({
-      position,
+      position: this.getTurretPosition(platformData),
       physicsWorld,
-      color: this.parseColor(turretData.color || '0xff0000'),
+      color: this.parseColor(platformData.turret.color || '0xff0000'),
     });
   }
 
+  /**
+   * Get the absolute starting position of a platform's turret
+   * (platform position + the turret's position relative to it).
+   * @param {Object} platformData - Platform configuration from JSON, with a turret
+   * @returns {Object} Turret position {x, y, z}
+   */
+  static getTurretPosition(platformData) {
+    const offset = platformData.turret.position;
+    return {
+      x: platformData.position.x + (offset?.x || 0),
+      y: platformData.position.y + (offset?.y || 1),
+      z: platformData.position.z + (offset?.z || 0),
+    };
+  }
+
   /**
    * Get background color from level data.
    * @param {Object} levelData - The level data object
@@ -178,13 +314,85 @@ export class LevelDataLoader {
     return { x: 0, y: 1, z: 0 }; // Default spawn
   }
 
+  /**
+   * Get the explicit goal from level data.
+   * @param {Object} levelData - The level data object
+   * @param {Array<Platform>} platforms - Platforms created from the same level data
+   * @param {Map<string, Platform>} platformsById - Id lookup from createPlatformsFromData()
+   * @returns {Object|null} {platform} or {position, size}, or null to use the furthest platform
+   */
+  static getGoal(levelData, platforms, platformsById) {
+    if (!levelData.goal) {
+      return null;
+    }
+    return this.resolveTrigger(levelData.goal, platforms, platformsById, '$.goal');
+  }
+
+  /**
+   * Get checkpoint definitions from level data, in the order the player reaches them.
+   * @param {Object} levelData - The level data object
+   * @param {Array<Platform>} platforms - Platforms created from the same level data
+   * @param {Map<string, Platform>} platformsById - Id lookup from createPlatformsFromData()
+   * @returns {Array<Object>} Definitions ({platform} or {position, size}, plus optional spawn)
+   */
+  static getCheckpoints(levelData, platforms, platformsById) {
+    if (!Array.isArray(levelData.checkpoints)) {
+      return [];
+    }
+    return levelData.checkpoints.map((checkpoint, index) => ({
+      ...this.resolveTrigger(checkpoint, platforms, platformsById, `$.checkpoints[${index}]`),
+      spawn: checkpoint.spawn || null
+    }));
+  }
+
+  /**
+   * Turn a goal/checkpoint entry into either a platform or a volume.
+   * @param {Object} triggerData - Entry with either platform or position (+ optional size)
+   * @param {Array<Platform>} platforms - Platforms created from the same level data
+   * @param {Map<string, Platform>} platformsById - Id lookup from createPlatformsFromData()
+   * @param {string} path - JSON path of the entry, for error messages
+   * @returns {Object} {platform} or {position, size}
+   */
+  static resolveTrigger(triggerData, platforms, platformsById, path) {
+    if (triggerData.platform !== undefined) {
+      return {
+        platform: this.resolvePlatformRef(triggerData.platform, platforms, platformsById, `${path}.platform`)
+      };
+    }
+    return {
+      position: { ...triggerData.position },
+      size: { ...(triggerData.size || DEFAULT_TRIGGER_SIZE) }
+    };
+  }
+
   /**
    * Get BPM (beats per minute) from level data.
+   * The music's tempo wins over the level's, so platforms move in time with the track.
    * @param {Object} levelData - The level data object
    * @returns {number} BPM value
    */
   static getBPM(levelData) {
-    return levelData.bpm || 120; // Default 120 BPM
+    return levelData.music?.bpm || levelData.bpm || 120; // Default 120 BPM
+  }
+
+  /**
+   * Get the path of the level's music track.
+   * @param {Object} levelData - The level data object
+   * @returns {string} Path to the audio file
+   */
+  static getMusicTrack(levelData) {
+    return levelData.music?.track || DEFAULT_MUSIC_TRACK;
+  }
+
+  /**
+   * Get how far into the music (in seconds) beat 0 is - moving platforms start there.
+   * Defaults to the first downbeat of the default track, or the very start of any other track.
+   * @param {Object} levelData - The level data object
+   * @returns {number} Offset in seconds
+   */
+  static getMusicOffset(levelData) {
+    const defaultOffset = levelData.music?.track ? 0 : DEFAULT_MUSIC_OFFSET;
+    return levelData.music?.offset ?? defaultOffset;
   }
 
   /**
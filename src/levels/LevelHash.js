@@ -0,0 +1,46 @@
+/**
+ * Level content hashes, so a leaderboard server can tell whether a time was set
+ * on the same version of a level as its own copy. Used by the game and by
+ * scripts/leaderboard-server.js.
+ */
+
+/**
+ * JSON with object keys sorted, so the hash doesn't depend on key order or formatting
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash level data (cyrb53 - quick, and the same in the browser and Node).
+ * Not cryptographic: it catches edited levels, not forged ones.
+ * @param {Object} levelData - Parsed level JSON
+ * @returns {string} 14 hex digits
+ */
+export function hashLevelData(levelData) {
+  const text = canonicalJson(levelData);
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const char = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ char, 2654435761);
+    h2 = Math.imul(h2 ^ char, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+  const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+  return hash.toString(16).padStart(14, '0');
+}
@@ -1,35 +1,90 @@
-import { Level1 } from './Level1.js';
-import { Level2 } from './Level2.js';
+import { DataDrivenLevel } from './DataDrivenLevel.js';
+import { LevelValidationError, validateManifest } from './LevelValidator.js';
 
 /**
  * Central registry for all game levels.
- * Maps level numbers to their corresponding level classes.
+ * Levels are listed in public/levels/manifest.json and built as DataDrivenLevel instances.
  *
  * To add a new level:
- * 1. Create a new level class extending BaseLevel
- * 2. Import it at the top of this file
- * 3. Add it to the LEVELS object below
+ * 1. Create public/levels/level{N}.json
+ * 2. Add an entry for it to public/levels/manifest.json
  */
 export const LevelRegistry = {
   /**
-   * Map of level number to level class constructor
+   * Path to the level manifest (served from the public directory)
    */
-  LEVELS: {
-    1: Level1,
-    2: Level2,
-    // Add more levels here as you implement them:
-    // 3: Level3,
-    // 4: Level4,
-    // etc.
+  MANIFEST_PATH: 'levels/manifest.json',
+
+  /**
+   * Level entries sorted by order. Each entry is the manifest entry plus
+   * `number`, its 1-based position (used for save data and the level select grid)
+   */
+  LEVELS: [],
+
+  /**
+   * Pending/finished manifest load, so it's only fetched once
+   */
+  loadPromise: null,
+
+  /**
+   * Load the level manifest. Safe to call repeatedly.
+   * @returns {Promise<Array<Object>>} The level entries
+   * @throws {LevelValidationError} If the manifest is invalid
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.fetchManifest().catch(error => {
+        // Allow retrying after a failed load
+        this.loadPromise = null;
+        throw error;
+      });
+    }
+    return this.loadPromise;
+  },
+
+  async fetchManifest() {
+    const response = await fetch(this.MANIFEST_PATH);
+    if (!response.ok) {
+      throw new Error(`Failed to load level manifest: ${response.statusText}`);
+    }
+
+    let manifest;
+    try {
+      manifest = await response.json();
+    } catch (error) {
+      throw new LevelValidationError(this.MANIFEST_PATH, [{ path: '$', message: `invalid JSON: ${error.message}` }]);
+    }
+
+    const errors = validateManifest(manifest);
+    if (errors.length > 0) {
+      throw new LevelValidationError(this.MANIFEST_PATH, errors);
+    }
+
+    // Sort by order (stable, so entries without an order keep their position)
+    this.LEVELS = manifest.levels
+      .map((level, index) => ({ ...level, order: level.order ?? index + 1 }))
+      .sort((a, b) => a.order - b.order)
+      .map((level, index) => ({ ...level, number: index + 1 }));
+
+    return this.LEVELS;
   },
 
   /**
-   * Get a level class by number
+   * Get a level entry by number
    * @param {number} levelNumber - The level number to get
-   * @returns {Class|null} The level class constructor, or null if not found
+   * @returns {Object|null} The level entry, or null if not found
    */
   getLevel(levelNumber) {
-    return this.LEVELS[levelNumber] || null;
+    return this.LEVELS[levelNumber - 1] || null;
+  },
+
+  /**
+   * Get a level entry by its manifest id
+   * @param {string} id - The level id
+   * @returns {Object|null} The level entry, or null if not found
+   */
+  getLevelById(id) {
+    return this.LEVELS.find(level => level.id === id) || null;
   },
 
   /**
@@ -38,7 +93,7 @@ export const LevelRegistry = {
    * @returns {boolean} True if the level exists
    */
   hasLevel(levelNumber) {
-    return levelNumber in this.LEVELS;
+    return this.getLevel(levelNumber) !== null;
   },
 
   /**
@@ -46,7 +101,34 @@ export const LevelRegistry = {
    * @returns {number[]} Array of level numbers
    */
   getImplementedLevels() {
-    return Object.keys(this.LEVELS).map(Number).sort((a, b) => a - b);
+    return this.LEVELS.map(level => level.number);
+  },
+
+  /**
+   * Check if the player has met a level's unlock requirements
+   * @param {number} levelNumber - The level number to check
+   * @param {Object} saveData - The game's save data
+   * @returns {boolean} True if the level can be played
+   */
+  isUnlocked(levelNumber, saveData) {
+    const level = this.getLevel(levelNumber);
+    if (!level) {
+      return false;
+    }
+
+    const completed = saveData.completedLevels || [];
+    const required = level.unlock?.completed || [];
+    const starsRequired = level.unlock?.stars || 0;
+    return required.every(id => completed.includes(id)) && this.getTotalStars(saveData) >= starsRequired;
+  },
+
+  /**
+   * Total stars earned on manifest levels (custom levels' stars don't unlock anything)
+   * @param {Object} saveData - The game's save data
+   * @returns {number}
+   */
+  getTotalStars(saveData) {
+    return this.LEVELS.reduce((total, level) => total + (saveData.stars?.[level.id] || 0), 0);
   },
 
   /**
@@ -56,10 +138,10 @@ export const LevelRegistry = {
    * @returns {BaseLevel|null} The level instance, or null if not found
    */
   createLevel(levelNumber, game) {
-    const LevelClass = this.getLevel(levelNumber);
-    if (!LevelClass) {
+    const level = this.getLevel(levelNumber);
+    if (!level) {
       return null;
     }
-    return new LevelClass(game);
+    return new DataDrivenLevel(game, level);
   }
 };
@@ -0,0 +1,324 @@
+import { Easings } from '../utils/BezierEasing.js';
+
+/**
+ * Current version of the level file format.
+ * Bump this whenever the schema changes in a way older builds can't read.
+ */
+export const LEVEL_SCHEMA_VERSION = 1;
+
+/**
+ * JSON Schema (draft-07 subset) describing a level file.
+ * See public/levels/README.md for a prose description of every field.
+ * Validated by validateLevelData() in LevelValidator.js.
+ */
+export const LEVEL_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'grav-lift/level.schema.json',
+  title: 'Grav Lift level',
+  type: 'object',
+  required: ['platforms'],
+  additionalProperties: false,
+  properties: {
+    schemaVersion: { type: 'integer', minimum: 1 },
+    name: { type: 'string' },
+    bpm: { type: 'number', exclusiveMinimum: 0 },
+    music: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        track: { type: 'string', pattern: '\\S' },
+        bpm: { type: 'number', exclusiveMinimum: 0 },
+        offset: { type: 'number', minimum: 0 }
+      }
+    },
+    colorPalette: {
+      type: 'array',
+      items: { $ref: '#/definitions/color' }
+    },
+    background: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        color: { $ref: '#/definitions/color' },
+        fog: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['color'],
+          properties: {
+            color: { $ref: '#/definitions/color' },
+            near: { type: 'number', minimum: 0 },
+            far: { type: 'number', exclusiveMinimum: 0 }
+          }
+        }
+      }
+    },
+    playerSpawn: { $ref: '#/definitions/vector3' },
+    platforms: {
+      type: 'array',
+      items: { $ref: '#/definitions/platform' }
+    },
+    goal: { $ref: '#/definitions/goal' },
+    checkpoints: {
+      type: 'array',
+      items: { $ref: '#/definitions/checkpoint' }
+    },
+    stars: {
+      type: 'array',
+      minItems: 2,
+      maxItems: 2,
+      items: { $ref: '#/definitions/starRequirements' }
+    }
+  },
+
+  definitions: {
+    color: {
+      type: ['string', 'integer'],
+      pattern: '^0x[0-9a-fA-F]{6}$',
+      minimum: 0,
+      maximum: 0xffffff
+    },
+
+    vector3: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['x', 'y', 'z'],
+      properties: {
+        x: { type: 'number' },
+        y: { type: 'number' },
+        z: { type: 'number' }
+      }
+    },
+
+    partialVector3: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        x: { type: 'number' },
+        y: { type: 'number' },
+        z: { type: 'number' }
+      }
+    },
+
+    size: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['width', 'height', 'depth'],
+      properties: {
+        width: { type: 'number', exclusiveMinimum: 0 },
+        height: { type: 'number', exclusiveMinimum: 0 },
+        depth: { type: 'number', exclusiveMinimum: 0 }
+      }
+    },
+
+    platform: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['type', 'position', 'size'],
+      properties: {
+        id: { $ref: '#/definitions/platformId' },
+        type: { enum: ['static', 'moving'] },
+        position: { $ref: '#/definitions/vector3' },
+        size: { $ref: '#/definitions/size' },
+        color: { $ref: '#/definitions/color' },
+        states: { $ref: '#/definitions/states' },
+        movement: { type: 'object', description: 'Deprecated, use states instead' },
+        turret: { $ref: '#/definitions/turret' },
+        telegraph: { $ref: '#/definitions/telegraph' }
+      }
+    },
+
+    telegraph: {
+      type: 'object',
+      additionalProperties: false,
+      description: 'Moving platforms only: flash on each beat before a transition starts',
+      properties: {
+        beats: { type: 'number', exclusiveMinimum: 0 },
+        color: { $ref: '#/definitions/color' }
+      }
+    },
+
+    platformId: {
+      type: 'string',
+      pattern: '^[A-Za-z][A-Za-z0-9_-]*$'
+    },
+
+    platformRef: {
+      anyOf: [
+        { $ref: '#/definitions/platformId' },
+        { type: 'integer', minimum: 0, description: 'Index into the platforms array' }
+      ]
+    },
+
+    goal: {
+      anyOf: [
+        {
+          type: 'object',
+          additionalProperties: false,
+          required: ['platform'],
+          properties: {
+            platform: { $ref: '#/definitions/platformRef' }
+          }
+        },
+        {
+          type: 'object',
+          additionalProperties: false,
+          required: ['position'],
+          properties: {
+            position: { $ref: '#/definitions/vector3' },
+            size: { $ref: '#/definitions/size' }
+          }
+        }
+      ]
+    },
+
+    checkpoint: {
+      anyOf: [
+        {
+          type: 'object',
+          additionalProperties: false,
+          required: ['platform'],
+          properties: {
+            platform: { $ref: '#/definitions/platformRef' },
+            spawn: { $ref: '#/definitions/vector3' }
+          }
+        },
+        {
+          type: 'object',
+          additionalProperties: false,
+          required: ['position'],
+          properties: {
+            position: { $ref: '#/definitions/vector3' },
+            size: { $ref: '#/definitions/size' },
+            spawn: { $ref: '#/definitions/vector3' }
+          }
+        }
+      ]
+    },
+
+    starRequirements: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        time: { type: 'number', exclusiveMinimum: 0 },
+        deaths: { type: 'integer', minimum: 0 },
+        shots: { type: 'integer', minimum: 0 },
+        turrets: { type: 'integer', minimum: 1 }
+      }
+    },
+
+    turret: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        position: { $ref: '#/definitions/partialVector3' },
+        color: { $ref: '#/definitions/color' }
+      }
+    },
+
+    states: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        startState: { $ref: '#/definitions/state' },
+        transitions: {
+          type: 'array',
+          items: { $ref: '#/definitions/transition' }
+        }
+      }
+    },
+
+    state: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        translate: { $ref: '#/definitions/partialVector3' },
+        scale: { $ref: '#/definitions/partialVector3' },
+        rotate: { $ref: '#/definitions/partialVector3' },
+        colorIndex: { type: ['integer', 'null'], minimum: 0 }
+      }
+    },
+
+    transition: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        beats: { type: 'number', exclusiveMinimum: 0 },
+        easing: { $ref: '#/definitions/easing' },
+        transforms: { $ref: '#/definitions/state' }
+      }
+    },
+
+    easing: {
+      anyOf: [
+        { $ref: '#/definitions/easingCurve' },
+        {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            translate: { $ref: '#/definitions/easingCurve' },
+            scale: { $ref: '#/definitions/easingCurve' },
+            rotate: { $ref: '#/definitions/easingCurve' }
+          }
+        }
+      ]
+    },
+
+    easingCurve: {
+      anyOf: [
+        { type: 'string', enum: Object.keys(Easings) },
+        {
+          type: 'array',
+          minItems: 4,
+          maxItems: 4,
+          items: [
+            { type: 'number', minimum: 0, maximum: 1 },
+            { type: 'number' },
+            { type: 'number', minimum: 0, maximum: 1 },
+            { type: 'number' }
+          ]
+        }
+      ]
+    }
+  }
+};
+
+/**
+ * JSON Schema for public/levels/manifest.json, the list of levels shown on the level select screen.
+ * Validated by validateManifest() in LevelValidator.js.
+ */
+export const MANIFEST_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'grav-lift/manifest.schema.json',
+  title: 'Grav Lift level manifest',
+  type: 'object',
+  required: ['levels'],
+  additionalProperties: false,
+  properties: {
+    levels: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['id', 'file', 'name'],
+        properties: {
+          id: { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9_-]*$' },
+          file: { type: 'string', pattern: '^[^/\\\\]+\\.json$' },
+          name: { type: 'string' },
+          order: { type: 'number' },
+          unlock: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              completed: {
+                type: 'array',
+                items: { type: 'string' }
+              },
+              stars: { type: 'integer', minimum: 1 }
+            }
+          }
+        }
+      }
+    }
+  }
+};
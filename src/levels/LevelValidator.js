@@ -0,0 +1,314 @@
+import { LEVEL_SCHEMA, LEVEL_SCHEMA_VERSION, MANIFEST_SCHEMA } from './LevelSchema.js';
+import { MAX_STARS } from './StarRating.js';
+
+/**
+ * Thrown when a level file can't be parsed or doesn't match the level schema.
+ * Carries every problem found so they can all be shown at once.
+ */
+export class LevelValidationError extends Error {
+  /**
+   * @param {string} source - Where the level came from (file path or level name)
+   * @param {Array<{path: string, message: string}>} errors - Every problem found
+   */
+  constructor(source, errors) {
+    super(`Level ${source} is invalid (${errors.length} error${errors.length === 1 ? '' : 's'})`);
+    this.name = 'LevelValidationError';
+    this.source = source;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Validate parsed level data against the level schema.
+ * @param {Object} levelData - Parsed level JSON
+ * @returns {Array<{path: string, message: string}>} Every error found (empty if valid)
+ */
+export function validateLevelData(levelData) {
+  const errors = [];
+
+  const version = levelData?.schemaVersion;
+  if (typeof version === 'number' && version > LEVEL_SCHEMA_VERSION) {
+    errors.push({
+      path: '$.schemaVersion',
+      message: `level uses schema version ${version}, but this build only supports up to ${LEVEL_SCHEMA_VERSION}`
+    });
+    return errors;
+  }
+
+  validateAgainstSchema(levelData, LEVEL_SCHEMA, '$', errors);
+  if (errors.length === 0) {
+    validatePlatformReferences(levelData, errors);
+    validateStarRequirements(levelData, errors);
+  }
+  return errors;
+}
+
+/**
+ * Validate the parsed level manifest.
+ * @param {Object} manifest - Parsed manifest.json
+ * @returns {Array<{path: string, message: string}>} Every error found (empty if valid)
+ */
+export function validateManifest(manifest) {
+  const errors = [];
+  validateAgainstSchema(manifest, MANIFEST_SCHEMA, '$', errors);
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const idPaths = new Map();
+  manifest.levels.forEach((level, index) => {
+    if (idPaths.has(level.id)) {
+      errors.push({ path: `$.levels[${index}].id`, message: `duplicate level id "${level.id}" (already used by ${idPaths.get(level.id)})` });
+    } else {
+      idPaths.set(level.id, `$.levels[${index}]`);
+    }
+  });
+
+  // A level can't need stars from itself
+  const starsFromOtherLevels = (manifest.levels.length - 1) * MAX_STARS;
+
+  manifest.levels.forEach((level, index) => {
+    (level.unlock?.completed || []).forEach((id, i) => {
+      if (!idPaths.has(id)) {
+        errors.push({ path: `$.levels[${index}].unlock.completed[${i}]`, message: `no level has id "${id}"` });
+      }
+    });
+
+    const stars = level.unlock?.stars;
+    if (stars > starsFromOtherLevels) {
+      errors.push({ path: `$.levels[${index}].unlock.stars`, message: `needs ${stars} stars, but the other levels only give ${starsFromOtherLevels}` });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Format validation errors as one line per error, for logs and error screens.
+ * @param {Array<{path: string, message: string}>} errors
+ * @returns {string}
+ */
+export function formatValidationErrors(errors) {
+  return errors.map(error => `${error.path}: ${error.message}`).join('\n');
+}
+
+/**
+ * Check that platform ids are unique and that goal and checkpoint platform
+ * references (ids or indices) point at real platforms.
+ * Only run once the data matches the schema, so shapes can be trusted.
+ */
+function validatePlatformReferences(levelData, errors) {
+  const platformCount = levelData.platforms.length;
+  const idPaths = new Map();
+
+  levelData.platforms.forEach((platform, index) => {
+    if (platform.id === undefined) return;
+
+    const path = `$.platforms[${index}].id`;
+    if (idPaths.has(platform.id)) {
+      errors.push({ path, message: `duplicate platform id "${platform.id}" (already used by ${idPaths.get(platform.id)})` });
+    } else {
+      idPaths.set(platform.id, `$.platforms[${index}]`);
+    }
+  });
+
+  const checkRef = (ref, path) => {
+    if (typeof ref === 'string' && !idPaths.has(ref)) {
+      errors.push({ path, message: `no platform has id "${ref}"` });
+    } else if (typeof ref === 'number' && ref >= platformCount) {
+      errors.push({ path, message: `platform ${ref} does not exist (level has ${platformCount} platforms)` });
+    }
+  };
+
+  checkRef(levelData.goal?.platform, '$.goal.platform');
+  (levelData.checkpoints || []).forEach((checkpoint, index) => {
+    checkRef(checkpoint.platform, `$.checkpoints[${index}].platform`);
+  });
+}
+
+/**
+ * Check that star requirements can be met - no more turrets to knock off than the level has.
+ * Only run once the data matches the schema.
+ */
+function validateStarRequirements(levelData, errors) {
+  if (!levelData.stars) return;
+
+  const turretCount = levelData.platforms.filter(platform => platform.turret).length;
+  levelData.stars.forEach((requirements, index) => {
+    if (requirements.turrets > turretCount) {
+      errors.push({ path: `$.stars[${index}].turrets`, message: `level only has ${turretCount} turret${turretCount === 1 ? '' : 's'}` });
+    }
+  });
+}
+
+/**
+ * Validate a value against a (sub)schema, appending errors.
+ * Supports the subset of JSON Schema used by LEVEL_SCHEMA.
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema to check against
+ * @param {string} path - JSON path of value, for error messages
+ * @param {Array} errors - Error list to append to
+ */
+function validateAgainstSchema(value, schema, path, errors) {
+  if (schema.$ref) {
+    schema = resolveRef(schema.$ref);
+  }
+
+  if (schema.anyOf) {
+    validateAnyOf(value, schema.anyOf, path, errors);
+    return;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path, message: `expected ${describeType(schema.type)}, got ${typeOf(value)}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const options = schema.enum.map(option => JSON.stringify(option)).join(', ');
+    errors.push({ path, message: `${JSON.stringify(value)} is not one of ${options}` });
+    return;
+  }
+
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path, message: `${JSON.stringify(value)} does not match ${schema.pattern}` });
+  }
+
+  if (typeof value === 'number') {
+    validateNumber(value, schema, path, errors);
+  }
+
+  if (Array.isArray(value)) {
+    validateArray(value, schema, path, errors);
+  } else if (value !== null && typeof value === 'object') {
+    validateObject(value, schema, path, errors);
+  }
+}
+
+function validateNumber(value, schema, path, errors) {
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, message: `${value} is less than the minimum of ${schema.minimum}` });
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({ path, message: `${value} is greater than the maximum of ${schema.maximum}` });
+  }
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    errors.push({ path, message: `${value} must be greater than ${schema.exclusiveMinimum}` });
+  }
+  if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+    errors.push({ path, message: `${value} must be less than ${schema.exclusiveMaximum}` });
+  }
+}
+
+function validateArray(value, schema, path, errors) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push({ path, message: `expected at least ${schema.minItems} items, got ${value.length}` });
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push({ path, message: `expected at most ${schema.maxItems} items, got ${value.length}` });
+  }
+
+  if (Array.isArray(schema.items)) {
+    // Tuple form - one schema per position
+    schema.items.forEach((itemSchema, index) => {
+      if (index < value.length) {
+        validateAgainstSchema(value[index], itemSchema, `${path}[${index}]`, errors);
+      }
+    });
+  } else if (schema.items) {
+    value.forEach((item, index) => {
+      validateAgainstSchema(item, schema.items, `${path}[${index}]`, errors);
+    });
+  }
+}
+
+function validateObject(value, schema, path, errors) {
+  const properties = schema.properties || {};
+
+  (schema.required || []).forEach(key => {
+    if (!(key in value)) {
+      errors.push({ path, message: `missing required property "${key}"` });
+    }
+  });
+
+  Object.keys(value).forEach(key => {
+    const propertyPath = `${path}.${key}`;
+    if (properties[key]) {
+      validateAgainstSchema(value[key], properties[key], propertyPath, errors);
+    } else if (schema.additionalProperties === false) {
+      errors.push({ path: propertyPath, message: `unknown property "${key}"` });
+    } else if (typeof schema.additionalProperties === 'object') {
+      validateAgainstSchema(value[key], schema.additionalProperties, propertyPath, errors);
+    }
+  });
+}
+
+/**
+ * A value passes anyOf if any branch accepts it. When none do, report the
+ * errors of the closest branch (one whose type matches, with fewest errors)
+ * rather than every branch, so messages stay readable.
+ */
+function validateAnyOf(value, branches, path, errors) {
+  let best = null;
+
+  for (const branch of branches) {
+    const branchErrors = [];
+    validateAgainstSchema(value, branch, path, branchErrors);
+    if (branchErrors.length === 0) {
+      return;
+    }
+
+    const score = (acceptsType(value, branch) ? 0 : 1000) + branchErrors.length;
+    if (!best || score < best.score) {
+      best = { score, errors: branchErrors };
+    }
+  }
+
+  errors.push(...best.errors);
+}
+
+/**
+ * Whether a schema's type (looking through $ref and nested anyOf) allows the value's type.
+ */
+function acceptsType(value, schema) {
+  if (schema.$ref) {
+    schema = resolveRef(schema.$ref);
+  }
+  if (schema.anyOf) {
+    return schema.anyOf.some(branch => acceptsType(value, branch));
+  }
+  return !schema.type || matchesType(value, schema.type);
+}
+
+function resolveRef(ref) {
+  const name = ref.replace('#/definitions/', '');
+  const schema = LEVEL_SCHEMA.definitions[name];
+  if (!schema) {
+    throw new Error(`Unknown schema reference: ${ref}`);
+  }
+  return schema;
+}
+
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  return types.some(t => {
+    switch (t) {
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'array': return Array.isArray(value);
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'null': return value === null;
+      default: return typeof value === t;
+    }
+  });
+}
+
+function describeType(type) {
+  return Array.isArray(type) ? type.join(' or ') : type;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
@@ -0,0 +1,65 @@
+import { formatTime } from '../utils/formatTime.js';
+
+/**
+ * Most stars a level can give: one for finishing it, plus one for each of the
+ * level's `stars` requirement sets met (see public/levels/README.md)
+ */
+export const MAX_STARS = 3;
+
+/**
+ * Whether a run meets one requirement
+ * @param {string} key - 'time', 'deaths', 'shots' or 'turrets'
+ * @param {number} limit - The requirement's value
+ * @param {Object} run - {time, deaths, shots, turrets}
+ */
+function meetsRequirement(key, limit, run) {
+  // Knocking turrets off is the only thing you need more of
+  return key === 'turrets' ? run.turrets >= limit : run[key] <= limit;
+}
+
+/**
+ * @param {string} key - 'time', 'deaths', 'shots' or 'turrets'
+ * @param {number} limit - The requirement's value
+ * @returns {string} e.g. 'finish in 1:00.00', 'no deaths', 'knock off 2 turrets'
+ */
+export function describeRequirement(key, limit) {
+  switch (key) {
+    case 'time':
+      return `finish in ${formatTime(limit)}`;
+    case 'deaths':
+      return limit === 0 ? 'no deaths' : `at most ${limit} death${limit === 1 ? '' : 's'}`;
+    case 'shots':
+      return limit === 0 ? 'no shots' : `at most ${limit} shot${limit === 1 ? '' : 's'}`;
+    case 'turrets':
+      return `knock off ${limit} turret${limit === 1 ? '' : 's'}`;
+    default:
+      return `${key} ${limit}`;
+  }
+}
+
+/**
+ * Rate a completed run. Requirement sets are met in order - the third star
+ * needs the second star's requirements to be met too.
+ * @param {Array<Object>|undefined} requirements - The level's `stars` (requirements for
+ *   the second and third stars). Levels without any give every star for finishing.
+ * @param {Object} run - {time, deaths, shots, turrets}
+ * @returns {Object} {stars, missed} - missed lists the requirements (e.g. ['no deaths'])
+ *   keeping the run from its next star, empty with every star earned
+ */
+export function rateRun(requirements, run) {
+  if (!requirements || requirements.length === 0) {
+    return { stars: MAX_STARS, missed: [] };
+  }
+
+  let stars = 1;
+  for (const requirementSet of requirements) {
+    const missed = Object.entries(requirementSet)
+      .filter(([key, limit]) => !meetsRequirement(key, limit, run))
+      .map(([key, limit]) => describeRequirement(key, limit));
+    if (missed.length > 0) {
+      return { stars, missed };
+    }
+    stars++;
+  }
+  return { stars, missed: [] };
+}
@@ -4,3 +4,11 @@ const canvas = document.getElementById('game-canvas');
 const game = new Game(canvas);
 
 game.start();
+
+// Dev server only: rebuild the current level when its JSON file changes (see vite.config.js)
+if (import.meta.hot) {
+  import.meta.hot.on('grav-lift:level-changed', ({ path }) => {
+    const url = new URL(import.meta.env.BASE_URL + path, window.location.origin);
+    game.reloadLevelFile(url.href);
+  });
+}
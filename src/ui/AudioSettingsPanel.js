@@ -0,0 +1,71 @@
+// Slider input id for each volume setting
+const VOLUME_INPUTS = {
+  master: 'volume-master',
+  music: 'volume-music',
+  sfx: 'volume-sfx',
+  ui: 'volume-ui'
+};
+
+/**
+ * Volume sliders and mute checkbox (#audio-settings in index.html).
+ * One panel lives as long as the game; screens that offer audio settings
+ * (level select, pause menu) show it and hide it again when they're destroyed.
+ */
+export class AudioSettingsPanel {
+  /**
+   * @param {Game} game - Game whose audio settings this edits
+   */
+  constructor(game) {
+    this.game = game;
+    this.root = document.getElementById('audio-settings');
+    this.mutedInput = document.getElementById('audio-muted');
+
+    Object.entries(VOLUME_INPUTS).forEach(([key, id]) => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.addEventListener('input', () => {
+          this.game.updateAudioSettings({ [key]: Number(input.value) });
+        });
+        // Give keyboard focus back to the game once the slider is let go
+        input.addEventListener('change', () => input.blur());
+      }
+    });
+
+    if (this.mutedInput) {
+      this.mutedInput.addEventListener('change', () => {
+        this.game.updateAudioSettings({ muted: this.mutedInput.checked });
+      });
+    }
+  }
+
+  show() {
+    if (this.root) {
+      this.sync();
+      this.root.style.display = 'block';
+    }
+  }
+
+  hide() {
+    if (this.root) {
+      this.root.style.display = 'none';
+    }
+  }
+
+  /**
+   * Update the inputs to match the saved settings (e.g. after M toggles mute)
+   */
+  sync() {
+    const settings = this.game.getAudioSettings();
+
+    Object.entries(VOLUME_INPUTS).forEach(([key, id]) => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.value = settings[key];
+      }
+    });
+
+    if (this.mutedInput) {
+      this.mutedInput.checked = settings.muted;
+    }
+  }
+}
@@ -0,0 +1,44 @@
+// How long (in beats) the pulse takes to fade after each beat
+const PULSE_BEATS = 0.35;
+const BEATS_PER_BAR = 4;
+
+/**
+ * HUD dot (#beat-pulse in index.html) that pulses on every beat,
+ * a little bigger on the first beat of each bar.
+ */
+export class BeatPulse {
+  constructor() {
+    this.element = document.getElementById('beat-pulse');
+  }
+
+  show() {
+    if (this.element) {
+      this.element.style.display = 'block';
+    }
+  }
+
+  hide() {
+    if (this.element) {
+      this.element.style.display = 'none';
+    }
+  }
+
+  /**
+   * Draw the pulse for a beat. Computed from the beat alone, so it never drifts.
+   * @param {number} beat - Current beat (negative before the music's offset)
+   */
+  update(beat) {
+    if (!this.element) return;
+
+    let strength = 0;
+    if (beat >= 0) {
+      const sinceBeat = beat - Math.floor(beat);
+      strength = Math.max(0, 1 - sinceBeat / PULSE_BEATS);
+    }
+
+    const isDownbeat = Math.floor(beat) % BEATS_PER_BAR === 0;
+    const scale = 1 + strength * (isDownbeat ? 0.8 : 0.4);
+    this.element.style.transform = `translateX(-50%) scale(${scale.toFixed(3)})`;
+    this.element.style.opacity = (0.25 + strength * 0.6).toFixed(3);
+  }
+}
@@ -0,0 +1,180 @@
+import { Action, describeInput, keyInput } from '../input/InputActions.js';
+
+const ACTION_LABELS = {
+  [Action.MOVE_FORWARD]: 'Move forward',
+  [Action.MOVE_BACK]: 'Move back',
+  [Action.MOVE_LEFT]: 'Move left',
+  [Action.MOVE_RIGHT]: 'Move right',
+  [Action.JUMP]: 'Jump',
+  [Action.TOGGLE_BOOTS]: 'Gravity boots',
+  [Action.SHOOT]: 'Shoot',
+  [Action.PAUSE]: 'Pause'
+};
+
+// Keys that already do something on every screen, so they can't be bound:
+// Esc (cancels rebinding, and always pauses), M (mute), B (metronome), G (ghost), F (fullscreen)
+const RESERVED_KEYS = ['key:escape', 'key:m', 'key:b', 'key:g', 'key:f'];
+
+const HINT = 'Click a binding, then press the key, mouse button or gamepad button to use. Esc cancels.';
+
+/**
+ * Controls screen (#controls-settings in index.html) for rebinding actions.
+ * Opened with the Controls button in the settings box, so it's available
+ * wherever that is (level select, pause menu).
+ */
+export class ControlsPanel {
+  /**
+   * @param {Game} game - Game whose bindings this edits
+   */
+  constructor(game) {
+    this.game = game;
+    this.root = document.getElementById('controls-settings');
+    this.list = document.getElementById('controls-bindings');
+    this.hint = document.getElementById('controls-hint');
+    this.listening = null; // {action, device} while waiting for the input to bind
+
+    document.getElementById('controls-open')?.addEventListener('click', () => this.open());
+    document.getElementById('controls-close')?.addEventListener('click', () => this.close());
+    document.getElementById('controls-reset')?.addEventListener('click', () => {
+      this.game.resetControlBindings();
+      this.stopListening();
+    });
+
+    // Keep clicks from reaching the 3D menu behind the panel
+    this.root?.addEventListener('click', (event) => event.stopPropagation());
+
+    // While listening, catch the next key before anything else (pause, mute, the level) sees it
+    this.onCaptureKeyDown = (event) => {
+      event.preventDefault();
+      event.stopImmediatePropagation();
+
+      if (event.key === 'Escape') {
+        this.stopListening();
+        return;
+      }
+
+      const input = keyInput(event);
+      if (RESERVED_KEYS.includes(input)) {
+        this.hint.textContent = `${describeInput(input)} is already used for something else - pick another key.`;
+        return;
+      }
+      this.bind(input);
+    };
+
+    this.onCaptureMouseDown = (event) => {
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      this.bind(`mouse:${event.button}`);
+    };
+
+    // No context menu when binding the right mouse button
+    this.onContextMenu = (event) => event.preventDefault();
+  }
+
+  open() {
+    if (!this.root) return;
+    this.render();
+    this.root.style.display = 'block';
+  }
+
+  close() {
+    this.stopListening();
+    if (this.root) {
+      this.root.style.display = 'none';
+    }
+  }
+
+  isListening() {
+    return this.listening !== null;
+  }
+
+  /**
+   * Rebuild the table of bindings
+   */
+  render() {
+    if (!this.list) return;
+
+    const bindings = this.game.getControlBindings();
+    this.list.innerHTML = '';
+
+    Object.entries(ACTION_LABELS).forEach(([action, label]) => {
+      const row = document.createElement('tr');
+      const name = document.createElement('td');
+      name.textContent = label;
+      row.appendChild(name);
+
+      ['keyboard', 'gamepad'].forEach((device) => {
+        const cell = document.createElement('td');
+        const button = document.createElement('button');
+        const isListening = this.listening?.action === action && this.listening.device === device;
+
+        button.textContent = isListening ? 'Press…' : describeInput(bindings[action][device]);
+        button.classList.toggle('listening', isListening);
+        button.addEventListener('click', () => this.listen(action, device));
+
+        cell.appendChild(button);
+        row.appendChild(cell);
+      });
+
+      this.list.appendChild(row);
+    });
+
+    if (!this.listening) {
+      this.hint.textContent = HINT;
+    }
+  }
+
+  /**
+   * Wait for the input to bind to an action
+   * @param {string} action - One of Action
+   * @param {string} device - 'keyboard' (keys and mouse buttons) or 'gamepad'
+   */
+  listen(action, device) {
+    this.stopListening();
+    this.listening = { action, device };
+
+    if (device === 'keyboard') {
+      // Added after the click that started listening, so that click isn't bound
+      window.addEventListener('keydown', this.onCaptureKeyDown, true);
+      window.addEventListener('mousedown', this.onCaptureMouseDown, true);
+      window.addEventListener('contextmenu', this.onContextMenu, true);
+      this.hint.textContent = 'Press a key or mouse button. Esc cancels.';
+    } else {
+      window.addEventListener('keydown', this.onCaptureKeyDown, true);
+      this.hint.textContent = 'Press a gamepad button. Esc cancels.';
+    }
+
+    this.render();
+  }
+
+  stopListening() {
+    window.removeEventListener('keydown', this.onCaptureKeyDown, true);
+    window.removeEventListener('mousedown', this.onCaptureMouseDown, true);
+    window.removeEventListener('contextmenu', this.onContextMenu, true);
+    this.listening = null;
+    this.render();
+  }
+
+  /**
+   * Bind the input being waited for
+   * @param {string} input - e.g. 'key:z', 'mouse:2', 'pad:3'
+   */
+  bind(input) {
+    const { action, device } = this.listening;
+    this.game.updateControlBinding(action, device, input);
+    this.stopListening();
+  }
+
+  /**
+   * Pick up gamepad buttons while listening for one. Called every frame after the gamepad is polled.
+   */
+  update() {
+    if (this.listening?.device !== 'gamepad') return;
+
+    const gamepad = this.game.gamepad;
+    const button = gamepad.buttons.findIndex((_, index) => gamepad.wasPressed(index));
+    if (button >= 0) {
+      this.bind(`pad:${button}`);
+    }
+  }
+}
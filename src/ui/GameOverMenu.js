@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { GameState } from '../core/Game.js';
+import { GamepadMenuNavigation } from './GamepadMenuNavigation.js';
 
 export class GameOverMenu {
   constructor(game) {
@@ -10,6 +11,7 @@ export class GameOverMenu {
     this.hoveredButton = null;
 
     this.init();
+    this.gamepadNavigation = new GamepadMenuNavigation(this.game.gamepad, this.buttons);
     this.setupEventListeners();
   }
 
@@ -61,6 +63,7 @@ export class GameOverMenu {
     // Create buttons
     this.createButton('Try Again', 0, { action: 'retry' });
     this.createButton('Back to Level Select', -1.5, { action: 'levelSelect' });
+    this.createButton('Save Replay', -3, { action: 'saveReplay' });
 
     this.game.scene.add(this.menuGroup);
   }
@@ -175,16 +178,27 @@ export class GameOverMenu {
     this.onMouseMove = (event) => {
       this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
       this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+      this.gamepadNavigation.clearFocus();
     };
 
-    this.onClick = () => {
-      if (this.hoveredButton) {
-        const action = this.hoveredButton.userData.action;
+    this.onClick = (event) => {
+      // Taps don't hover first, so pick the button under the tap itself
+      // (D-pad presses have no event and use the focused button)
+      let button = this.hoveredButton;
+      if (event) {
+        this.onMouseMove(event);
+        button = this.getButtonUnderMouse();
+      }
+
+      if (button) {
+        const action = button.userData.action;
 
         if (action === 'retry') {
           this.game.changeState(GameState.PLAYING);
         } else if (action === 'levelSelect') {
           this.game.changeState(GameState.LEVEL_SELECT);
+        } else if (action === 'saveReplay') {
+          this.game.saveReplay();
         }
       }
     };
@@ -193,6 +207,15 @@ export class GameOverMenu {
     window.addEventListener('click', this.onClick);
   }
 
+  /**
+   * @returns {THREE.Group|undefined} The button under the mouse, if any
+   */
+  getButtonUnderMouse() {
+    this.raycaster.setFromCamera(this.mouse, this.game.camera);
+    const intersects = this.raycaster.intersectObjects(this.buttons, true);
+    return intersects.map((hit) => hit.object.parent).find((parent) => parent.userData.action);
+  }
+
   update(delta) {
     // Keep menu in front of camera
     const cameraDirection = new THREE.Vector3();
@@ -210,6 +233,9 @@ export class GameOverMenu {
       mesh.rotation.z = Math.sin(Date.now() * 0.001 + index) * 0.02;
     });
 
+    // Buttons picked with the D-pad take over from the mouse until it moves again
+    const focusedButton = this.gamepadNavigation.update();
+
     // Raycast for hover detection
     this.raycaster.setFromCamera(this.mouse, this.game.camera);
     const intersects = this.raycaster.intersectObjects(this.buttons, true);
@@ -224,7 +250,12 @@ export class GameOverMenu {
     }
 
     // Set new hover
-    if (intersects.length > 0) {
+    if (focusedButton) {
+      this.hoveredButton = focusedButton;
+      const mesh = this.hoveredButton.children[0];
+      mesh.scale.set(1.05, 1.05, 1.05);
+      mesh.material.emissiveIntensity = 0.6;
+    } else if (intersects.length > 0) {
       const parent = intersects[0].object.parent;
       if (parent.userData.action) {
         this.hoveredButton = parent;
@@ -234,6 +265,10 @@ export class GameOverMenu {
         document.body.style.cursor = 'pointer';
       }
     }
+
+    if (this.gamepadNavigation.wasConfirmed()) {
+      this.onClick();
+    }
   }
 
   destroy() {
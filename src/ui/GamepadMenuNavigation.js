@@ -0,0 +1,49 @@
+import { GamepadButton } from '../input/GamepadInput.js';
+
+/**
+ * D-pad focus for a column of 3D menu buttons. Up/down moves the focus
+ * (the first press focuses the top button) and A presses the focused button.
+ */
+export class GamepadMenuNavigation {
+  /**
+   * @param {GamepadInput} gamepad - Polled gamepad
+   * @param {THREE.Group[]} buttons - Menu buttons, top to bottom
+   */
+  constructor(gamepad, buttons) {
+    this.gamepad = gamepad;
+    this.buttons = buttons;
+    this.focusedIndex = -1; // -1 = nothing focused
+    this.confirmed = false;
+  }
+
+  /**
+   * Drop the focus, e.g. when the mouse takes over
+   */
+  clearFocus() {
+    this.focusedIndex = -1;
+  }
+
+  /**
+   * Apply this frame's D-pad presses. Call once per frame.
+   * @returns {THREE.Group|null} The focused button
+   */
+  update() {
+    const last = this.buttons.length - 1;
+
+    if (this.gamepad.wasPressed(GamepadButton.DPAD_DOWN)) {
+      this.focusedIndex = Math.min(last, this.focusedIndex + 1);
+    } else if (this.gamepad.wasPressed(GamepadButton.DPAD_UP)) {
+      this.focusedIndex = Math.max(0, this.focusedIndex - 1);
+    }
+
+    this.confirmed = this.focusedIndex >= 0 && this.gamepad.wasPressed(GamepadButton.A);
+    return this.buttons[this.focusedIndex] || null;
+  }
+
+  /**
+   * @returns {boolean} Whether A was pressed on the focused button this frame
+   */
+  wasConfirmed() {
+    return this.confirmed;
+  }
+}
@@ -0,0 +1,276 @@
+import { LevelRegistry } from '../levels/LevelRegistry.js';
+import { formatValidationErrors, validateLevelData } from '../levels/LevelValidator.js';
+import { validateReplay } from '../input/Replay.js';
+import { formatTime } from '../utils/formatTime.js';
+
+/**
+ * Leaderboard screen (#leaderboard-panel in index.html) listing a level's fastest
+ * runs (see Leaderboard.js), or with a leaderboard server configured, the fastest
+ * online (see LeaderboardClient.js). Opened from the level select screen and the win screen.
+ * Entries that kept their replay can be watched from here.
+ */
+export class LeaderboardPanel {
+  /**
+   * @param {Game} game - Game whose leaderboards this shows
+   */
+  constructor(game) {
+    this.game = game;
+    this.root = document.getElementById('leaderboard-panel');
+    this.levelSelect = document.getElementById('leaderboard-level');
+    this.sourceSelect = document.getElementById('leaderboard-source');
+    this.list = document.getElementById('leaderboard-entries');
+    this.hint = document.getElementById('leaderboard-hint');
+    this.fileInput = document.getElementById('leaderboard-input');
+    this.levelKey = null;
+    this.highlightRank = -1;
+    this.source = 'local'; // 'local' or 'online'
+
+    document.getElementById('leaderboard-close')?.addEventListener('click', () => this.close());
+    document.getElementById('leaderboard-export')?.addEventListener('click', () => this.exportFile());
+    document.getElementById('leaderboard-import')?.addEventListener('click', () => this.fileInput?.click());
+
+    this.fileInput?.addEventListener('change', (event) => {
+      const file = event.target.files[0];
+      // Reset so choosing the same file again still fires a change event
+      event.target.value = '';
+      if (file) {
+        this.importFile(file);
+      }
+    });
+
+    this.levelSelect?.addEventListener('change', () => {
+      this.levelKey = this.levelSelect.value;
+      this.highlightRank = -1;
+      this.render();
+    });
+
+    this.sourceSelect?.addEventListener('change', () => {
+      this.source = this.sourceSelect.value;
+      this.highlightRank = -1;
+      this.render();
+    });
+
+    // Keep clicks from reaching the 3D menu behind the panel
+    this.root?.addEventListener('click', (event) => event.stopPropagation());
+  }
+
+  /**
+   * @param {string} [levelKey] - Level to show (see BaseLevel.getLevelKey), defaults to the last one shown
+   * @param {number} [highlightRank] - Entry to highlight, e.g. the run just finished
+   */
+  open(levelKey, highlightRank = -1) {
+    if (!this.root) return;
+    this.levelKey = levelKey || this.levelKey;
+    this.highlightRank = highlightRank;
+    this.hint.textContent = '';
+
+    // Online boards only while there's a server to get them from
+    const isOnline = this.game.leaderboardClient.isOnline();
+    if (!isOnline) {
+      this.source = 'local';
+    }
+    if (this.sourceSelect) {
+      this.sourceSelect.style.display = isOnline ? '' : 'none';
+      this.sourceSelect.value = this.source;
+    }
+
+    this.renderLevels();
+    this.render();
+    this.root.style.display = 'block';
+  }
+
+  close() {
+    if (this.root) {
+      this.root.style.display = 'none';
+    }
+  }
+
+  /**
+   * Fill the level dropdown: every manifest level, then any other level with a board
+   * (custom levels, or levels from an imported file)
+   */
+  renderLevels() {
+    if (!this.levelSelect) return;
+
+    const levels = LevelRegistry.getImplementedLevels().map((number) => {
+      const level = LevelRegistry.getLevel(number);
+      return { levelKey: level.id, name: level.name };
+    });
+    this.game.leaderboard.getBoards().forEach((board) => {
+      if (!levels.some((level) => level.levelKey === board.levelKey)) {
+        levels.push(board);
+      }
+    });
+    if (this.levelKey && !levels.some((level) => level.levelKey === this.levelKey)) {
+      levels.push({ levelKey: this.levelKey, name: this.levelKey });
+    }
+
+    this.levelSelect.innerHTML = '';
+    levels.forEach(({ levelKey, name }) => {
+      const option = document.createElement('option');
+      option.value = levelKey;
+      option.textContent = name;
+      this.levelSelect.appendChild(option);
+    });
+
+    if (!this.levelKey && levels.length > 0) {
+      this.levelKey = levels[0].levelKey;
+    }
+    this.levelSelect.value = this.levelKey || '';
+  }
+
+  /**
+   * Rebuild the table of entries for the level shown
+   */
+  async render() {
+    if (!this.list) return;
+
+    if (this.source === 'local') {
+      this.renderEntries(this.levelKey ? this.game.leaderboard.getEntries(this.levelKey) : [], this.highlightRank);
+      return;
+    }
+
+    this.renderMessage('Loading…');
+    const { levelKey } = this;
+    const entries = levelKey ? await this.game.leaderboardClient.getEntries(levelKey) : [];
+
+    // Skip results for a board that's no longer shown
+    if (this.source !== 'online' || this.levelKey !== levelKey) return;
+
+    if (!this.game.leaderboardClient.isOnline()) {
+      this.hint.textContent = `Couldn't reach the leaderboard server - showing local times.`;
+      this.source = 'local';
+      this.sourceSelect.style.display = 'none';
+      this.render();
+      return;
+    }
+    this.renderEntries(entries);
+  }
+
+  /**
+   * Replace the table with a single line of text
+   * @param {string} text
+   */
+  renderMessage(text) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 5;
+    cell.className = 'leaderboard-empty';
+    cell.textContent = text;
+    row.appendChild(cell);
+    this.list.innerHTML = '';
+    this.list.appendChild(row);
+  }
+
+  /**
+   * @param {Array<Object>} entries - Local entries, or online ones (replays fetched on demand)
+   * @param {number} [highlightRank] - Entry to highlight
+   */
+  renderEntries(entries, highlightRank = -1) {
+    if (entries.length === 0) {
+      this.renderMessage('No times yet - finish the level to set one.');
+      return;
+    }
+
+    this.list.innerHTML = '';
+
+    entries.forEach((entry, index) => {
+      const row = document.createElement('tr');
+      row.classList.toggle('highlight', index === highlightRank);
+
+      const rank = document.createElement('td');
+      rank.textContent = `${index + 1}`;
+      row.appendChild(rank);
+
+      // Name, with a swatch of the player's color
+      const name = document.createElement('td');
+      const swatch = document.createElement('span');
+      swatch.className = 'leaderboard-swatch';
+      swatch.style.background = entry.color || '#fa8072';
+      name.appendChild(swatch);
+      name.appendChild(document.createTextNode(entry.name));
+      row.appendChild(name);
+
+      const time = document.createElement('td');
+      time.textContent = `${formatTime(entry.time)} ${'★'.repeat(entry.stars || 0)}`;
+      row.appendChild(time);
+
+      const date = document.createElement('td');
+      date.textContent = new Date(entry.date).toLocaleDateString();
+      row.appendChild(date);
+
+      const watch = document.createElement('td');
+      if (entry.replay || entry.hasReplay) {
+        const button = document.createElement('button');
+        button.textContent = 'Watch';
+        button.addEventListener('click', () => this.watch(entry));
+        watch.appendChild(button);
+      }
+      row.appendChild(watch);
+
+      this.list.appendChild(row);
+    });
+  }
+
+  /**
+   * @param {Object} entry - Local entry with its replay, or online entry with hasReplay
+   */
+  async watch(entry) {
+    const replay = entry.replay || await this.game.leaderboardClient.getReplay(this.levelKey, entry.id);
+    if (!replay) {
+      this.hint.textContent = `Couldn't get that replay from the leaderboard server.`;
+      return;
+    }
+
+    // Replays come from imported files and servers too, so check them like a replay file
+    try {
+      validateReplay(replay);
+      // Replays of custom levels carry the level data
+      const errors = replay.level.data ? validateLevelData(replay.level.data) : [];
+      if (errors.length > 0) {
+        console.error(formatValidationErrors(errors));
+        throw new Error(`its level has ${errors.length} problem${errors.length === 1 ? '' : 's'}`);
+      }
+    } catch (error) {
+      this.hint.textContent = `Couldn't play that replay: ${error.message}`;
+      return;
+    }
+
+    this.close();
+    try {
+      this.game.watchReplay(replay);
+    } catch (error) {
+      window.alert(`Couldn't play replay: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save every board as a .json download, for importing on another machine
+   */
+  exportFile() {
+    const blob = new Blob([JSON.stringify(this.game.leaderboard.export())], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'leaderboards.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Merge an exported leaderboard file into the boards here
+   * @param {File} file
+   */
+  async importFile(file) {
+    try {
+      const added = this.game.leaderboard.import(JSON.parse(await file.text()));
+      this.hint.textContent = `Imported ${added} time${added === 1 ? '' : 's'} from ${file.name}.`;
+    } catch (error) {
+      this.hint.textContent = `Couldn't import ${file.name}: ${error.message}`;
+      return;
+    }
+    this.highlightRank = -1;
+    this.renderLevels();
+    this.render();
+  }
+}
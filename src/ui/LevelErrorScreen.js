@@ -0,0 +1,88 @@
+import * as THREE from 'three';
+import { GameState } from '../core/Game.js';
+
+/**
+ * Shown instead of a level when its data fails to load or validate.
+ * Lists every problem with its JSON path so level files can be fixed quickly.
+ */
+export class LevelErrorScreen {
+  constructor(game, error) {
+    this.game = game;
+    this.error = error;
+
+    this.init();
+    this.setupEventListeners();
+  }
+
+  init() {
+    // Hide level select UI (the level may have failed before it could)
+    const levelSelectInfo = document.getElementById('level-select-info');
+    if (levelSelectInfo) {
+      levelSelectInfo.style.display = 'none';
+    }
+
+    this.game.scene.clear();
+    this.game.scene.fog = null;
+    this.game.scene.background = new THREE.Color(0x1a1a2e);
+
+    const panel = document.getElementById('level-error');
+    const summary = document.getElementById('level-error-summary');
+    const list = document.getElementById('level-error-list');
+
+    if (summary) {
+      summary.textContent = this.error?.message || 'Unknown error';
+    }
+
+    if (list) {
+      list.innerHTML = '';
+      (this.error?.errors || []).forEach(({ path, message }) => {
+        const item = document.createElement('li');
+        const pathSpan = document.createElement('span');
+        pathSpan.className = 'error-path';
+        pathSpan.textContent = path;
+        item.appendChild(pathSpan);
+        item.appendChild(document.createTextNode(` ${message}`));
+        list.appendChild(item);
+      });
+    }
+
+    if (panel) {
+      panel.style.display = 'flex';
+    }
+  }
+
+  setupEventListeners() {
+    this.onBack = () => {
+      this.game.changeState(GameState.LEVEL_SELECT);
+    };
+
+    this.onKeyDown = (event) => {
+      if (event.key === 'Escape' || event.key === 'Enter') {
+        this.onBack();
+      }
+    };
+
+    const backButton = document.getElementById('level-error-back');
+    if (backButton) {
+      backButton.addEventListener('click', this.onBack);
+    }
+    window.addEventListener('keydown', this.onKeyDown);
+  }
+
+  update(delta) {
+    // Static screen - nothing to animate
+  }
+
+  destroy() {
+    const backButton = document.getElementById('level-error-back');
+    if (backButton) {
+      backButton.removeEventListener('click', this.onBack);
+    }
+    window.removeEventListener('keydown', this.onKeyDown);
+
+    const panel = document.getElementById('level-error');
+    if (panel) {
+      panel.style.display = 'none';
+    }
+  }
+}
@@ -1,10 +1,19 @@
 import * as THREE from 'three';
 import { GameState } from '../core/Game.js';
+import { LevelRegistry } from '../levels/LevelRegistry.js';
+import { LevelDataLoader } from '../levels/LevelDataLoader.js';
+import { formatValidationErrors, LevelValidationError, validateLevelData } from '../levels/LevelValidator.js';
+import { parseReplay } from '../input/Replay.js';
+import { getLevelKey } from '../levels/DataDrivenLevel.js';
+import { MAX_STARS } from '../levels/StarRating.js';
+
+const CUSTOM_LEVEL_COLOR = '#f0a500';
 
 export class LevelSelectMenu {
   constructor(game) {
     this.game = game;
     this.levelBoxes = [];
+    this.levels = [];
     this.raycaster = new THREE.Raycaster();
     this.mouse = new THREE.Vector2();
     this.hoveredBox = null;
@@ -26,6 +35,14 @@ export class LevelSelectMenu {
       customization.style.display = 'block';
     }
 
+    this.game.audioSettingsPanel.show();
+
+    // Show custom level loader
+    const customLevelPanel = document.getElementById('custom-level-panel');
+    if (customLevelPanel) {
+      customLevelPanel.style.display = 'block';
+    }
+
     // Load saved player name and color
     const nameInput = document.getElementById('player-name');
     const colorInput = document.getElementById('player-color');
@@ -52,23 +69,8 @@ export class LevelSelectMenu {
     directionalLight.castShadow = true;
     this.game.scene.add(directionalLight);
 
-    // Create level select boxes
-    const numLevels = 5;
-    const spacing = 2.5;
-    const startX = -(numLevels - 1) * spacing / 2;
-
-    for (let i = 0; i < numLevels; i++) {
-      const levelNumber = i + 1;
-      const isUnlocked = levelNumber <= this.game.saveData.unlockedLevels;
-
-      const box = this.createLevelBox(levelNumber, isUnlocked);
-      box.position.x = startX + i * spacing;
-      box.position.y = 0;
-      box.userData = { levelNumber, isUnlocked };
-
-      this.game.scene.add(box);
-      this.levelBoxes.push(box);
-    }
+    // Create level select boxes once the level manifest is loaded
+    this.loadLevels();
 
     // Add background
     this.game.scene.background = new THREE.Color(0x1a1a2e);
@@ -77,7 +79,209 @@ export class LevelSelectMenu {
     this.addStarfield();
   }
 
-  createLevelBox(levelNumber, isUnlocked) {
+  async loadLevels() {
+    let levels;
+    try {
+      levels = await LevelRegistry.load();
+    } catch (error) {
+      console.error('Error loading level manifest:', error);
+      const hint = document.querySelector('#level-select-info p');
+      if (hint) {
+        hint.textContent = `Could not load levels: ${error.message}`;
+      }
+      // Custom levels can still be loaded without the manifest
+      levels = [];
+    }
+
+    // Menu may have been left while the manifest was loading
+    if (this.isDestroyed) {
+      return;
+    }
+
+    this.levels = levels;
+    this.createLevelBoxes();
+
+    // Load the level from the ?level= URL parameter (only on the first visit)
+    const customLevelPath = this.game.customLevelPath;
+    if (customLevelPath) {
+      this.game.customLevelPath = null;
+      await this.loadCustomLevel(customLevelPath, () => LevelDataLoader.loadLevelData(customLevelPath), customLevelPath);
+    }
+  }
+
+  /**
+   * Load and validate a custom level, then add it to the level select screen.
+   * Shows the level error screen if the data is invalid.
+   * @param {string} source - File name or path of the level
+   * @param {Function} loadData - Returns (a promise for) the validated level data
+   * @param {string} [path] - URL the level was fetched from, so it can be hot reloaded
+   */
+  async loadCustomLevel(source, loadData, path = null) {
+    let data;
+    try {
+      data = await loadData();
+    } catch (error) {
+      console.error(`Error loading custom level ${source}:`, error);
+      if (error.errors) {
+        console.error(formatValidationErrors(error.errors));
+      }
+      if (!this.isDestroyed) {
+        this.game.showLevelError(error);
+      }
+      return;
+    }
+
+    this.game.customLevel = { source, name: data.name || source, data, path };
+
+    if (!this.isDestroyed) {
+      this.createLevelBoxes();
+    }
+  }
+
+  /**
+   * Load a custom level from a file chosen in the file picker or dropped on the page
+   * @param {File} file - The level JSON file
+   */
+  loadCustomLevelFile(file) {
+    this.loadCustomLevel(file.name, async () => {
+      const text = await file.text();
+      return LevelDataLoader.parseLevelData(text, file.name);
+    });
+  }
+
+  /**
+   * Watch a replay file chosen in the file picker
+   * @param {File} file - The replay JSON file (see Replay.js)
+   */
+  async watchReplayFile(file) {
+    let replay;
+    try {
+      replay = parseReplay(await file.text());
+    } catch (error) {
+      console.error(`Error loading replay ${file.name}:`, error);
+      window.alert(`Couldn't load replay ${file.name}: ${error.message}`);
+      return;
+    }
+
+    // The player may have left the level select screen while the file was read
+    if (this.isDestroyed) return;
+
+    // Replays of custom levels carry the level data, so check it like a level file
+    if (replay.level.data) {
+      const errors = validateLevelData(replay.level.data);
+      if (errors.length > 0) {
+        const error = new LevelValidationError(file.name, errors);
+        console.error(formatValidationErrors(errors));
+        this.game.showLevelError(error);
+        return;
+      }
+    }
+
+    try {
+      this.game.watchReplay(replay);
+    } catch (error) {
+      console.error(`Error playing replay ${file.name}:`, error);
+      window.alert(error.message);
+    }
+  }
+
+  /**
+   * Open the level editor on a level from the level select screen
+   * @param {Object} userData - The level box's userData ({levelNumber} or {customLevel})
+   */
+  async editLevel({ levelNumber, customLevel }) {
+    if (customLevel) {
+      this.game.changeState(GameState.EDITOR, { levelData: customLevel.data });
+      return;
+    }
+
+    const level = LevelRegistry.getLevel(levelNumber);
+    let levelData;
+    try {
+      levelData = await LevelDataLoader.loadLevelData(`levels/${level.file}`);
+    } catch (error) {
+      if (!this.isDestroyed) {
+        this.game.showLevelError(error);
+      }
+      return;
+    }
+
+    if (!this.isDestroyed) {
+      this.game.changeState(GameState.EDITOR, { levelData });
+    }
+  }
+
+  /**
+   * @param {Object} userData - The level box's userData ({levelNumber} or {customLevel})
+   */
+  showLeaderboard({ levelNumber, customLevel }) {
+    const levelKey = customLevel ? getLevelKey(customLevel) : LevelRegistry.getLevel(levelNumber).id;
+    this.game.leaderboardPanel.open(levelKey);
+  }
+
+  createLevelBoxes() {
+    // Remove boxes from a previous layout
+    this.levelBoxes.forEach(box => this.game.scene.remove(box));
+    this.levelBoxes = [];
+    this.hoveredBox = null;
+
+    const entries = this.levels.map(level => ({
+      label: level.number.toString(),
+      name: level.name,
+      isUnlocked: LevelRegistry.isUnlocked(level.number, this.game.saveData),
+      stars: this.game.getStars(level.id),
+      starsRequired: level.unlock?.stars || 0,
+      userData: { levelNumber: level.number }
+    }));
+
+    const starTotal = document.getElementById('star-total');
+    if (starTotal) {
+      starTotal.textContent = this.levels.length > 0
+        ? `★ ${LevelRegistry.getTotalStars(this.game.saveData)} / ${this.levels.length * MAX_STARS}`
+        : '';
+    }
+
+    // Custom level goes after the manifest levels
+    const customLevel = this.game.customLevel;
+    if (customLevel) {
+      const progress = this.game.saveData.customLevels?.[customLevel.source];
+      entries.push({
+        label: 'C',
+        name: customLevel.name,
+        isUnlocked: true,
+        isCustom: true,
+        isCompleted: !!progress?.completed,
+        stars: this.game.getStars(getLevelKey(customLevel)),
+        userData: { customLevel }
+      });
+    }
+
+    if (entries.length === 0) {
+      return;
+    }
+
+    // Lay boxes out in rows of up to 5
+    const perRow = Math.min(entries.length, 5);
+    const numRows = Math.ceil(entries.length / perRow);
+    const spacing = 2.5;
+    const rowSpacing = 2.5;
+
+    entries.forEach((entry, i) => {
+      const row = Math.floor(i / perRow);
+      const col = i % perRow;
+      const rowCount = Math.min(perRow, entries.length - row * perRow);
+
+      const box = this.createLevelBox(entry);
+      box.position.x = (col - (rowCount - 1) / 2) * spacing;
+      box.position.y = ((numRows - 1) / 2 - row) * rowSpacing;
+      box.userData = { ...entry.userData, isUnlocked: entry.isUnlocked };
+
+      this.game.scene.add(box);
+      this.levelBoxes.push(box);
+    });
+  }
+
+  createLevelBox({ label, name: levelName, isUnlocked, isCustom = false, isCompleted = false, stars = 0, starsRequired = 0 }) {
     const group = new THREE.Group();
 
     // Create texture for each face
@@ -88,7 +292,11 @@ export class LevelSelectMenu {
       const ctx = canvas.getContext('2d');
 
       // Background
-      ctx.fillStyle = isUnlocked ? '#4ecca3' : '#393e46';
+      if (isCustom) {
+        ctx.fillStyle = CUSTOM_LEVEL_COLOR;
+      } else {
+        ctx.fillStyle = isUnlocked ? '#4ecca3' : '#393e46';
+      }
       ctx.fillRect(0, 0, 256, 256);
 
       // Level number
@@ -96,13 +304,37 @@ export class LevelSelectMenu {
       ctx.font = 'bold 120px Arial';
       ctx.textAlign = 'center';
       ctx.textBaseline = 'middle';
-      ctx.fillText(levelNumber.toString(), 128, 128);
+      ctx.fillText(label, 128, 110);
+
+      // Level name (shrink to fit long names)
+      let nameFontSize = 28;
+      ctx.font = `bold ${nameFontSize}px Arial`;
+      while (ctx.measureText(levelName).width > 236 && nameFontSize > 12) {
+        nameFontSize -= 2;
+        ctx.font = `bold ${nameFontSize}px Arial`;
+      }
+      ctx.fillText(levelName, 128, 30);
 
       if (!isUnlocked) {
-        // Draw lock icon
+        // Draw lock icon, with the stars needed if that's what it's waiting for
         ctx.fillStyle = '#ff4444';
         ctx.font = 'bold 60px Arial';
-        ctx.fillText('🔒', 128, 200);
+        if (starsRequired > 0) {
+          ctx.fillText(`🔒${starsRequired}★`, 128, 200);
+        } else {
+          ctx.fillText('🔒', 128, 200);
+        }
+      } else if (stars > 0) {
+        // Earned stars in gold, the rest dimmed
+        ctx.font = 'bold 56px Arial';
+        const starWidth = 60;
+        for (let i = 0; i < MAX_STARS; i++) {
+          ctx.fillStyle = i < stars ? '#ffd700' : 'rgba(255, 255, 255, 0.3)';
+          ctx.fillText('★', 128 + (i - (MAX_STARS - 1) / 2) * starWidth, 200);
+        }
+      } else if (isCompleted) {
+        ctx.font = 'bold 60px Arial';
+        ctx.fillText('✓', 128, 200);
       }
 
       return new THREE.CanvasTexture(canvas);
@@ -114,7 +346,7 @@ export class LevelSelectMenu {
       const texture = createFaceTexture();
       materials.push(new THREE.MeshStandardMaterial({
         map: texture,
-        emissive: isUnlocked ? 0x2a7a5e : 0x1a1d23,
+        emissive: isCustom ? 0x7a5200 : (isUnlocked ? 0x2a7a5e : 0x1a1d23),
         emissiveIntensity: 0.2,
         metalness: 0.3,
         roughness: 0.4
@@ -160,13 +392,138 @@ export class LevelSelectMenu {
       this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
     };
 
-    this.onClick = () => {
-      if (this.hoveredBox && this.hoveredBox.userData.isUnlocked) {
-        const levelNumber = this.hoveredBox.userData.levelNumber;
-        this.game.changeState(GameState.PLAYING, { levelNumber });
+    this.onClick = (event) => {
+      // Taps don't hover first, so pick the box under the tap itself
+      this.onMouseMove(event);
+      this.raycaster.setFromCamera(this.mouse, this.game.camera);
+      const box = this.raycaster
+        .intersectObjects(this.levelBoxes, true)
+        .map((hit) => hit.object.parent)
+        .find((parent) => parent.userData.levelNumber || parent.userData.customLevel);
+
+      if (box && box.userData.isUnlocked) {
+        const { levelNumber, customLevel } = box.userData;
+        if (customLevel) {
+          this.game.changeState(GameState.PLAYING, { customLevel });
+        } else {
+          this.game.changeState(GameState.PLAYING, { levelNumber });
+        }
+      }
+    };
+
+    // Level editor - E over a level box edits that level, the button continues the last edit
+    const editorButton = document.getElementById('open-editor-button');
+
+    this.onEditorButtonClick = () => {
+      this.game.changeState(GameState.EDITOR);
+    };
+
+    // Leaderboards - L over a level box shows that level's, the button the last one shown
+    const leaderboardButton = document.getElementById('leaderboard-button');
+
+    this.onLeaderboardButtonClick = () => {
+      this.game.leaderboardPanel.open();
+    };
+
+    this.onKeyDown = (event) => {
+      if (!this.hoveredBox || event.target.tagName === 'INPUT') return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'e') {
+        this.editLevel(this.hoveredBox.userData);
+      } else if (key === 'l') {
+        this.showLeaderboard(this.hoveredBox.userData);
+      }
+    };
+
+    if (editorButton) {
+      editorButton.addEventListener('click', this.onEditorButtonClick);
+    }
+    if (leaderboardButton) {
+      leaderboardButton.addEventListener('click', this.onLeaderboardButtonClick);
+    }
+    window.addEventListener('keydown', this.onKeyDown);
+
+    // Custom level file picker
+    const customLevelButton = document.getElementById('custom-level-button');
+    const customLevelInput = document.getElementById('custom-level-input');
+
+    this.onCustomLevelButtonClick = () => {
+      if (customLevelInput) {
+        customLevelInput.click();
+      }
+    };
+
+    this.onCustomLevelInputChange = (event) => {
+      const file = event.target.files[0];
+      // Reset so choosing the same file again still fires a change event
+      event.target.value = '';
+      if (file) {
+        this.loadCustomLevelFile(file);
       }
     };
 
+    if (customLevelButton) {
+      customLevelButton.addEventListener('click', this.onCustomLevelButtonClick);
+    }
+    if (customLevelInput) {
+      customLevelInput.addEventListener('change', this.onCustomLevelInputChange);
+    }
+
+    // Replay file picker
+    const replayButton = document.getElementById('watch-replay-button');
+    const replayInput = document.getElementById('replay-input');
+
+    this.onReplayButtonClick = () => {
+      if (replayInput) {
+        replayInput.click();
+      }
+    };
+
+    this.onReplayInputChange = (event) => {
+      const file = event.target.files[0];
+      event.target.value = '';
+      if (file) {
+        this.watchReplayFile(file);
+      }
+    };
+
+    if (replayButton) {
+      replayButton.addEventListener('click', this.onReplayButtonClick);
+    }
+    if (replayInput) {
+      replayInput.addEventListener('change', this.onReplayInputChange);
+    }
+
+    // Drag and drop a level file anywhere on the page
+    const customLevelPanel = document.getElementById('custom-level-panel');
+
+    this.onDragOver = (event) => {
+      event.preventDefault();
+      if (customLevelPanel) {
+        customLevelPanel.classList.add('drag-over');
+      }
+    };
+
+    this.onDragLeave = () => {
+      if (customLevelPanel) {
+        customLevelPanel.classList.remove('drag-over');
+      }
+    };
+
+    this.onDrop = (event) => {
+      event.preventDefault();
+      this.onDragLeave();
+      const file = event.dataTransfer.files[0];
+      if (file) {
+        this.loadCustomLevelFile(file);
+      }
+    };
+
+    window.addEventListener('dragover', this.onDragOver);
+    window.addEventListener('dragleave', this.onDragLeave);
+    window.addEventListener('drop', this.onDrop);
+
     // Player customization inputs
     const nameInput = document.getElementById('player-name');
     const colorInput = document.getElementById('player-color');
@@ -212,7 +569,7 @@ export class LevelSelectMenu {
     // Set new hover
     if (intersects.length > 0) {
       const parent = intersects[0].object.parent;
-      if (parent.userData.levelNumber) {
+      if (parent.userData.levelNumber || parent.userData.customLevel) {
         this.hoveredBox = parent;
         const mesh = this.hoveredBox.children[0];
         mesh.scale.set(1.1, 1.1, 1.1);
@@ -225,6 +582,8 @@ export class LevelSelectMenu {
   }
 
   destroy() {
+    this.isDestroyed = true;
+
     // Remove customization event listeners
     const nameInput = document.getElementById('player-name');
     const colorInput = document.getElementById('player-color');
@@ -240,6 +599,46 @@ export class LevelSelectMenu {
     if (customization) {
       customization.style.display = 'none';
     }
+    this.game.audioSettingsPanel.hide();
+    this.game.controlsPanel.close();
+    this.game.leaderboardPanel.close();
+
+    const editorButton = document.getElementById('open-editor-button');
+    if (editorButton) {
+      editorButton.removeEventListener('click', this.onEditorButtonClick);
+    }
+    const leaderboardButton = document.getElementById('leaderboard-button');
+    if (leaderboardButton) {
+      leaderboardButton.removeEventListener('click', this.onLeaderboardButtonClick);
+    }
+    window.removeEventListener('keydown', this.onKeyDown);
+
+    // Remove custom level loader listeners and hide it
+    const customLevelButton = document.getElementById('custom-level-button');
+    const customLevelInput = document.getElementById('custom-level-input');
+    if (customLevelButton) {
+      customLevelButton.removeEventListener('click', this.onCustomLevelButtonClick);
+    }
+    if (customLevelInput) {
+      customLevelInput.removeEventListener('change', this.onCustomLevelInputChange);
+    }
+    const replayButton = document.getElementById('watch-replay-button');
+    const replayInput = document.getElementById('replay-input');
+    if (replayButton) {
+      replayButton.removeEventListener('click', this.onReplayButtonClick);
+    }
+    if (replayInput) {
+      replayInput.removeEventListener('change', this.onReplayInputChange);
+    }
+    window.removeEventListener('dragover', this.onDragOver);
+    window.removeEventListener('dragleave', this.onDragLeave);
+    window.removeEventListener('drop', this.onDrop);
+
+    const customLevelPanel = document.getElementById('custom-level-panel');
+    if (customLevelPanel) {
+      customLevelPanel.style.display = 'none';
+      customLevelPanel.classList.remove('drag-over');
+    }
 
     window.removeEventListener('mousemove', this.onMouseMove);
     window.removeEventListener('click', this.onClick);
@@ -0,0 +1,64 @@
+import { formatDelta, formatTime } from '../utils/formatTime.js';
+
+// How long (seconds of run time) a checkpoint split stays on screen
+const SPLIT_DISPLAY_TIME = 3;
+
+/**
+ * HUD clock (#run-timer in index.html) showing the run time, and each
+ * checkpoint's split compared with the best one for a few seconds after reaching it.
+ */
+export class RunTimerHud {
+  constructor() {
+    this.element = document.getElementById('run-timer');
+    this.clock = document.getElementById('run-timer-clock');
+    this.splitElement = document.getElementById('run-timer-split');
+    this.splitHiddenAt = 0; // Run time to hide the split at
+  }
+
+  show() {
+    if (this.element) {
+      this.element.style.display = 'block';
+    }
+  }
+
+  hide() {
+    if (this.element) {
+      this.element.style.display = 'none';
+    }
+    if (this.splitElement) {
+      this.splitElement.style.display = 'none';
+    }
+  }
+
+  /**
+   * @param {number} time - Run time in seconds
+   */
+  update(time) {
+    if (!this.clock) return;
+
+    this.clock.textContent = formatTime(time);
+    if (time >= this.splitHiddenAt) {
+      this.splitElement.style.display = 'none';
+    }
+  }
+
+  /**
+   * Show the split for a checkpoint just reached
+   * @param {number} index - Checkpoint index
+   * @param {number} time - Split time
+   * @param {number|null} best - Best split for the checkpoint, if any
+   */
+  showSplit(index, time, best) {
+    if (!this.splitElement) return;
+
+    this.splitElement.textContent = `Checkpoint ${index + 1}  ${formatTime(time)}`;
+    this.splitElement.classList.remove('ahead', 'behind');
+    if (best != null) {
+      const delta = time - best;
+      this.splitElement.textContent += `  ${formatDelta(delta)}`;
+      this.splitElement.classList.add(delta < 0 ? 'ahead' : 'behind');
+    }
+    this.splitElement.style.display = 'block';
+    this.splitHiddenAt = time + SPLIT_DISPLAY_TIME;
+  }
+}
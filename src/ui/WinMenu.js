@@ -1,5 +1,9 @@
 import * as THREE from 'three';
 import { GameState } from '../core/Game.js';
+import { GamepadMenuNavigation } from './GamepadMenuNavigation.js';
+import { LevelRegistry } from '../levels/LevelRegistry.js';
+import { formatDelta, formatTime } from '../utils/formatTime.js';
+import { MAX_STARS } from '../levels/StarRating.js';
 
 export class WinMenu {
   constructor(game) {
@@ -10,6 +14,7 @@ export class WinMenu {
     this.hoveredButton = null;
 
     this.init();
+    this.gamepadNavigation = new GamepadMenuNavigation(this.game.gamepad, this.buttons);
     this.setupEventListeners();
   }
 
@@ -58,9 +63,16 @@ export class WinMenu {
     // Create title
     this.createTitle();
 
+    // Stars and run time, compared with the best
+    if (this.game.lastRunResult) {
+      this.createRunResult(this.game.lastRunResult);
+    }
+
     // Create buttons
-    this.createButton('Next Level', 0, { action: 'nextLevel' });
-    this.createButton('Back to Level Select', -1.5, { action: 'levelSelect' });
+    this.createButton('Next Level', -0.6, { action: 'nextLevel' });
+    this.createButton('Back to Level Select', -1.7, { action: 'levelSelect' });
+    this.createButton('Save Replay', -2.8, { action: 'saveReplay' }, -1.6);
+    this.createButton('Leaderboard', -2.8, { action: 'leaderboard' }, 1.6);
 
     this.game.scene.add(this.menuGroup);
   }
@@ -88,12 +100,87 @@ export class WinMenu {
     });
     const sprite = new THREE.Sprite(spriteMaterial);
     sprite.scale.set(4, 1, 1);
-    sprite.position.y = 2;
+    sprite.position.y = 2.4;
     sprite.renderOrder = 1000;
     this.menuGroup.add(sprite);
   }
 
-  createButton(text, yOffset, userData) {
+  /**
+   * Stars, time and the score breakdown
+   * @param {Object} result - {time, previousBest, isRecord, stats, rating} (see BaseLevel.recordRunResult)
+   */
+  createRunResult({ time, previousBest, isRecord, stats, rating }) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 512;
+    canvas.height = 256;
+    const ctx = canvas.getContext('2d');
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    // Stars earned in gold, the rest dimmed
+    ctx.font = 'bold 56px Arial';
+    const starWidth = 64;
+    for (let i = 0; i < MAX_STARS; i++) {
+      ctx.fillStyle = i < rating.stars ? '#ffd700' : 'rgba(255, 255, 255, 0.3)';
+      ctx.fillText('★', 256 + (i - (MAX_STARS - 1) / 2) * starWidth, 32);
+    }
+
+    // Time, and how it compares with the best before this run
+    let line = formatTime(time);
+    if (previousBest !== null) {
+      line += `  (${formatDelta(time - previousBest)})`;
+    }
+    ctx.fillStyle = '#ffffff';
+    ctx.font = 'bold 44px Arial';
+    ctx.fillText(line, 256, 92);
+
+    if (isRecord) {
+      ctx.save();
+      ctx.fillStyle = '#ffd700';
+      ctx.font = 'bold 32px Arial';
+      ctx.shadowColor = '#ffd700';
+      ctx.shadowBlur = 12;
+      ctx.fillText('NEW RECORD!', 256, 140);
+      ctx.restore();
+    } else if (previousBest !== null) {
+      ctx.fillStyle = '#cccccc';
+      ctx.font = '28px Arial';
+      ctx.fillText(`Best ${formatTime(previousBest)}`, 256, 140);
+    }
+
+    // What the rating was scored on
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '26px Arial';
+    ctx.fillText(`Deaths ${stats.deaths}  ·  Turrets ${stats.turrets}  ·  Shots ${stats.shots}`, 256, 186);
+
+    // What the next star needs (shrink to fit long lists)
+    if (rating.missed.length > 0) {
+      const needs = `Next star: ${rating.missed.join(', ')}`;
+      let fontSize = 24;
+      ctx.font = `${fontSize}px Arial`;
+      while (ctx.measureText(needs).width > 496 && fontSize > 12) {
+        fontSize -= 2;
+        ctx.font = `${fontSize}px Arial`;
+      }
+      ctx.fillStyle = '#cccccc';
+      ctx.fillText(needs, 256, 228);
+    }
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const spriteMaterial = new THREE.SpriteMaterial({
+      map: texture,
+      depthTest: false,
+      depthWrite: false
+    });
+    const sprite = new THREE.Sprite(spriteMaterial);
+    sprite.scale.set(4, 2, 1);
+    sprite.position.y = 0.85;
+    sprite.renderOrder = 1000;
+    this.menuGroup.add(sprite);
+  }
+
+  createButton(text, yOffset, userData, xOffset = 0) {
     const group = new THREE.Group();
     group.userData = userData;
 
@@ -164,6 +251,7 @@ export class WinMenu {
     sprite.renderOrder = 1001;
     group.add(sprite);
 
+    group.position.x = xOffset;
     group.position.y = yOffset;
     this.menuGroup.add(group);
     this.buttons.push(group);
@@ -175,18 +263,33 @@ export class WinMenu {
     this.onMouseMove = (event) => {
       this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
       this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+      this.gamepadNavigation.clearFocus();
     };
 
-    this.onClick = () => {
-      if (this.hoveredButton) {
-        const action = this.hoveredButton.userData.action;
+    this.onClick = (event) => {
+      // Taps don't hover first, so pick the button under the tap itself
+      // (D-pad presses have no event and use the focused button)
+      let button = this.hoveredButton;
+      if (event) {
+        this.onMouseMove(event);
+        button = this.getButtonUnderMouse();
+      }
+
+      if (button) {
+        const action = button.userData.action;
 
         if (action === 'nextLevel') {
+          // Custom levels aren't part of the level sequence
+          if (this.game.currentCustomLevel) {
+            this.game.changeState(GameState.LEVEL_SELECT);
+            return;
+          }
+
           // Try to load next level
           const nextLevelNumber = this.game.currentLevelNumber + 1;
 
           // Check if next level exists and is unlocked
-          if (nextLevelNumber <= this.game.saveData.unlockedLevels) {
+          if (LevelRegistry.isUnlocked(nextLevelNumber, this.game.saveData)) {
             this.game.changeState(GameState.PLAYING, { levelNumber: nextLevelNumber });
           } else {
             // No more levels or locked, go to level select
@@ -194,6 +297,11 @@ export class WinMenu {
           }
         } else if (action === 'levelSelect') {
           this.game.changeState(GameState.LEVEL_SELECT);
+        } else if (action === 'saveReplay') {
+          this.game.saveReplay();
+        } else if (action === 'leaderboard') {
+          const result = this.game.lastRunResult;
+          this.game.leaderboardPanel.open(result?.levelKey, result?.leaderboardRank ?? -1);
         }
       }
     };
@@ -202,6 +310,15 @@ export class WinMenu {
     window.addEventListener('click', this.onClick);
   }
 
+  /**
+   * @returns {THREE.Group|undefined} The button under the mouse, if any
+   */
+  getButtonUnderMouse() {
+    this.raycaster.setFromCamera(this.mouse, this.game.camera);
+    const intersects = this.raycaster.intersectObjects(this.buttons, true);
+    return intersects.map((hit) => hit.object.parent).find((parent) => parent.userData.action);
+  }
+
   update(delta) {
     // Keep menu in front of camera
     const cameraDirection = new THREE.Vector3();
@@ -219,6 +336,9 @@ export class WinMenu {
       mesh.rotation.z = Math.sin(Date.now() * 0.001 + index) * 0.02;
     });
 
+    // Buttons picked with the D-pad take over from the mouse until it moves again
+    const focusedButton = this.gamepadNavigation.update();
+
     // Raycast for hover detection
     this.raycaster.setFromCamera(this.mouse, this.game.camera);
     const intersects = this.raycaster.intersectObjects(this.buttons, true);
@@ -233,7 +353,12 @@ export class WinMenu {
     }
 
     // Set new hover
-    if (intersects.length > 0) {
+    if (focusedButton) {
+      this.hoveredButton = focusedButton;
+      const mesh = this.hoveredButton.children[0];
+      mesh.scale.set(1.05, 1.05, 1.05);
+      mesh.material.emissiveIntensity = 0.6;
+    } else if (intersects.length > 0) {
       const parent = intersects[0].object.parent;
       if (parent.userData.action) {
         this.hoveredButton = parent;
@@ -243,12 +368,17 @@ export class WinMenu {
         document.body.style.cursor = 'pointer';
       }
     }
+
+    if (this.gamepadNavigation.wasConfirmed()) {
+      this.onClick();
+    }
   }
 
   destroy() {
     window.removeEventListener('mousemove', this.onMouseMove);
     window.removeEventListener('click', this.onClick);
     document.body.style.cursor = 'default';
+    this.game.leaderboardPanel.close();
 
     // Restore fog
     if (this.previousFog !== undefined) {
@@ -0,0 +1,18 @@
+/**
+ * @param {number} seconds - Run time
+ * @returns {string} e.g. '1:05.32' (rounded down, like a stopwatch)
+ */
+export function formatTime(seconds) {
+  const hundredths = Math.floor(seconds * 100);
+  const minutes = Math.floor(hundredths / 6000);
+  const rest = ((hundredths % 6000) / 100).toFixed(2).padStart(5, '0');
+  return `${minutes}:${rest}`;
+}
+
+/**
+ * @param {number} seconds - Difference from a best time (negative = faster)
+ * @returns {string} e.g. '-0.52', '+1.30'
+ */
+export function formatDelta(seconds) {
+  return `${seconds < 0 ? '-' : '+'}${Math.abs(seconds).toFixed(2)}`;
+}
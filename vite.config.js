@@ -1,7 +1,34 @@
-import { defineConfig } from 'vite';
+import path from 'path';
+import { defineConfig, normalizePath } from 'vite';
+
+/**
+ * Dev server only: when a level file in public/levels changes, tell the game
+ * so it can rebuild the level in place (see src/main.js). Vite doesn't do
+ * anything for public files on its own.
+ */
+function levelHotReload() {
+  return {
+    name: 'grav-lift:level-hot-reload',
+    apply: 'serve',
+    handleHotUpdate({ file, server }) {
+      const publicDir = normalizePath(server.config.publicDir);
+      if (!file.startsWith(`${publicDir}/levels/`) || !file.endsWith('.json')) {
+        return;
+      }
+
+      server.hot.send({
+        type: 'custom',
+        event: 'grav-lift:level-changed',
+        data: { path: path.posix.relative(publicDir, file) },
+      });
+      return [];
+    },
+  };
+}
 
 export default defineConfig({
   base: '/grav-lift/',
+  plugins: [levelHotReload()],
   build: {
     outDir: 'dist',
     assetsDir: 'assets',